@@ -0,0 +1,106 @@
+// Decides who may use the bot. Every author gets a role (or none, when blocked or not on
+// the allowlist), and each role grants a fixed set of capabilities.
+
+const ROLE_CAPABILITIES = {
+    admin: ['respond', 'commands', 'tools', 'admin'],
+    user: ['respond', 'commands', 'tools'],
+    'read-only': ['respond']
+};
+
+const CAPABILITY_NAMES = {
+    respond: 'talk to the agent',
+    commands: 'run commands',
+    tools: 'let the agent use tools',
+    admin: 'run admin commands'
+};
+
+class AccessControl {
+    constructor(config = {}, logger = console) {
+        this.logger = logger;
+        const normalize = names => (names || []).map(name => name.toLowerCase());
+        this.allowlist = normalize(config.accessAllowlist);
+        this.blocklist = normalize(config.accessBlocklist);
+        this.defaultRole = config.accessDefaultRole || 'user';
+        this.deniedAction = config.accessDeniedAction === 'reply' ? 'reply' : 'ignore';
+        
+        this.roles = {};
+        for (const [name, role] of Object.entries(config.accessRoles || {})) {
+            if (!ROLE_CAPABILITIES[role]) {
+                this.logger.warn(`Ignoring unknown role "${role}" for ${name} (roles: ${Object.keys(ROLE_CAPABILITIES).join(', ')})`);
+                continue;
+            }
+            this.roles[name.toLowerCase()] = role;
+        }
+        
+        if (!ROLE_CAPABILITIES[this.defaultRole]) {
+            this.logger.warn(`Unknown default role "${this.defaultRole}", using "user"`);
+            this.defaultRole = 'user';
+        }
+    }
+
+    /**
+     * Role of an author
+     * @param {string} author - Message author
+     * @returns {string|null} Role name, or null when the author may not use the bot at all
+     */
+    getRole(author) {
+        const name = (author || '').toLowerCase();
+        if (this.blocklist.includes(name)) {
+            return null;
+        }
+        if (this.roles[name]) {
+            return this.roles[name];
+        }
+        if (this.allowlist.length > 0 && !this.allowlist.includes(name)) {
+            return null;
+        }
+        return this.defaultRole;
+    }
+
+    hasCapability(author, capability) {
+        const role = this.getRole(author);
+        return role !== null && ROLE_CAPABILITIES[role].includes(capability);
+    }
+
+    /**
+     * Decide whether an author may do something, and log the decision
+     * @param {string} author - Message author
+     * @param {string} capability - respond, commands, tools or admin
+     * @param {string} [context] - Prefix for the log line, e.g. the channel
+     * @returns {Object} { allowed, role, capability, reason }
+     */
+    check(author, capability, context = '') {
+        const role = this.getRole(author);
+        let reason;
+        if (role === null) {
+            reason = this.blocklist.includes((author || '').toLowerCase()) ? 'blocklisted' : 'not on the allowlist';
+        } else if (!ROLE_CAPABILITIES[role].includes(capability)) {
+            reason = `role ${role} cannot ${CAPABILITY_NAMES[capability]}`;
+        }
+        
+        const decision = { allowed: !reason, role: role, capability: capability, reason: reason || null };
+        const prefix = context ? `[${context}] ` : '';
+        if (decision.allowed) {
+            this.logger.info(`${prefix}Access granted: ${author} (${role}) may ${CAPABILITY_NAMES[capability]}`);
+        } else {
+            this.logger.warn(`${prefix}Access denied: ${author} may not ${CAPABILITY_NAMES[capability]} (${reason})`);
+        }
+        return decision;
+    }
+
+    /**
+     * Reply for a denied request
+     * @param {Object} decision - Result of check()
+     * @returns {string} Message text
+     */
+    formatDenial(decision) {
+        if (decision.role === null) {
+            return "⛔ Sorry, you don't have access to this bot.";
+        }
+        return `⛔ Sorry, your role (${decision.role}) is not allowed to ${CAPABILITY_NAMES[decision.capability]}.`;
+    }
+}
+
+AccessControl.ROLE_CAPABILITIES = ROLE_CAPABILITIES;
+
+module.exports = AccessControl;
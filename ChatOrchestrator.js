@@ -1,3 +1,12 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const AccessControl = require('./AccessControl');
+const CommandHandler = require('./CommandHandler');
+const Metrics = require('./Metrics');
+const SandboxProfiles = require('./SandboxProfiles');
+const WorkQueue = require('./WorkQueue');
+
 class ChatOrchestrator {
     constructor(chatPlatform, aiAgent, logger, config = {}) {
         this.chatPlatform = chatPlatform;
@@ -6,6 +15,37 @@ class ChatOrchestrator {
         this.config = config;
         this.testingMode = config.testingMode || false;
         this.filterMentions = config.filterMentions || null;
+        this.pollInterval = config.pollInterval || 2000;
+        // Answer with the platform's native reply when it has one, instead of an @author prefix
+        this.nativeReplies = config.nativeReplies !== false && typeof chatPlatform.replyTo === 'function';
+        // Responses longer than this are uploaded as a .md file (0 disables)
+        this.longResponseThreshold = config.longResponseThreshold !== undefined ? config.longResponseThreshold : 6000;
+        // Minimum time between edits of the "working" message while a streaming agent runs
+        this.streamEditInterval = config.streamEditInterval || 3000;
+        // Optional CostLedger that totals spending and enforces budget caps
+        this.costLedger = config.costLedger || null;
+        // Shared with the platform and agent so /metrics covers all three
+        this.metrics = config.metrics || new Metrics();
+        // Optional TranscriptArchive that keeps every message and agent result
+        this.transcripts = config.transcriptArchive || null;
+        // Optional Checkpoints that let a restart resume after the last finished message
+        this.checkpoints = config.checkpoints || null;
+        this.accessControl = new AccessControl(config, logger);
+        this.commands = new CommandHandler(this, config);
+        this.sandboxProfiles = new SandboxProfiles(config, logger);
+        // Messages wait here for the agent while polling continues. Up to maxConcurrent
+        // channels are worked on at once; each channel's messages run in order because
+        // its agent session cannot be resumed concurrently.
+        this.workQueue = new WorkQueue(message => this.handleMessage(message), {
+            concurrency: config.maxConcurrent || 3,
+            logger: logger
+        });
+        // Quiet time to wait for more messages from the same author before answering (0 disables)
+        this.coalesceWindow = config.coalesceWindow !== undefined ? config.coalesceWindow : 2000;
+        this.pendingBursts = new Map();  // Messages being collected, keyed by channel
+        this.startedAt = Date.now();
+        this.history = [];  // Recent message/response pairs for the control API
+        this.historyLimit = config.historyLimit || 50;
         this.running = false;
     }
 
@@ -18,15 +58,29 @@ class ChatOrchestrator {
         // Initialize AI agent sessions
         await this.aiAgent.loadSessions();
         
+        if (this.costLedger) {
+            await this.costLedger.load();
+        }
+        
+        if (this.checkpoints) {
+            await this.checkpoints.load();
+        }
+        
+        if (!this.sandboxProfiles.profilesFile || this.aiAgent.supportsProfiles) {
+            await this.sandboxProfiles.load();
+        } else {
+            this.logger.warn(`Ignoring sandbox profiles from ${this.sandboxProfiles.profilesFile}: ${this.aiAgent.constructor.name} does not support them`);
+        }
+        
         this.logger.info('Chat Orchestrator initialized successfully');
     }
 
-    async processMessage(message) {
+    async processMessage(message, options = {}) {
         try {
-            this.logger.info(`Processing message from ${message.author}: ${message.content.substring(0, 50)}...`);
+            this.logger.info(`[${message.channel}] Processing message from ${message.author}: ${message.content.substring(0, 50)}...`);
             
             // Process message with the AI agent
-            const result = await this.aiAgent.processMessage(message);
+            const result = await this.aiAgent.processMessage(message, options);
             
             if (!result) {
                 this.logger.warn('Agent returned null response');
@@ -35,30 +89,204 @@ class ChatOrchestrator {
             
             if (result.isError) {
                 this.logger.error(`Agent error: ${result.result}`);
-                return this.aiAgent.formatError(message.author, result.result);
+                return { text: this.aiAgent.formatError(message.author, result.result, this.getFormatOptions()), files: [], cost: 0, isError: true };
             }
             
             // Format the response with author mention and cost
             const formattedResponse = this.aiAgent.formatResponse(
                 message.author,
                 result.cost || 0,
-                result.result
+                result.result,
+                this.getFormatOptions()
             );
             
             this.logger.info(`Response cost: $${(result.cost || 0).toFixed(2)}`);
-            return formattedResponse;
+            this.metrics.inc('discoagent_cost_usd_total', { channel: message.channel }, result.cost || 0);
+            if (this.costLedger) {
+                await this.costLedger.record({
+                    user: message.author,
+                    channel: message.channel,
+                    sessionId: result.sessionId,
+                    cost: result.cost || 0
+                });
+            }
+            return { text: formattedResponse, result: result.result, files: result.files || [], cost: result.cost || 0, sessionId: result.sessionId || null };
             
         } catch (error) {
             this.logger.error(`Message processing error: ${error.message}`);
             this.logger.error(`Error details: ${error.stack}`);
             
-            return this.aiAgent.formatError(
-                message.author,
-                `Sorry, I encountered an error processing your message: ${error.message}`
-            );
+            return {
+                text: this.aiAgent.formatError(
+                    message.author,
+                    `Sorry, I encountered an error processing your message: ${error.message}`,
+                    this.getFormatOptions()
+                ),
+                files: [],
+                cost: 0,
+                isError: true
+            };
+        }
+    }
+
+    getFormatOptions() {
+        // A native reply already points at the author, so the text mention is dropped
+        return { mention: !this.nativeReplies };
+    }
+
+    /**
+     * Send text in answer to a message. With progressMessageId the "working" message is
+     * edited into the first chunk and the remaining chunks follow as new messages.
+     * @returns {Promise<string|null>} ID of the first message, when the platform reports one
+     */
+    async sendText(message, text, progressMessageId = null) {
+        if (progressMessageId) {
+            const chunks = this.chatPlatform.splitMessage ? this.chatPlatform.splitMessage(text) : [text];
+            try {
+                await this.chatPlatform.editMessage(progressMessageId, chunks[0], message.channel);
+                for (const chunk of chunks.slice(1)) {
+                    await this.chatPlatform.sendMessage(chunk, message.channel);
+                }
+                return progressMessageId;
+            } catch (error) {
+                this.logger.warn(`[${message.channel}] Could not edit progress message, sending a new one: ${error.message}`);
+            }
+        }
+        
+        if (this.nativeReplies && message.id) {
+            return await this.chatPlatform.replyTo(message.id, text, message.channel);
+        }
+        return await this.chatPlatform.sendMessage(text, message.channel);
+    }
+
+    async sendResponse(message, response, progressMessageId = null) {
+        const canSendFiles = typeof this.chatPlatform.sendFile === 'function';
+        
+        if (canSendFiles && this.longResponseThreshold > 0 && response.text.length > this.longResponseThreshold) {
+            // Very long answers go out as a .md attachment plus a short summary instead of a wall of chunks.
+            // The file holds only the agent's answer, under a name users can recognize; its own temp
+            // folder keeps concurrent uploads apart.
+            const responseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-response-'));
+            const responseFile = path.join(responseDir, 'response.md');
+            await fs.writeFile(responseFile, response.result !== undefined ? response.result : response.text, 'utf8');
+            try {
+                await this.sendText(message, this.summarizeResponse(response.text), progressMessageId);
+                await this.chatPlatform.sendFile(responseFile, '', message.channel);
+            } finally {
+                await fs.rm(responseDir, { recursive: true, force: true }).catch(() => {});
+            }
+        } else {
+            await this.sendText(message, response.text, progressMessageId);
+        }
+        
+        for (const file of response.files) {
+            if (!canSendFiles) {
+                this.logger.warn(`Platform cannot upload files, not sharing ${file}`);
+                continue;
+            }
+            await this.chatPlatform.sendFile(file, `📎 ${path.basename(file)}`, message.channel);
+            this.logger.info(`[${message.channel}] Uploaded agent file: ${path.basename(file)}`);
         }
     }
 
+    summarizeResponse(text, maxLength = 500) {
+        // Cut at the last line or word break before maxLength so the summary reads cleanly
+        let summary = text.substring(0, maxLength);
+        const breakAt = Math.max(summary.lastIndexOf('\n'), summary.lastIndexOf(' '));
+        if (breakAt > maxLength / 2) {
+            summary = summary.substring(0, breakAt);
+        }
+        return `${summary.trim()}…\n\n📎 Full response attached (${text.length} characters)`;
+    }
+
+    canStreamProgress(message) {
+        return Boolean(this.aiAgent.streaming) &&
+               typeof this.chatPlatform.editMessage === 'function' &&
+               !this.testingMode &&
+               this.shouldSendResponse(message);
+    }
+
+    /**
+     * Post a "working" message and return a tracker whose update() edits it with the
+     * agent's progress, at most once per streamEditInterval. Returns null if the message
+     * could not be posted, in which case the answer is sent normally.
+     */
+    async startProgress(message) {
+        let messageId;
+        try {
+            messageId = await this.sendText(message, '⏳ Working…');
+        } catch (error) {
+            this.logger.warn(`[${message.channel}] Could not post progress message: ${error.message}`);
+            return null;
+        }
+        
+        if (!messageId) {
+            this.logger.warn(`[${message.channel}] Progress message ID unknown, answer will be sent separately`);
+            return null;
+        }
+        
+        const progress = {
+            messageId: messageId,
+            latest: null,
+            lastEdit: 0,
+            timer: null,
+            finished: false,
+            // Edits are chained so they never overlap in the browser
+            pending: Promise.resolve()
+        };
+        
+        const flush = () => {
+            progress.timer = null;
+            if (progress.finished || !progress.latest) {
+                return;
+            }
+            const text = this.renderProgress(progress.latest);
+            progress.lastEdit = Date.now();
+            progress.pending = progress.pending
+                .then(() => this.chatPlatform.editMessage(messageId, text, message.channel))
+                .catch(error => this.logger.debug(`Progress edit failed: ${error.message}`));
+        };
+        
+        progress.update = update => {
+            progress.latest = update;
+            if (!progress.timer && !progress.finished) {
+                const wait = Math.max(0, this.streamEditInterval - (Date.now() - progress.lastEdit));
+                progress.timer = setTimeout(flush, wait);
+            }
+        };
+        
+        progress.finish = async () => {
+            progress.finished = true;
+            clearTimeout(progress.timer);
+            await progress.pending;
+        };
+        
+        return progress;
+    }
+
+    renderProgress(update, maxLength = 1500) {
+        let text = '⏳ Working…';
+        
+        if (update.tools && update.tools.length > 0) {
+            // "Read ×3, Bash" reads better than the full list of calls
+            const counts = new Map();
+            update.tools.forEach(tool => counts.set(tool, (counts.get(tool) || 0) + 1));
+            const tools = [...counts].map(([tool, count]) => count > 1 ? `${tool} ×${count}` : tool);
+            text += `\n🔧 ${tools.join(', ')}`;
+        }
+        
+        if (update.text) {
+            let partial = update.text.length > maxLength ? `…${update.text.slice(-maxLength)}` : update.text;
+            // The tail may start inside a code block; close it so the rest of the edit renders
+            if ((partial.match(/```/g) || []).length % 2 === 1) {
+                partial += '\n```';
+            }
+            text += `\n\n${partial}`;
+        }
+        
+        return text;
+    }
+
     shouldSendResponse(message) {
         // Check if message should trigger a response based on filter settings
         if (!this.filterMentions) {
@@ -70,10 +298,406 @@ class ChatOrchestrator {
                message.content.includes(`@${this.filterMentions}`);
     }
 
+    async handleMessages(newMessages) {
+        for (const msg of newMessages) {
+            // Skip messages from the bot itself
+            if (this.chatPlatform.isOwnMessage && this.chatPlatform.isOwnMessage(msg)) {
+                this.logger.debug(`Skipping own message`);
+                await this.skipMessage(msg, 'own');
+                continue;
+            }
+            
+            // Skip messages FROM the filtered user to prevent feedback loops
+            // This prevents processing messages from the user we're supposed to respond to
+            if (this.filterMentions && msg.author.toLowerCase() === this.filterMentions.toLowerCase()) {
+                this.logger.info(`Skipping message FROM ${this.filterMentions} (feedback loop prevention)`);
+                await this.skipMessage(msg, 'feedback-loop');
+                continue;
+            }
+            
+            // After a restart, messages answered just before the crash are read again
+            if (this.checkpoints && this.checkpoints.isHandled(msg)) {
+                this.logger.info(`[${msg.channel}] Skipping message ${msg.id} from ${msg.author}, it was already answered before a restart`);
+                await this.skipMessage(msg, 'duplicate');
+                continue;
+            }
+            
+            this.logger.info(`[${msg.channel}] New message from ${msg.author}: ${msg.content}`);
+            if (this.transcripts) {
+                await this.transcripts.recordMessage(msg);
+            }
+            
+            const command = this.commands.parse(msg);
+            const access = this.accessControl.check(msg.author, command ? 'commands' : 'respond', msg.channel);
+            if (!access.allowed) {
+                this.metrics.inc('discoagent_messages_skipped_total', { reason: 'denied' });
+                await this.handleDenied(msg, access, command);
+                continue;
+            }
+            
+            // Commands are answered right away instead of waiting behind the agent
+            if (command) {
+                await this.handleCommand(msg, command);
+                continue;
+            }
+            
+            if (msg.attachments && msg.attachments.length > 0) {
+                this.logger.info(`[${msg.channel}] Message has ${msg.attachments.length} attachment(s): ${msg.attachments.map(a => a.filename).join(', ')}`);
+            }
+            
+            this.collectBurst(msg);
+        }
+    }
+
+    /**
+     * Hold a message until its author has been quiet for coalesceWindow, so a question typed
+     * over several quick messages becomes one prompt. A message from someone else in the
+     * same channel ends the burst right away.
+     */
+    collectBurst(message) {
+        if (this.coalesceWindow <= 0) {
+            this.enqueue(message);
+            return;
+        }
+        
+        let burst = this.pendingBursts.get(message.channel);
+        if (burst && burst.author !== message.author) {
+            this.flushBurst(message.channel);
+            burst = null;
+        }
+        if (!burst) {
+            burst = { author: message.author, messages: [], timer: null };
+            this.pendingBursts.set(message.channel, burst);
+        }
+        
+        burst.messages.push(message);
+        clearTimeout(burst.timer);
+        burst.timer = setTimeout(() => this.flushBurst(message.channel), this.coalesceWindow);
+    }
+
+    flushBurst(channel) {
+        const burst = this.pendingBursts.get(channel);
+        if (!burst) {
+            return;
+        }
+        
+        clearTimeout(burst.timer);
+        this.pendingBursts.delete(channel);
+        
+        if (burst.messages.length > 1) {
+            this.logger.info(`[${channel}] Coalesced ${burst.messages.length} messages from ${burst.author} into one prompt`);
+        }
+        this.enqueue(ChatOrchestrator.mergeMessages(burst.messages));
+    }
+
+    /**
+     * Combine fragments into one message. It takes the last fragment's ID, so the reply
+     * references the end of the question.
+     */
+    static mergeMessages(messages) {
+        if (messages.length === 1) {
+            return messages[0];
+        }
+        
+        const last = messages[messages.length - 1];
+        return {
+            ...last,
+            content: messages.map(message => message.content).filter(Boolean).join('\n'),
+            attachments: messages.flatMap(message => message.attachments || []),
+            embeds: messages.flatMap(message => message.embeds || []),
+            fragmentIds: messages.map(message => message.id)
+        };
+    }
+
+    /**
+     * Drop a message before it is handled at all. It is still archived, with the reason,
+     * so the transcript holds every message that was read.
+     */
+    async skipMessage(message, reason) {
+        this.metrics.inc('discoagent_messages_skipped_total', { reason: reason });
+        if (this.transcripts) {
+            await this.transcripts.recordMessage(message, reason);
+        }
+        await this.releaseMessage(message);
+    }
+
+    /**
+     * Let the platform delete the attachments it downloaded for a message that will not
+     * reach the agent
+     */
+    async releaseMessage(message) {
+        if (this.chatPlatform.releaseMessage) {
+            await this.chatPlatform.releaseMessage(message);
+        }
+    }
+
+    async handleDenied(message, decision, command = null) {
+        await this.releaseMessage(message);
+        
+        if (this.accessControl.deniedAction !== 'reply' || this.testingMode) {
+            return;
+        }
+        // Only refuse what was addressed to the bot, never the rest of the user's chat
+        if (!command && !this.shouldSendResponse(message)) {
+            return;
+        }
+        const mention = this.getFormatOptions().mention ? `@${message.author} ` : '';
+        await this.markAnswered(message);
+        await this.sendText(message, mention + this.accessControl.formatDenial(decision));
+    }
+
+    async handleCommand(message, command) {
+        this.logger.info(`[${message.channel}] Command ${command.name} from ${message.author}`);
+        const reply = await this.commands.execute(message, command);
+        
+        await this.releaseMessage(message);
+        
+        if (this.testingMode) {
+            this.logger.info(`==== COMMAND REPLY (TESTING MODE - NOT SENT) ====\n${reply}`);
+            return;
+        }
+        
+        const mention = this.getFormatOptions().mention ? `@${message.author} ` : '';
+        await this.markAnswered(message);
+        await this.sendText(message, mention + reply);
+    }
+
+    enqueue(message) {
+        // Sessions are kept per channel, so the channel is the conversation
+        this.workQueue.push(message.channel, message);
+        
+        const stats = this.workQueue.getStats();
+        if (stats.waiting > 0) {
+            this.logger.info(`[${message.channel}] Queued message from ${message.author} (${stats.running} running, ${stats.waiting} waiting)`);
+        }
+    }
+
+    /**
+     * Remove a channel's messages that are still waiting for the agent
+     * @returns {number} How many were removed
+     */
+    dropQueued(channel) {
+        const dropped = this.workQueue.drop(channel);
+        
+        const burst = this.pendingBursts.get(channel);
+        if (burst) {
+            clearTimeout(burst.timer);
+            this.pendingBursts.delete(channel);
+            dropped.push(...burst.messages);
+        }
+        
+        if (this.chatPlatform.releaseMessage) {
+            dropped.forEach(message => this.chatPlatform.releaseMessage(message).catch(() => {}));
+        }
+        return dropped.length;
+    }
+
+    /**
+     * Sandbox profile for a message, or null when the agent does not support profiles
+     */
+    getProfile(message) {
+        if (!this.aiAgent.supportsProfiles) {
+            return null;
+        }
+        return this.sandboxProfiles.resolve(message.channel, this.accessControl.getRole(message.author));
+    }
+
+    getQueueDepth() {
+        return this.workQueue.getStats();
+    }
+
+    async handleMessage(msg) {
+        // Refuse politely once a budget cap is reached, without running the agent
+        const exceeded = this.costLedger && this.costLedger.checkBudget(msg.author, msg.channel);
+        if (exceeded) {
+            this.logger.warn(`[${msg.channel}] ${exceeded.scope} budget reached for ${msg.author}: $${exceeded.spent.toFixed(2)} of $${exceeded.cap.toFixed(2)}`);
+            await this.releaseMessage(msg);
+            if (!this.testingMode && this.shouldSendResponse(msg)) {
+                const mention = this.getFormatOptions().mention ? `@${msg.author} ` : '';
+                await this.markAnswered(msg);
+                await this.sendText(msg, mention + this.costLedger.formatRefusal(exceeded));
+            }
+            await this.finishMessage(msg, null, 'over budget');
+            return;
+        }
+        
+        // Streaming agents report progress into a "working" message that becomes the answer
+        const progress = this.canStreamProgress(msg) ? await this.startProgress(msg) : null;
+        
+        // Process ALL messages with AI agent (for context/learning)
+        const options = {
+            allowTools: this.accessControl.check(msg.author, 'tools', msg.channel).allowed,
+            profile: this.getProfile(msg)
+        };
+        if (progress) {
+            options.onProgress = progress.update;
+        }
+        const startedAt = Date.now();
+        const response = await this.processMessage(msg, options);
+        if (response) {
+            response.latencyMs = Date.now() - startedAt;
+        }
+        if (progress) {
+            await progress.finish();
+            if (!response) {
+                await this.chatPlatform.editMessage(progress.messageId, '(no response)', msg.channel)
+                    .catch(error => this.logger.debug(`Progress edit failed: ${error.message}`));
+            }
+        }
+        
+        // Downloaded attachments are only needed while the agent runs
+        await this.releaseMessage(msg);
+        
+        if (response) {
+            // Check if we should send the response to Discord
+            const shouldRespond = this.shouldSendResponse(msg);
+            
+            if (this.testingMode || !shouldRespond) {
+                // Log to console only (testing mode OR no mention)
+                const reason = this.testingMode ? 'TESTING MODE' : 'NO MENTION';
+                if (!shouldRespond) {
+                    this.metrics.inc('discoagent_messages_skipped_total', { reason: 'filtered' });
+                }
+                this.logger.info(`==== AGENT RESPONSE (${reason} - NOT SENT) ====`);
+                this.logger.info(response.text);
+                if (response.files.length > 0) {
+                    this.logger.info(`Files: ${response.files.join(', ')}`);
+                }
+                this.logger.info('====================================================');
+                await this.finishMessage(msg, response, `not sent (${reason.toLowerCase()})`);
+            } else {
+                // Send response back to the channel the message came from
+                await this.markAnswered(msg);
+                await this.sendResponse(msg, response, progress && progress.messageId);
+                this.logger.info(`[${msg.channel}] Sent response: ${response.text.substring(0, 100)}...`);
+                await this.finishMessage(msg, response, 'sent');
+            }
+        } else {
+            await this.finishMessage(msg, null, 'no response');
+        }
+    }
+
+    /**
+     * Record that the agent is done with a message: in the history, the transcript archive
+     * and, once processing has finished, the channel's checkpoint
+     */
+    async finishMessage(message, response, status) {
+        this.history.push({
+            time: new Date().toISOString(),
+            channel: message.channel,
+            author: message.author,
+            messageId: message.id || null,
+            content: message.content,
+            response: response ? response.text : null,
+            files: response ? response.files.map(file => path.basename(file)) : [],
+            cost: response ? response.cost : 0,
+            status: status
+        });
+        if (this.history.length > this.historyLimit) {
+            this.history.shift();
+        }
+        
+        if (this.transcripts) {
+            await this.transcripts.recordResponse(message, response, status);
+        }
+        
+        if (this.checkpoints) {
+            await this.checkpoints.advance(message);
+        }
+    }
+
+    /**
+     * Remember that a message is being answered, before the reply goes out, so a crash right
+     * after sending cannot lead to a second reply once the bot restarts
+     */
+    async markAnswered(message) {
+        if (this.checkpoints) {
+            await this.checkpoints.markHandled(message);
+        }
+    }
+
+    /**
+     * Snapshot of what the orchestrator is doing, for the control API and dashboard
+     */
+    getState() {
+        const queue = this.getQueueDepth();
+        const sessions = {};
+        for (const channelKey of Object.keys(this.aiAgent.sessions || {})) {
+            sessions[channelKey] = this.aiAgent.getSessionId(channelKey);
+        }
+        
+        return {
+            running: this.running,
+            paused: queue.paused,
+            testingMode: this.testingMode,
+            startedAt: new Date(this.startedAt).toISOString(),
+            agent: this.aiAgent.constructor.name,
+            model: this.aiAgent.model || null,
+            currentChannels: queue.activeKeys,
+            channels: this.chatPlatform.getChannelStates ? this.chatPlatform.getChannelStates() : [],
+            queue: queue,
+            sessions: sessions,
+            spend: this.costLedger ? this.costLedger.getTotals() : null
+        };
+    }
+
+    pause() {
+        this.workQueue.pause();
+        this.logger.info('Processing paused, new messages will wait in the queue');
+    }
+
+    resume() {
+        this.workQueue.resume();
+        this.logger.info('Processing resumed');
+    }
+
+    setTestingMode(enabled) {
+        this.testingMode = Boolean(enabled);
+        this.logger.info(`Testing mode ${this.testingMode ? 'enabled, responses will not be sent' : 'disabled, responses will be sent'}`);
+    }
+
     async run() {
         this.logger.info('Starting orchestrator main loop...');
         this.running = true;
         
+        if (this.chatPlatform.messageStream) {
+            await this.runMessageStream();
+        } else {
+            await this.runPollingLoop();
+        }
+    }
+
+    async runMessageStream() {
+        this.logger.info('Consuming platform message stream');
+        
+        while (this.running) {
+            try {
+                for await (const newMessages of this.chatPlatform.messageStream()) {
+                    // Mark startup complete after first batch
+                    if (this.chatPlatform.markStartupComplete) {
+                        await this.chatPlatform.markStartupComplete();
+                    }
+                    
+                    try {
+                        await this.handleMessages(newMessages);
+                    } catch (error) {
+                        this.logger.error(`Orchestrator loop error: ${error.message}`);
+                        this.metrics.inc('discoagent_loop_errors_total');
+                    }
+                    
+                    if (!this.running) {
+                        break;
+                    }
+                }
+            } catch (error) {
+                this.logger.error(`Message stream error: ${error.message}`);
+                this.metrics.inc('discoagent_loop_errors_total');
+                await this.sleep(5000);
+            }
+        }
+    }
+
+    async runPollingLoop() {
         while (this.running) {
             try {
                 // Get new messages from the chat platform
@@ -84,48 +708,14 @@ class ChatOrchestrator {
                     await this.chatPlatform.markStartupComplete();
                 }
                 
-                for (const msg of newMessages) {
-                    // Skip messages from the bot itself
-                    if (this.chatPlatform.isOwnMessage && this.chatPlatform.isOwnMessage(msg)) {
-                        this.logger.debug(`Skipping own message`);
-                        continue;
-                    }
-                    
-                    // Skip messages FROM the filtered user to prevent feedback loops
-                    // This prevents processing messages from the user we're supposed to respond to
-                    if (this.filterMentions && msg.author.toLowerCase() === this.filterMentions.toLowerCase()) {
-                        this.logger.info(`Skipping message FROM ${this.filterMentions} (feedback loop prevention)`);
-                        continue;
-                    }
-                    
-                    this.logger.info(`New message from ${msg.author}: ${msg.content}`);
-                    
-                    // Process ALL messages with AI agent (for context/learning)
-                    const response = await this.processMessage(msg);
-                    
-                    if (response) {
-                        // Check if we should send the response to Discord
-                        const shouldRespond = this.shouldSendResponse(msg);
-                        
-                        if (this.testingMode || !shouldRespond) {
-                            // Log to console only (testing mode OR no mention)
-                            const reason = this.testingMode ? 'TESTING MODE' : 'NO MENTION';
-                            this.logger.info(`==== AGENT RESPONSE (${reason} - NOT SENT) ====`);
-                            this.logger.info(response);
-                            this.logger.info('====================================================');
-                        } else {
-                            // Send response to chat platform
-                            await this.chatPlatform.sendMessage(response);
-                            this.logger.info(`Sent response: ${response.substring(0, 100)}...`);
-                        }
-                    }
-                }
+                await this.handleMessages(newMessages);
                 
                 // Wait before checking for new messages again
-                await this.sleep(2000);
+                await this.sleep(this.pollInterval);
                 
             } catch (error) {
                 this.logger.error(`Orchestrator loop error: ${error.message}`);
+                this.metrics.inc('discoagent_loop_errors_total');
                 await this.sleep(5000);
             }
         }
@@ -134,6 +724,15 @@ class ChatOrchestrator {
     async stop() {
         this.logger.info('Stopping orchestrator...');
         this.running = false;
+        this.workQueue.clear();
+        for (const burst of this.pendingBursts.values()) {
+            clearTimeout(burst.timer);
+        }
+        this.pendingBursts.clear();
+        
+        if (this.chatPlatform.stopMessageStream) {
+            this.chatPlatform.stopMessageStream();
+        }
     }
 
     async cleanup() {
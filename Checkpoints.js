@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+
+// Remembers, per channel, the last message whose processing finished and the messages that
+// were already answered, so a restart picks up exactly where the bot stopped. The file is
+// replaced atomically (write then rename) so a crash mid-save never leaves it half written.
+
+// Answered message IDs kept per channel; older ones are behind the checkpoint anyway
+const HANDLED_LIMIT = 500;
+
+class Checkpoints {
+    constructor(config = {}, logger = console) {
+        this.logger = logger;
+        this.checkpointFile = config.checkpointFile || './checkpoints.json';
+        this.channels = {};  // { channel: { lastMessageId, updatedAt, handled: [messageId, ...] } }
+        this.saving = Promise.resolve();  // Chains saves so concurrent channels never write at once
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.checkpointFile, 'utf8'));
+            this.channels = data.channels || {};
+            for (const [channel, state] of Object.entries(this.channels)) {
+                this.logger.info(`Checkpoint for ${channel}: ${state.lastMessageId || 'none'} (${state.updatedAt || 'never'})`);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Error loading checkpoints: ${error.message}`);
+            }
+            this.channels = {};
+        }
+    }
+
+    async save() {
+        this.saving = this.saving.then(async () => {
+            const tempFile = `${this.checkpointFile}.tmp`;
+            try {
+                await fs.writeFile(tempFile, JSON.stringify({ channels: this.channels }, null, 2), 'utf8');
+                await fs.rename(tempFile, this.checkpointFile);
+            } catch (error) {
+                this.logger.error(`Error saving checkpoints: ${error.message}`);
+            }
+        });
+        await this.saving;
+    }
+
+    /**
+     * Last message of a channel whose processing finished
+     * @param {string} channel - Channel target
+     * @returns {string|null} Message ID, or null without a checkpoint
+     */
+    getLastMessageId(channel) {
+        const state = this.channels[channel];
+        return state ? state.lastMessageId : null;
+    }
+
+    /**
+     * Whether a message (or any message merged into it) was already answered
+     * @param {Object} message - Chat message
+     */
+    isHandled(message) {
+        const state = this.channels[message.channel];
+        return Boolean(state) && Checkpoints.messageIds(message).some(id => state.handled.includes(id));
+    }
+
+    /**
+     * Record that a message is being answered. Call before sending, so a crash between
+     * sending and checkpointing can never produce a second reply after the restart.
+     * @param {Object} message - Chat message
+     */
+    async markHandled(message) {
+        const state = this.getState(message.channel);
+        state.handled.push(...Checkpoints.messageIds(message).filter(id => !state.handled.includes(id)));
+        state.handled.splice(0, Math.max(0, state.handled.length - HANDLED_LIMIT));
+        await this.save();
+    }
+
+    /**
+     * Move a channel's checkpoint to a message whose processing finished
+     * @param {Object} message - Chat message
+     */
+    async advance(message) {
+        const ids = Checkpoints.messageIds(message);
+        if (ids.length === 0) {
+            return;
+        }
+        
+        const state = this.getState(message.channel);
+        const latest = ids.reduce((newest, id) => Checkpoints.isNewer(id, newest) ? id : newest);
+        if (Checkpoints.isNewer(latest, state.lastMessageId)) {
+            state.lastMessageId = latest;
+            state.updatedAt = new Date().toISOString();
+            await this.save();
+        }
+    }
+
+    getState(channel) {
+        if (!this.channels[channel]) {
+            this.channels[channel] = { lastMessageId: null, updatedAt: null, handled: [] };
+        }
+        return this.channels[channel];
+    }
+
+    /**
+     * IDs a message stands for: its own, or those of all messages merged into it
+     */
+    static messageIds(message) {
+        return (message.fragmentIds || [message.id]).filter(Boolean);
+    }
+
+    /**
+     * Compare message IDs by the number at their end (Discord snowflakes grow over time)
+     */
+    static isNewer(id, otherId) {
+        if (!otherId) {
+            return true;
+        }
+        const current = /(\d+)$/.exec(id);
+        const other = /(\d+)$/.exec(otherId);
+        if (current && other) {
+            return BigInt(current[1]) > BigInt(other[1]);
+        }
+        return id !== otherId;
+    }
+}
+
+module.exports = Checkpoints;
@@ -0,0 +1,249 @@
+// In-chat commands such as !reset and !status. Messages starting with the prefix and a
+// known command name are answered here instead of going to the agent.
+
+// Permission levels, lowest first. A user may run a command if their level is at least the command's.
+const PERMISSION_LEVELS = ['everyone', 'admin'];
+// What COMMAND_PERMISSIONS may set a command to
+const PERMISSIONS = [...PERMISSION_LEVELS, 'disabled'];
+
+// Model names as the CLIs and model servers spell them (sonnet, gemini-2.5-pro, llama3.1:8b).
+// The agents put the name on a command line, so anything else is refused.
+const MODEL_NAME = /^[\w.:-]+$/;
+
+class CommandHandler {
+    constructor(orchestrator, config = {}) {
+        this.orchestrator = orchestrator;
+        this.prefix = config.commandPrefix || '!';
+        this.admins = (config.commandAdmins || []).map(name => name.toLowerCase());
+        this.permissionOverrides = this.validateOverrides(config.commandPermissions || {});
+        this.commands = new Map();
+        this.registerDefaults();
+    }
+
+    /**
+     * Keep the permission overrides that name a known level. A misspelled level must never
+     * open a command to everyone, so the command keeps its own permission instead.
+     * @param {Object} overrides - Command name to level
+     * @returns {Object} Valid overrides, keyed by lowercase command name
+     */
+    validateOverrides(overrides) {
+        const valid = {};
+        for (const [name, permission] of Object.entries(overrides)) {
+            if (PERMISSIONS.includes(permission)) {
+                valid[name.toLowerCase()] = permission;
+            } else {
+                this.orchestrator.logger.warn(`Ignoring permission "${permission}" for ${this.prefix}${name}: use ${PERMISSIONS.join(', ')}`);
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * Add a command
+     * @param {string} name - Name typed after the prefix
+     * @param {Object} command - description, usage, permission ('everyone' or 'admin') and run(message, args)
+     */
+    register(name, command) {
+        this.commands.set(name.toLowerCase(), { permission: 'everyone', usage: '', ...command });
+    }
+
+    registerDefaults() {
+        this.register('help', {
+            description: 'List the commands you can use',
+            run: message => this.help(message)
+        });
+        this.register('status', {
+            description: 'Show the session, sandbox profile, uptime, queue and spending',
+            run: message => this.status(message)
+        });
+        this.register('reset', {
+            description: 'Start a new conversation in this channel',
+            run: message => this.reset(message)
+        });
+        this.register('cancel', {
+            description: "Stop this channel's running request and drop its queued messages",
+            run: message => this.cancel(message)
+        });
+        this.register('model', {
+            description: 'Show or switch the model',
+            usage: '[name]',
+            permission: 'admin',
+            run: (message, args) => this.model(args)
+        });
+        this.register('turns', {
+            description: 'Show or set the max turns per request',
+            usage: '[number]',
+            permission: 'admin',
+            run: (message, args) => this.turns(args)
+        });
+    }
+
+    /**
+     * Recognize a command in a message
+     * @param {Object} message - Chat message
+     * @returns {Object|null} { name, args } for a known command, otherwise null
+     */
+    parse(message) {
+        const content = (message.content || '').trim();
+        if (!content.startsWith(this.prefix)) {
+            return null;
+        }
+        
+        const [name, ...args] = content.substring(this.prefix.length).split(/\s+/);
+        if (!this.commands.has(name.toLowerCase())) {
+            return null;
+        }
+        return { name: name.toLowerCase(), args: args };
+    }
+
+    /**
+     * Run a parsed command
+     * @param {Object} message - Chat message
+     * @param {Object} parsed - Result of parse()
+     * @returns {Promise<string>} Reply text
+     */
+    async execute(message, parsed) {
+        const command = this.commands.get(parsed.name);
+        const permission = this.getPermission(parsed.name);
+        
+        if (permission === 'disabled') {
+            return `${this.prefix}${parsed.name} is disabled.`;
+        }
+        if (!this.isAllowed(message.author, permission)) {
+            return `⛔ ${this.prefix}${parsed.name} is only available to ${permission}s.`;
+        }
+        
+        try {
+            return await command.run(message, parsed.args);
+        } catch (error) {
+            this.orchestrator.logger.error(`Command ${parsed.name} failed: ${error.message}`);
+            return `Command failed: ${error.message}`;
+        }
+    }
+
+    getPermission(name) {
+        return this.permissionOverrides[name] || this.commands.get(name).permission;
+    }
+
+    getUserLevel(author) {
+        // COMMAND_ADMINS and the admin access role both grant the admin level
+        const isAdmin = this.admins.includes((author || '').toLowerCase()) ||
+                        this.orchestrator.accessControl.hasCapability(author, 'admin');
+        return isAdmin ? 'admin' : 'everyone';
+    }
+
+    isAllowed(author, permission) {
+        // An unknown level counts as admin, never as open to everyone
+        const required = PERMISSION_LEVELS.includes(permission) ? permission : 'admin';
+        return PERMISSION_LEVELS.indexOf(this.getUserLevel(author)) >= PERMISSION_LEVELS.indexOf(required);
+    }
+
+    help(message) {
+        const lines = ['**Commands**'];
+        for (const [name, command] of this.commands) {
+            const permission = this.getPermission(name);
+            if (permission === 'disabled' || !this.isAllowed(message.author, permission)) {
+                continue;
+            }
+            const usage = command.usage ? ` ${command.usage}` : '';
+            lines.push(`\`${this.prefix}${name}${usage}\` - ${command.description}`);
+        }
+        return lines.join('\n');
+    }
+
+    status(message) {
+        const { aiAgent, costLedger } = this.orchestrator;
+        const queue = this.orchestrator.getQueueDepth();
+        const profile = this.orchestrator.getProfile(message);
+        
+        const agentInfo = [aiAgent.model ? `model ${aiAgent.model}` : null, aiAgent.maxTurns ? `max turns ${aiAgent.maxTurns}` : null]
+            .filter(Boolean)
+            .join(', ');
+        const lines = [
+            '**Status**',
+            `Agent: ${aiAgent.constructor.name}${agentInfo ? ` (${agentInfo})` : ''}`,
+            `Session: ${aiAgent.getSessionId(message.channel, profile) || 'none'}`,
+            `Profile: ${profile ? this.orchestrator.sandboxProfiles.describe(profile) : 'none (not supported by this agent)'}${this.orchestrator.accessControl.hasCapability(message.author, 'tools') ? '' : ', tools disabled for your role'}`,
+            `Uptime: ${formatDuration(Date.now() - this.orchestrator.startedAt)}`,
+            `Queue: ${queue.running} running, ${queue.waiting} waiting${queue.waiting > 0 ? ` (oldest ${formatSeconds(queue.oldestWaitMs)})` : ''}, average wait ${formatSeconds(queue.averageWaitMs)}`
+        ];
+        
+        if (costLedger) {
+            const totals = costLedger.getTotals();
+            const spend = value => `$${(value || 0).toFixed(2)}`;
+            lines.push(`Spend since ${totals.since}: you ${spend(totals.users[message.author])}, this channel ${spend(totals.channels[message.channel])}, total ${spend(totals.total)}`);
+        }
+        return lines.join('\n');
+    }
+
+    async reset(message) {
+        const { aiAgent } = this.orchestrator;
+        // Users with another sandbox profile keep their own conversation in this channel
+        const profile = this.orchestrator.getProfile(message);
+        const sessionId = aiAgent.getSessionId(message.channel, profile);
+        if (!sessionId) {
+            return 'No conversation to reset, the next message starts a new one.';
+        }
+        await aiAgent.clearSession(message.channel, profile);
+        return '🔄 Conversation reset, the next message starts a new session.';
+    }
+
+    cancel(message) {
+        const dropped = this.orchestrator.dropQueued(message.channel);
+        const stopped = this.orchestrator.aiAgent.cancel(message.channel);
+        
+        if (!stopped && dropped === 0) {
+            return 'Nothing to cancel.';
+        }
+        const parts = [];
+        if (stopped) parts.push('stopped the running request');
+        if (dropped > 0) parts.push(`dropped ${dropped} queued message(s)`);
+        return `⏹️ Cancelled: ${parts.join(' and ')}.`;
+    }
+
+    model(args) {
+        const { aiAgent } = this.orchestrator;
+        if (!('model' in aiAgent)) {
+            return 'This agent has no model setting.';
+        }
+        if (args.length === 0) {
+            return `Current model: ${aiAgent.model}`;
+        }
+        if (!MODEL_NAME.test(args[0])) {
+            return 'Invalid model name: use letters, digits and . _ : - only.';
+        }
+        aiAgent.model = args[0];
+        this.orchestrator.logger.info(`Model switched to ${aiAgent.model}`);
+        return `🧠 Model switched to ${aiAgent.model} (until restart).`;
+    }
+
+    turns(args) {
+        const { aiAgent } = this.orchestrator;
+        if (!('maxTurns' in aiAgent)) {
+            return 'This agent has no max turns setting.';
+        }
+        if (args.length === 0) {
+            return `Current max turns: ${aiAgent.maxTurns}`;
+        }
+        const turns = parseInt(args[0]);
+        if (!(turns > 0)) {
+            return `Usage: ${this.prefix}turns <number>`;
+        }
+        aiAgent.maxTurns = turns;
+        this.orchestrator.logger.info(`Max turns set to ${turns}`);
+        return `Max turns set to ${turns} (until restart).`;
+    }
+}
+
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor(minutes / 60) % 24;
+    return `${days > 0 ? `${days}d ` : ''}${hours}h ${minutes % 60}m`;
+}
+
+function formatSeconds(ms) {
+    return `${Math.round(ms / 1000)}s`;
+}
+
+module.exports = CommandHandler;
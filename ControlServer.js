@@ -0,0 +1,167 @@
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Optional local HTTP API for watching and steering the running bot, plus a small
+// dashboard (dashboard.html) built on top of it. API responses are JSON, except /metrics,
+// which is in the Prometheus text format.
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+class ControlServer {
+    constructor(orchestrator, config = {}, logger = console) {
+        this.orchestrator = orchestrator;
+        this.logger = logger;
+        this.port = config.controlPort;
+        this.host = config.controlHost || '127.0.0.1';
+        this.token = config.controlToken || null;
+        this.server = null;
+        
+        // "METHOD /path" -> handler(body, url); handlers return the JSON payload
+        this.routes = {
+            'GET /api/state': () => this.orchestrator.getState(),
+            'GET /api/history': () => this.orchestrator.history,
+            'GET /api/transcripts': (body, url) => {
+                if (!this.orchestrator.transcripts) {
+                    throw httpError(404, 'The transcript archive is disabled');
+                }
+                const filters = Object.fromEntries(url.searchParams);
+                return this.orchestrator.transcripts.search({ ...filters, limit: parseInt(filters.limit) || 100 })
+                    .catch(error => {
+                        throw httpError(400, error.message);
+                    });
+            },
+            'POST /api/pause': () => {
+                this.orchestrator.pause();
+                return { paused: true };
+            },
+            'POST /api/resume': () => {
+                this.orchestrator.resume();
+                return { paused: false };
+            },
+            'POST /api/testing-mode': body => {
+                this.orchestrator.setTestingMode(body.enabled);
+                return { testingMode: this.orchestrator.testingMode };
+            },
+            'POST /api/sessions/reset': async body => {
+                await this.orchestrator.aiAgent.clearSession(requireField(body, 'channel'));
+                this.logger.info(`Session for ${body.channel} reset through the control API`);
+                return { reset: body.channel };
+            },
+            'POST /api/messages': async body => {
+                const text = requireField(body, 'text');
+                const messageId = await this.orchestrator.chatPlatform.sendMessage(text, body.channel || null);
+                this.logger.info(`Sent manual message to ${body.channel || 'the default channel'} through the control API`);
+                return { sent: true, messageId: messageId || null };
+            }
+        };
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.logger.info(`Control API and dashboard on http://${this.host}:${this.server.address().port}/`);
+                resolve();
+            });
+        });
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        
+        try {
+            if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+                const html = await fs.readFile(path.join(__dirname, 'dashboard.html'));
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(html);
+                return;
+            }
+            
+            if (req.method === 'GET' && url.pathname === '/metrics') {
+                if (!this.isAuthorized(req, url)) {
+                    return this.send(res, 401, { error: 'Missing or wrong token' });
+                }
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(this.orchestrator.metrics.render());
+                return;
+            }
+            
+            const route = this.routes[`${req.method} ${url.pathname}`];
+            if (!route) {
+                return this.send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+            }
+            if (!this.isAuthorized(req, url)) {
+                return this.send(res, 401, { error: 'Missing or wrong token' });
+            }
+            
+            // Requiring JSON makes browsers preflight cross-site requests, which are never allowed
+            if (req.method === 'POST' && !(req.headers['content-type'] || '').startsWith('application/json')) {
+                return this.send(res, 415, { error: 'POST bodies must be application/json' });
+            }
+            
+            const body = req.method === 'POST' ? await readJson(req) : {};
+            this.send(res, 200, await route(body, url));
+        } catch (error) {
+            this.logger.warn(`Control API ${req.method} ${url.pathname} failed: ${error.message}`);
+            this.send(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    isAuthorized(req, url) {
+        if (!this.token) {
+            return true;
+        }
+        const header = req.headers['authorization'] || '';
+        return header === `Bearer ${this.token}` || url.searchParams.get('token') === this.token;
+    }
+
+    send(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload, null, 2));
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+            if (data.length > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(httpError(400, `Invalid JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function requireField(body, field) {
+    if (!body[field]) {
+        throw httpError(400, `Missing "${field}"`);
+    }
+    return body[field];
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = ControlServer;
@@ -0,0 +1,231 @@
+const fs = require('fs').promises;
+
+// Records what each agent call cost, by user, channel, session and day, and enforces
+// spending caps for the current budget period. Days are UTC dates.
+
+const RESET_PERIODS = ['daily', 'weekly', 'monthly', 'never'];
+
+class CostLedger {
+    constructor(config = {}, logger = console) {
+        this.logger = logger;
+        this.ledgerFile = config.costLedgerFile || './cost-ledger.json';
+        // Caps in USD for the current period, 0 means unlimited
+        this.caps = {
+            user: config.costCapUser || 0,
+            channel: config.costCapChannel || 0,
+            total: config.costCapTotal || 0
+        };
+        this.resetPeriod = RESET_PERIODS.includes(config.costResetPeriod) ? config.costResetPeriod : 'daily';
+        this.retentionDays = config.costRetentionDays || 90;
+        this.days = {};  // { 'YYYY-MM-DD': { total, users, channels, sessions } }
+        this.saving = Promise.resolve();  // Chains saves so concurrent records never write at once
+    }
+
+    /**
+     * Load the ledger from disk
+     */
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.ledgerFile, 'utf8'));
+            this.days = data.days || {};
+            const totals = this.getTotals();
+            this.logger.info(`Loaded cost ledger: $${totals.total.toFixed(2)} spent since ${totals.since} (${this.resetPeriod} budget)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Error loading cost ledger: ${error.message}`);
+            }
+            this.days = {};
+        }
+    }
+
+    /**
+     * Save the ledger to disk
+     */
+    async save() {
+        this.saving = this.saving.then(async () => {
+            try {
+                await fs.writeFile(this.ledgerFile, JSON.stringify({ days: this.days }, null, 2), 'utf8');
+            } catch (error) {
+                this.logger.error(`Error saving cost ledger: ${error.message}`);
+            }
+        });
+        await this.saving;
+    }
+
+    /**
+     * Add the cost of one agent call
+     * @param {Object} entry - user, channel, sessionId and cost in USD
+     */
+    async record(entry) {
+        const day = this.today();
+        const bucket = this.days[day] || (this.days[day] = CostLedger.emptyTotals());
+        const cost = entry.cost || 0;
+        
+        bucket.total += cost;
+        CostLedger.add(bucket.users, entry.user, cost);
+        CostLedger.add(bucket.channels, entry.channel, cost);
+        CostLedger.add(bucket.sessions, entry.sessionId, cost);
+        
+        this.prune();
+        await this.save();
+    }
+
+    /**
+     * Check whether a user may run another request in a channel
+     * @param {string} user - Message author
+     * @param {string} channel - Channel the message came from
+     * @returns {Object|null} The cap that was reached ({ scope, spent, cap }), or null if within budget
+     */
+    checkBudget(user, channel) {
+        const totals = this.getTotals();
+        const checks = [
+            { scope: 'user', spent: totals.users[user] || 0 },
+            { scope: 'channel', spent: totals.channels[channel] || 0 },
+            { scope: 'total', spent: totals.total }
+        ];
+        
+        for (const check of checks) {
+            const cap = this.caps[check.scope];
+            if (cap > 0 && check.spent >= cap) {
+                return { ...check, cap: cap };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Polite message for a request that was refused because a cap was reached
+     * @param {Object} exceeded - Result of checkBudget()
+     * @returns {string} Message text
+     */
+    formatRefusal(exceeded) {
+        const whose = {
+            user: 'your',
+            channel: "this channel's",
+            total: "the bot's"
+        }[exceeded.scope];
+        const period = this.resetPeriod === 'never' ? '' : ` ${this.resetPeriod}`;
+        const reset = this.nextReset();
+        
+        let text = `💸 Sorry, ${whose}${period} budget of $${exceeded.cap.toFixed(2)} has been used up ($${exceeded.spent.toFixed(2)} spent), so I can't take more requests`;
+        text += reset ? ` until ${reset.toISOString().replace('T', ' ').substring(0, 16)} UTC.` : '.';
+        return text;
+    }
+
+    /**
+     * Totals for the current budget period
+     * @returns {Object} since (first day counted), total, and per user, channel and session totals
+     */
+    getTotals() {
+        const since = this.periodStart();
+        const totals = { since: since, ...CostLedger.emptyTotals() };
+        
+        for (const [day, bucket] of Object.entries(this.days)) {
+            if (day < since) continue;
+            totals.total += bucket.total;
+            for (const key of ['users', 'channels', 'sessions']) {
+                for (const [name, cost] of Object.entries(bucket[key])) {
+                    CostLedger.add(totals[key], name, cost);
+                }
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * Human-readable report of the current period and each recorded day
+     * @returns {string} Report text
+     */
+    formatReport() {
+        const totals = this.getTotals();
+        const lines = [`Spent since ${totals.since} (${this.resetPeriod} budget): $${totals.total.toFixed(2)}`];
+        
+        const section = (title, costs, cap) => {
+            const entries = Object.entries(costs).sort((a, b) => b[1] - a[1]);
+            if (entries.length === 0) return;
+            lines.push('', `${title}${cap ? ` (cap $${cap.toFixed(2)})` : ''}:`);
+            entries.forEach(([name, cost]) => lines.push(`  ${name}: $${cost.toFixed(2)}`));
+        };
+        
+        section('By user', totals.users, this.caps.user);
+        section('By channel', totals.channels, this.caps.channel);
+        
+        const days = Object.keys(this.days).sort().reverse();
+        if (days.length > 0) {
+            lines.push('', 'By day:');
+            days.forEach(day => lines.push(`  ${day}: $${this.days[day].total.toFixed(2)}`));
+        }
+        return lines.join('\n');
+    }
+
+    today(now = new Date()) {
+        return now.toISOString().substring(0, 10);
+    }
+
+    periodStart(now = new Date()) {
+        if (this.resetPeriod === 'weekly') {
+            // Weeks start on Monday
+            const monday = new Date(now);
+            monday.setUTCDate(now.getUTCDate() - (now.getUTCDay() + 6) % 7);
+            return monday.toISOString().substring(0, 10);
+        }
+        if (this.resetPeriod === 'monthly') {
+            return `${now.toISOString().substring(0, 7)}-01`;
+        }
+        if (this.resetPeriod === 'never') {
+            return '0000-00-00';
+        }
+        return this.today(now);
+    }
+
+    nextReset(now = new Date()) {
+        if (this.resetPeriod === 'never') {
+            return null;
+        }
+        const next = new Date(`${this.periodStart(now)}T00:00:00Z`);
+        if (this.resetPeriod === 'weekly') {
+            next.setUTCDate(next.getUTCDate() + 7);
+        } else if (this.resetPeriod === 'monthly') {
+            next.setUTCMonth(next.getUTCMonth() + 1);
+        } else {
+            next.setUTCDate(next.getUTCDate() + 1);
+        }
+        return next;
+    }
+
+    prune(now = new Date()) {
+        // Keep recent days for reporting, but never drop days the current period still counts
+        const cutoff = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+        const periodStart = this.periodStart(now);
+        const oldest = cutoff < periodStart ? cutoff : periodStart;
+        for (const day of Object.keys(this.days)) {
+            if (day < oldest) {
+                delete this.days[day];
+            }
+        }
+    }
+
+    static emptyTotals() {
+        return { total: 0, users: {}, channels: {}, sessions: {} };
+    }
+
+    static add(costs, name, cost) {
+        if (!name) return;
+        costs[name] = (costs[name] || 0) + cost;
+    }
+}
+
+// `npm run costs` prints the ledger for operators
+if (require.main === module) {
+    require('dotenv').config();
+    const ledger = new CostLedger({
+        costLedgerFile: process.env.COST_LEDGER_FILE,
+        costCapUser: parseFloat(process.env.COST_CAP_USER) || 0,
+        costCapChannel: parseFloat(process.env.COST_CAP_CHANNEL) || 0,
+        costCapTotal: parseFloat(process.env.COST_CAP_TOTAL) || 0,
+        costResetPeriod: process.env.COST_RESET_PERIOD
+    }, { info() {}, error: console.error });
+    ledger.load().then(() => console.log(ledger.formatReport()));
+}
+
+module.exports = CostLedger;
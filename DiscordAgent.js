@@ -1,21 +1,285 @@
 const { chromium } = require('playwright');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const MessageSplitter = require('./MessageSplitter');
+const Metrics = require('./Metrics');
+const Checkpoints = require('./Checkpoints');
+const SelectorProfile = require('./SelectorProfile');
+
+// The functions below run inside the Discord page, not in Node. They are serialized
+// with toString() so the polling scrape and the MutationObserver share one extractor.
+// Selectors come from the agent's SelectorProfile, passed in as `sel`.
+
+// Lookups by selector role, trying the role's selectors in order until one matches
+function createPageSelectors(roles) {
+    const firstMatch = (role, find) => {
+        for (const selector of roles[role]) {
+            try {
+                const found = find(selector);
+                if (found) {
+                    return found;
+                }
+            } catch (error) {
+                // An invalid selector counts as no match, the next one may still work
+            }
+        }
+        return null;
+    };
+    
+    return {
+        first: (root, role) => firstMatch(role, selector => root.querySelector(selector)),
+        all: (root, role) => firstMatch(role, selector => {
+            const found = root.querySelectorAll(selector);
+            return found.length > 0 ? [...found] : null;
+        }) || [],
+        closest: (el, role) => firstMatch(role, selector => el.closest(selector)),
+        matches: (el, role) => firstMatch(role, selector => el.matches(selector)) === true
+    };
+}
+
+function extractMessage(el, sel) {
+    // Skip if this is a reply preview content
+    if (sel.matches(el, 'replyPreviewContent')) {
+        return null;
+    }
+    
+    // Try multiple ways to find the message container and author
+    const messageContainer = sel.closest(el, 'messageContainer');
+    
+    // Debug logging
+    const debugInfo = {
+        messageId: el.id,
+        containerFound: !!messageContainer,
+        containerClasses: messageContainer?.className || 'none',
+        containerId: messageContainer?.id || 'none'
+    };
+    
+    // Discord has two patterns for usernames:
+    // 1. Messages with headers: username is in <span id="message-username-XXX">
+    // 2. Continuation messages: no username element, but aria-labelledby references previous message's username
+    
+    let author = 'Unknown';
+    let usernameElementId = null;
+    
+    if (messageContainer) {
+        // Pattern 1: Look for username element with ID (messages with headers)
+        const usernameElement = sel.first(messageContainer, 'usernameHeader');
+        if (usernameElement && !sel.closest(usernameElement, 'replyPreview')) {
+            // Find the actual username span within this element
+            const usernameSpan = sel.first(usernameElement, 'username');
+            if (usernameSpan) {
+                author = usernameSpan.textContent.trim();
+                usernameElementId = usernameElement.id;
+                debugInfo.method = `Found username in header: ${author}`;
+            }
+        }
+        
+        // Pattern 2: For continuation messages, check aria-labelledby
+        if (author === 'Unknown') {
+            const ariaLabelledBy = messageContainer.getAttribute('aria-labelledby');
+            if (ariaLabelledBy) {
+                // Extract the username element ID from aria-labelledby
+                // Format: "message-username-XXX uid_1 message-content-YYY uid_2 message-timestamp-ZZZ"
+                const parts = ariaLabelledBy.split(' ');
+                const usernameId = parts.find(part => part.startsWith('message-username-'));
+                
+                if (usernameId) {
+                    // This is a continuation message, store the reference
+                    debugInfo.continuationRef = usernameId;
+                    debugInfo.method = 'Continuation message - will use previous author';
+                    // Author will be resolved later using message history
+                }
+            }
+        }
+        
+        // Log debugging info for unknown authors
+        if (author === 'Unknown') {
+            console.log('Author detection:', JSON.stringify(debugInfo));
+        }
+    }
+    
+    const timestampElement = messageContainer ? sel.first(messageContainer, 'timestamp') : null;
+    
+    // Attachments, inline images and embeds live next to the content element, in the same container
+    const attachments = [];
+    const embeds = [];
+    if (messageContainer) {
+        // Keyed by path: the CDN original and its media.discordapp.net preview share it
+        const seenPaths = new Set();
+        const addAttachment = url => {
+            const pathname = url ? new URL(url, location.href).pathname : null;
+            if (!pathname || seenPaths.has(pathname)) {
+                return;
+            }
+            seenPaths.add(pathname);
+            const filename = decodeURIComponent(pathname.split('/').pop() || 'attachment');
+            attachments.push({ url: url, filename: filename });
+        };
+        const isInReplyPreview = node => !!sel.closest(node, 'replyPreview');
+        
+        sel.all(messageContainer, 'attachmentLink').forEach(link => {
+            if (!isInReplyPreview(link)) {
+                addAttachment(link.href);
+            }
+        });
+        sel.all(messageContainer, 'attachmentImage').forEach(img => {
+            // Image previews are resized copies; prefer the original the preview links to
+            if (!isInReplyPreview(img) && !sel.closest(img, 'attachmentLink')) {
+                addAttachment(img.src);
+            }
+        });
+        sel.all(messageContainer, 'embed').forEach(embed => {
+            const text = embed.innerText.trim();
+            if (text) {
+                embeds.push(text);
+            }
+        });
+    }
+    
+    return {
+        id: el.id,
+        content: el.textContent.trim(),
+        author: author,
+        usernameElementId: usernameElementId,
+        timestamp: timestampElement?.getAttribute('datetime') || new Date().toISOString(),
+        attachments: attachments,
+        embeds: embeds
+    };
+}
+
+function scrapeMessages(extract, sel) {
+    const messageList = [];
+    sel.all(document, 'messageContent').forEach(el => {
+        const message = extract(el, sel);
+        if (message) {
+            messageList.push(message);
+        }
+    });
+    return messageList;
+}
+
+function installMessageObserver(extract, sel) {
+    if (window.__discoMessageObserver) {
+        return;
+    }
+    
+    const observer = new MutationObserver(mutations => {
+        const found = [];
+        for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    continue;
+                }
+                const elements = sel.matches(node, 'messageContent')
+                    ? [node]
+                    : sel.all(node, 'messageContent');
+                elements.forEach(el => {
+                    const message = extract(el, sel);
+                    if (message) {
+                        found.push(message);
+                    }
+                });
+            }
+        }
+        if (found.length > 0 && window.__discoOnMessages) {
+            window.__discoOnMessages(found);
+        }
+    });
+    
+    const start = () => observer.observe(document.body, { childList: true, subtree: true });
+    if (document.body) {
+        start();
+    } else {
+        // Init scripts run before the document exists
+        document.addEventListener('DOMContentLoaded', start);
+    }
+    window.__discoMessageObserver = observer;
+}
+
+// Script source running one of the functions above with a profile's selectors
+function buildPageScript(fn, selectors) {
+    return `(${fn})(${extractMessage}, (${createPageSelectors})(${JSON.stringify(selectors.pageRoles())}))`;
+}
+
+// Scroll the message list to the top (loading older messages) or back to the bottom
+function scrollMessages({ toTop, listSelectors }) {
+    let scroller = null;
+    for (const selector of listSelectors) {
+        try {
+            scroller = document.querySelector(selector);
+        } catch (error) {
+            // Invalid selector, try the next one
+        }
+        if (scroller) {
+            break;
+        }
+    }
+    while (scroller && scroller.scrollHeight <= scroller.clientHeight) {
+        scroller = scroller.parentElement;
+    }
+    if (!scroller) {
+        return false;
+    }
+    scroller.scrollTop = toTop ? 0 : scroller.scrollHeight;
+    return true;
+}
+
+// How many times to scroll up looking for the checkpoint before giving up
+const MAX_CHECKPOINT_SCROLLS = 25;
+
+// Discord message IDs end in a snowflake, which grows over time, so IDs can be
+// ordered even after the element for the older one has been virtualized away
+function isNewerMessage(id, lastId) {
+    return Checkpoints.isNewer(id, lastId);
+}
 
 class DiscordAgent {
     constructor(config, logger) {
         this.config = config;  // Store the full config for later use
         this.logger = logger;
+        this.metrics = config.metrics || new Metrics();
+        this.checkpoints = config.checkpoints || null;  // Where reading resumes after a restart
         this.discordEmail = config.discordEmail;
         this.discordPassword = config.discordPassword;
-        this.targetChannel = config.targetChannel;
         this.browser = null;
-        this.page = null;
-        this.lastMessageId = null;
-        this.lastKnownAuthor = null;  // Track the last known author
+        this.page = null;  // Primary page, used for login
+        
+        // Each monitored channel or DM gets its own tab and its own read position
+        const targets = config.channels && config.channels.length > 0 ? config.channels : [config.targetChannel];
+        this.channels = targets.filter(Boolean).map(target => ({
+            target: target,
+            page: null,
+            lastMessageId: null,
+            lastKnownAuthor: null,  // Track the last known author
+            isStartup: true,  // Track if this is the first message fetch after startup
+            observerInstalled: false,
+            selfTest: null,  // Result of the selector self-test run after the channel opened
+            unknownAuthorsReported: false,
+            pageLock: Promise.resolve()  // Serializes sending on this channel's page
+        }));
         this.botName = config.botName || 'ClaudeAgent';
         this.responseDelay = config.responseDelay || 2000;
         this.skip2FA = config.skip2FA || false;
-        this.isStartup = true;  // Track if this is the first message fetch after startup
+        this.replyPing = config.replyPing !== false;  // Whether native replies mention the author
+        this.chunkMarkers = config.chunkMarkers || false;  // Append "(1/3)" to multi-chunk messages
+        this.attachmentDir = config.attachmentDir || path.join(os.tmpdir(), 'discoagent-attachments');
+        this.maxAttachmentBytes = config.maxAttachmentBytes || 25 * 1024 * 1024;
+        this.maxUploadBytes = config.maxUploadBytes || 10 * 1024 * 1024;  // Discord's limit without boosts
         this.startupMessageLimit = config.startupMessageLimit !== undefined ? config.startupMessageLimit : 3; // Default to 3, can be set to 0
+        
+        // Selectors for Discord's markup, checked against each channel once it is open
+        this.selectors = new SelectorProfile(config, logger);
+        this.selfTest = config.selfTest !== false;
+        
+        // Event-driven capture: a MutationObserver in each tab pushes new messages to Node,
+        // polling stays as a fallback (or the only mechanism when the observer is disabled)
+        this.useDomObserver = config.useDomObserver !== false;
+        this.pollInterval = config.pollInterval || 2000;
+        this.observerFallbackInterval = config.observerFallbackInterval || 30000;
+        this.observedMessages = [];
+        this.observedWaiter = null;
+        this.streamActive = false;
     }
 
     async initialize() {
@@ -23,6 +287,8 @@ class DiscordAgent {
         this.logger.info('Browser launch configuration: headless=false, persistent session=./discord-session');
         
         try {
+            await this.selectors.load();
+            
             const context = await chromium.launchPersistentContext('./discord-session', {
                 headless: false,
                 viewport: { width: 1280, height: 720 }
@@ -73,24 +339,10 @@ class DiscordAgent {
                 await this.page.waitForTimeout(2000);
                 
                 // Try multiple ways to detect if we're logged in
-                const loggedInIndicators = [
-                    this.page.locator('[data-list-id="channels"]').first(),
-                    this.page.locator('[class*="sidebar"]').first(),
-                    this.page.locator('[aria-label*="Server"]').first(),
-                    this.page.locator('[role="navigation"]').first()
-                ];
-                
-                let isLoggedIn = false;
-                for (const indicator of loggedInIndicators) {
-                    try {
-                        if (await indicator.isVisible({ timeout: 2000 })) {
-                            isLoggedIn = true;
-                            this.logger.info(`Found logged-in indicator: ${await indicator.evaluate(el => el.tagName + '.' + el.className)}`);
-                            break;
-                        }
-                    } catch (e) {
-                        // Continue checking other indicators
-                    }
+                const indicator = await this.selectors.findVisible(this.page, this.selectors.get('loggedIn'));
+                const isLoggedIn = !!indicator;
+                if (indicator) {
+                    this.logger.info(`Found logged-in indicator: ${await indicator.locator.evaluate(el => el.tagName + '.' + el.className)}`);
                 }
                 
                 if (isLoggedIn) {
@@ -115,23 +367,45 @@ class DiscordAgent {
                 }
             }
             
-            // Try to navigate to channel
-            try {
-                await this.navigateToChannel();
-                this.logger.info(`Successfully connected to channel: ${this.targetChannel}`);
-            } catch (navError) {
-                this.logger.error(`Failed to navigate to channel: ${navError.message}`);
+            // Open one tab per channel; the first channel reuses the login page
+            this.logger.info(`Monitoring ${this.channels.length} channel(s)`);
+            for (let i = 0; i < this.channels.length; i++) {
+                const channel = this.channels[i];
+                channel.page = i === 0 ? this.page : await context.newPage();
                 
-                // Last resort - try direct navigation if we have a URL
-                if (this.targetChannel.startsWith('http')) {
-                    this.logger.info('Attempting direct navigation to channel URL...');
-                    await this.page.goto(this.targetChannel, { waitUntil: 'domcontentloaded' });
-                    await this.page.waitForTimeout(3000);
-                } else {
-                    throw navError;
+                try {
+                    await this.navigateToChannel(channel);
+                    this.logger.info(`Successfully connected to channel: ${channel.target}`);
+                } catch (navError) {
+                    this.logger.error(`Failed to navigate to channel ${channel.target}: ${navError.message}`);
+                    
+                    // Last resort - try direct navigation if we have a URL
+                    if (channel.target.startsWith('http')) {
+                        this.logger.info('Attempting direct navigation to channel URL...');
+                        await channel.page.goto(channel.target, { waitUntil: 'domcontentloaded' });
+                        await channel.page.waitForTimeout(3000);
+                    } else {
+                        // Save a report in case the channel list or message box selectors no longer match
+                        if (this.selfTest) {
+                            await this.checkSelectors(channel);
+                        }
+                        throw navError;
+                    }
+                }
+                
+                if (this.selfTest) {
+                    await this.checkSelectors(channel);
+                }
+                
+                if (this.useDomObserver) {
+                    try {
+                        await this.installMessageObserver(channel);
+                    } catch (observerError) {
+                        this.logger.warn(`Could not install message observer for ${channel.target}, falling back to polling: ${observerError.message}`);
+                    }
                 }
             }
-            
+
         } catch (error) {
             this.logger.error(`Initialization error: ${error.message}`);
             throw error;
@@ -157,7 +431,7 @@ class DiscordAgent {
             this.logger.info('Waiting for email input field...');
             
             try {
-                await this.page.waitForSelector('input[name="email"]', { timeout: 5000 });
+                await this.page.waitForSelector(this.selectors.any('loginEmail'), { timeout: 5000 });
                 this.logger.info('Email input field found');
             } catch (timeoutError) {
                 // Check if we got redirected while waiting
@@ -170,20 +444,20 @@ class DiscordAgent {
             }
             
             // Check if password field is also present
-            const hasPasswordField = await this.page.locator('input[name="password"]').count() > 0;
+            const hasPasswordField = await this.page.locator(this.selectors.any('loginPassword')).count() > 0;
             this.logger.info(`Password field present: ${hasPasswordField}`);
             
             // Fill email field
             this.logger.info(`Entering email: ${this.discordEmail.substring(0, 3)}***`);
-            await this.page.fill('input[name="email"]', this.discordEmail);
+            await this.page.locator(this.selectors.any('loginEmail')).first().fill(this.discordEmail);
             
             // Fill password field
             this.logger.info('Entering password...');
-            await this.page.fill('input[name="password"]', this.discordPassword);
+            await this.page.locator(this.selectors.any('loginPassword')).first().fill(this.discordPassword);
             
             // Find and click the Log In button
             this.logger.info('Looking for Log In button...');
-            const submitButton = await this.page.locator('button[type="submit"]');
+            const submitButton = this.page.locator(this.selectors.any('loginSubmit')).first();
             const buttonText = await submitButton.textContent();
             this.logger.info(`Found submit button with text: "${buttonText}"`);
             
@@ -195,16 +469,16 @@ class DiscordAgent {
             
             // Wait for either channels to load, 2FA prompt, or error message
             const result = await Promise.race([
-                this.page.waitForSelector('[data-list-id="channels"]', { timeout: 30000 }).then(() => 'channels'),
-                this.page.waitForSelector('[aria-label*="Auth" i], [aria-label*="2FA" i], [aria-label*="code" i]', { timeout: 30000 }).then(() => '2fa'),
-                this.page.waitForSelector('[class*="error" i], [class*="invalid" i]', { timeout: 5000 }).then(() => 'error'),
+                this.page.waitForSelector(this.selectors.any('channelList'), { timeout: 30000 }).then(() => 'channels'),
+                this.page.waitForSelector(this.selectors.any('twoFactorPrompt'), { timeout: 30000 }).then(() => '2fa'),
+                this.page.waitForSelector(this.selectors.any('loginError'), { timeout: 5000 }).then(() => 'error'),
                 this.page.waitForTimeout(30000).then(() => 'timeout')
             ]);
             
             this.logger.info(`Login result: ${result}`);
             
             if (result === 'error') {
-                const errorText = await this.page.locator('[class*="error" i], [class*="invalid" i]').first().textContent();
+                const errorText = await this.page.locator(this.selectors.any('loginError')).first().textContent();
                 this.logger.error(`Login error detected: ${errorText}`);
                 throw new Error(`Login failed: ${errorText}`);
             }
@@ -218,7 +492,7 @@ class DiscordAgent {
                     this.logger.warn('2FA authentication required. Please enter code manually in the browser window.');
                     this.logger.info('Waiting up to 2 minutes for 2FA completion...');
                     this.logger.info('(Set SKIP_2FA=true in .env to skip this wait if already authenticated)');
-                    await this.page.waitForSelector('[data-list-id="channels"]', { timeout: 120000 });
+                    await this.page.waitForSelector(this.selectors.any('channelList'), { timeout: 120000 });
                     this.logger.info('2FA completed successfully');
                 }
             }
@@ -254,85 +528,59 @@ class DiscordAgent {
     }
 
 
-    async navigateToChannel() {
-        this.logger.info(`Attempting to navigate to channel: ${this.targetChannel}`);
+    async navigateToChannel(channel = this.channels[0]) {
+        const page = channel.page;
+        const target = channel.target;
+        this.logger.info(`Attempting to navigate to channel: ${target}`);
         
-        if (this.targetChannel.startsWith('http')) {
-            await this.page.goto(this.targetChannel);
+        if (target.startsWith('http')) {
+            await page.goto(target);
             // Wait longer for channel to fully load
-            await this.page.waitForTimeout(5000);
+            await page.waitForTimeout(5000);
         } else {
-            // Wait for channel list to load
-            await this.page.waitForSelector('[data-list-id="channels"]', { timeout: 15000 });
+            // Fresh tabs start blank, so load the app before looking for the channel
+            if (!page.url().includes('discord.com')) {
+                await page.goto('https://discord.com/channels/@me', { waitUntil: 'domcontentloaded' });
+            }
             
-            // Try multiple selectors for channel
-            const selectors = [
-                `[aria-label*="${this.targetChannel}" i]`,
-                `[data-dnd-name*="${this.targetChannel}" i]`,
-                `text="${this.targetChannel}"`,
-                `[aria-label="${this.targetChannel}"]`
-            ];
-            
-            let clicked = false;
-            for (const selector of selectors) {
-                try {
-                    const element = await this.page.locator(selector).first();
-                    if (await element.isVisible({ timeout: 2000 })) {
-                        await element.click();
-                        clicked = true;
-                        this.logger.info(`Clicked channel using selector: ${selector}`);
-                        break;
-                    }
-                } catch (e) {
-                    // Try next selector
-                }
+            // "@name" targets a direct message thread, anything else a server channel
+            const isDirectMessage = target.startsWith('@');
+            const name = isDirectMessage ? target.substring(1) : target;
+            
+            if (isDirectMessage && !page.url().includes('/channels/@me')) {
+                await page.goto('https://discord.com/channels/@me', { waitUntil: 'domcontentloaded' });
             }
             
-            if (!clicked) {
-                throw new Error(`Could not find channel: ${this.targetChannel}`);
+            // Wait for channel list to load
+            await page.waitForSelector(this.selectors.any(isDirectMessage ? 'directMessageList' : 'channelList'), { timeout: 15000 });
+            
+            // Try multiple selectors for channel
+            const channelLink = await this.selectors.findVisible(page, this.selectors.get('channelLink', { name: name }));
+            if (!channelLink) {
+                throw new Error(`Could not find channel: ${target}`);
             }
+            await channelLink.locator.click();
+            this.logger.info(`Clicked channel using selector: ${channelLink.selector}`);
         }
         
         // Wait for page to stabilize
-        await this.page.waitForTimeout(3000);
+        await page.waitForTimeout(3000);
         
         // Debug: log what we can see on the page
-        const textboxCount = await this.page.locator('[role="textbox"]').count();
+        const textboxCount = await page.locator('[role="textbox"]').count();
         this.logger.info(`Found ${textboxCount} textbox elements on page`);
         
         // Wait for message input with multiple possible selectors
-        const inputSelectors = [
-            '[data-slate-editor="true"]',
-            '[role="textbox"][data-slate-node="value"]',
-            '[role="textbox"][aria-label*="Message" i]',
-            '[role="textbox"][placeholder*="Message" i]',
-            '[contenteditable="true"][role="textbox"]',
-            'div[role="textbox"][spellcheck="true"]',
-            'div[role="textbox"]'
-        ];
-        
-        let inputFound = false;
-        for (const selector of inputSelectors) {
-            try {
-                const element = await this.page.locator(selector).first();
-                const isVisible = await element.isVisible({ timeout: 2000 }).catch(() => false);
-                if (isVisible) {
-                    inputFound = true;
-                    this.logger.info(`Found message input with selector: ${selector}`);
-                    
-                    // Click on it to make sure it's focused
-                    await element.click();
-                    break;
-                }
-            } catch (e) {
-                this.logger.debug(`Selector failed: ${selector}`);
-            }
-        }
-        
-        if (!inputFound) {
+        const messageBox = await this.selectors.findVisible(page, this.selectors.get('messageBox'));
+        if (messageBox) {
+            this.logger.info(`Found message input with selector: ${messageBox.selector}`);
+            
+            // Click on it to make sure it's focused
+            await messageBox.locator.click();
+        } else {
             // Try to find any textbox and log its attributes for debugging
             try {
-                const anyTextbox = await this.page.locator('[role="textbox"]').first();
+                const anyTextbox = await page.locator('[role="textbox"]').first();
                 if (await anyTextbox.isVisible()) {
                     const attrs = await anyTextbox.evaluate(el => {
                         return {
@@ -354,91 +602,41 @@ class DiscordAgent {
     }
 
     async getNewMessages() {
-        const messages = await this.page.evaluate(() => {
-            const messageElements = document.querySelectorAll('[id^="message-content-"]');
-            const messageList = [];
-            
-            messageElements.forEach(el => {
-                // Skip if this is a reply preview content
-                if (el.classList.contains('repliedTextContent_c19a55')) {
-                    return;
-                }
-                
-                // Try multiple ways to find the message container and author
-                const messageContainer = el.closest('[id^="chat-messages-"]') || 
-                                       el.closest('[class*="message-"]') || 
-                                       el.closest('[class*="message"]') ||
-                                       el.closest('li');
-                
-                // Debug logging
-                const debugInfo = {
-                    messageId: el.id,
-                    containerFound: !!messageContainer,
-                    containerClasses: messageContainer?.className || 'none',
-                    containerId: messageContainer?.id || 'none'
-                };
-                
-                // Discord has two patterns for usernames:
-                // 1. Messages with headers: username is in <span id="message-username-XXX">
-                // 2. Continuation messages: no username element, but aria-labelledby references previous message's username
-                
-                let author = 'Unknown';
-                let usernameElementId = null;
-                
-                if (messageContainer) {
-                    // Pattern 1: Look for username element with ID (messages with headers)
-                    const usernameElement = messageContainer.querySelector('[id^="message-username-"]');
-                    if (usernameElement && !usernameElement.closest('.repliedMessage_c19a55')) {
-                        // Find the actual username span within this element
-                        const usernameSpan = usernameElement.querySelector('.username_c19a55');
-                        if (usernameSpan) {
-                            author = usernameSpan.textContent.trim();
-                            usernameElementId = usernameElement.id;
-                            debugInfo.method = `Found username in header: ${author}`;
-                        }
-                    }
-                    
-                    // Pattern 2: For continuation messages, check aria-labelledby
-                    if (author === 'Unknown') {
-                        const ariaLabelledBy = messageContainer.getAttribute('aria-labelledby');
-                        if (ariaLabelledBy) {
-                            // Extract the username element ID from aria-labelledby
-                            // Format: "message-username-XXX uid_1 message-content-YYY uid_2 message-timestamp-ZZZ"
-                            const parts = ariaLabelledBy.split(' ');
-                            const usernameId = parts.find(part => part.startsWith('message-username-'));
-                            
-                            if (usernameId) {
-                                // This is a continuation message, store the reference
-                                debugInfo.continuationRef = usernameId;
-                                debugInfo.method = 'Continuation message - will use previous author';
-                                // Author will be resolved later using message history
-                            }
-                        }
-                    }
-                    
-                    // Log debugging info for unknown authors
-                    if (author === 'Unknown') {
-                        console.log('Author detection:', JSON.stringify(debugInfo));
-                    }
-                }
-                
-                const timestampElement = messageContainer?.querySelector('time');
-                
-                messageList.push({
-                    id: el.id,
-                    content: el.textContent.trim(),
-                    author: author,
-                    usernameElementId: usernameElementId,
-                    timestamp: timestampElement?.getAttribute('datetime') || new Date().toISOString()
-                });
-            });
-            
-            return messageList;
-        });
+        const newMessages = [];
+        
+        for (const channel of this.channels) {
+            try {
+                newMessages.push(...await this.getChannelMessages(channel));
+            } catch (error) {
+                // One broken tab should not stop the other channels from being read
+                this.logger.error(`Failed to read messages from ${channel.target}: ${error.message}`);
+            }
+        }
+        
+        return newMessages;
+    }
+
+    async getChannelMessages(channel) {
+        // After a restart, continue after the last message that was fully processed
+        const checkpoint = channel.isStartup && !channel.lastMessageId && this.checkpoints
+            ? this.checkpoints.getLastMessageId(channel.target)
+            : null;
+        let messages;
+        if (checkpoint) {
+            const readBack = await this.readBackTo(channel, checkpoint);
+            messages = readBack.messages;
+            // Without the checkpoint there is no telling which messages were answered,
+            // so the startup limit below applies as if there were no checkpoint at all
+            if (readBack.found) {
+                channel.lastMessageId = checkpoint;
+            }
+        } else {
+            messages = await channel.page.evaluate(buildPageScript(scrapeMessages, this.selectors));
+        }
 
         // Log raw messages for debugging
         if (messages.length > 0) {
-            this.logger.debug(`Retrieved ${messages.length} total messages from page`);
+            this.logger.debug(`Retrieved ${messages.length} total messages from ${channel.target}`);
             // Log the last few messages for debugging
             const recentMessages = messages.slice(-3);
             recentMessages.forEach(msg => {
@@ -446,63 +644,24 @@ class DiscordAgent {
             });
         }
         
-        // Build a map of username element IDs to authors for resolving continuation messages
-        const usernameMap = {};
-        for (const msg of messages) {
-            if (msg.author !== 'Unknown' && msg.usernameElementId) {
-                usernameMap[msg.usernameElementId] = msg.author;
-            }
-        }
-        
-        // Resolve Unknown authors from continuation messages
-        for (let i = 0; i < messages.length; i++) {
-            const msg = messages[i];
-            
-            if (msg.author === 'Unknown') {
-                // For continuation messages, the aria-labelledby might reference a previous message's username
-                // We need to look at previous messages to find the author
-                let resolvedAuthor = null;
-                
-                // Look backwards for the most recent message with a known author
-                for (let j = i - 1; j >= 0; j--) {
-                    if (messages[j].author !== 'Unknown' && messages[j].author !== this.botName) {
-                        resolvedAuthor = messages[j].author;
-                        break;
-                    }
-                }
-                
-                // If we couldn't find it by looking back, use the last known author
-                if (!resolvedAuthor && this.lastKnownAuthor) {
-                    resolvedAuthor = this.lastKnownAuthor;
-                }
-                
-                if (resolvedAuthor) {
-                    msg.author = resolvedAuthor;
-                    this.logger.debug(`Resolved continuation message author: ${resolvedAuthor}`);
-                }
-            } else if (msg.author !== 'Unknown' && msg.author !== this.botName) {
-                // Update last known author for future continuation messages
-                this.lastKnownAuthor = msg.author;
-            }
-        }
+        this.resolveAuthors(channel, messages);
         
         // On startup, ensure we have a last known author
-        if (!this.lastKnownAuthor && messages.length > 0) {
+        if (!channel.lastKnownAuthor && messages.length > 0) {
             for (let i = messages.length - 1; i >= 0; i--) {
                 const msg = messages[i];
                 if (msg.author && msg.author !== 'Unknown' && msg.author !== this.botName) {
-                    this.lastKnownAuthor = msg.author;
-                    this.logger.info(`Found last known author on startup: ${this.lastKnownAuthor}`);
+                    channel.lastKnownAuthor = msg.author;
+                    this.logger.info(`Found last known author on startup: ${channel.lastKnownAuthor}`);
                     break;
                 }
             }
         }
         
         const newMessages = [];
-        let foundLast = !this.lastMessageId;
         
         // If this is startup and we have no lastMessageId, limit messages based on config
-        if (this.isStartup && !this.lastMessageId && this.startupMessageLimit >= 0 && messages.length > this.startupMessageLimit) {
+        if (channel.isStartup && !channel.lastMessageId && this.startupMessageLimit >= 0 && messages.length > this.startupMessageLimit) {
             if (this.startupMessageLimit === 0) {
                 this.logger.info(`Startup mode: Skipping all ${messages.length} existing messages (STARTUP_MESSAGE_LIMIT=0)`);
                 // Don't process any messages, just update lastMessageId
@@ -514,105 +673,591 @@ class DiscordAgent {
                     const msg = messages[i];
                     
                     // Author has already been resolved in the preprocessing step
-                    if (msg.author !== this.botName && msg.content && msg.content.length > 0) {
+                    if (this.shouldKeep(channel, msg)) {
                         newMessages.push(msg);
                     }
                 }
             }
-        } else if (this.isStartup && !this.lastMessageId && this.startupMessageLimit < 0) {
+        } else if (channel.isStartup && !channel.lastMessageId && this.startupMessageLimit < 0) {
             // Negative value means process all messages on startup
             this.logger.info(`Startup mode: Processing all ${messages.length} messages (STARTUP_MESSAGE_LIMIT=${this.startupMessageLimit})`);
             for (const msg of messages) {
                 // Author has already been resolved in the preprocessing step
-                if (msg.author !== this.botName && msg.content && msg.content.length > 0) {
+                if (this.shouldKeep(channel, msg)) {
                     newMessages.push(msg);
                 }
             }
         } else {
             // Normal operation: process all new messages after lastMessageId
             for (const msg of messages) {
-                if (!foundLast) {
-                    if (msg.id === this.lastMessageId) {
-                        foundLast = true;
-                    }
+                if (!isNewerMessage(msg.id, channel.lastMessageId)) {
                     continue;
                 }
                 
                 // Author has already been resolved in the preprocessing step
-                if (msg.author !== this.botName && msg.content && msg.content.length > 0) {
+                if (this.shouldKeep(channel, msg)) {
                     newMessages.push(msg);
                 }
             }
         }
 
-        if (messages.length > 0) {
-            this.lastMessageId = messages[messages.length - 1].id;
+        if (messages.length > 0 && isNewerMessage(messages[messages.length - 1].id, channel.lastMessageId)) {
+            channel.lastMessageId = messages[messages.length - 1].id;
         }
+        
+        // Tag each message with the channel it came from so replies can be routed back
+        for (const msg of newMessages) {
+            msg.channel = channel.target;
+        }
+        
+        await this.downloadAttachments(newMessages);
 
         return newMessages;
     }
 
-    async sendMessage(text) {
-        // Try multiple selectors for message input
-        const selectors = [
-            '[role="textbox"][aria-label*="Message"]',
-            '[data-slate-editor="true"]',
-            '[contenteditable="true"][role="textbox"]',
-            'div[role="textbox"]'
-        ];
-        
-        let messageBox = null;
-        for (const selector of selectors) {
+    /**
+     * Whether a newly read message should be handed to the orchestrator. Counts it as
+     * scraped, and as skipped when it is the bot's own or has nothing to answer.
+     */
+    shouldKeep(channel, msg) {
+        this.metrics.inc('discoagent_messages_scraped_total', { channel: channel.target });
+        if (msg.author === this.botName) {
+            this.metrics.inc('discoagent_messages_skipped_total', { reason: 'own' });
+            return false;
+        }
+        if (!this.hasContent(msg)) {
+            this.metrics.inc('discoagent_messages_skipped_total', { reason: 'empty' });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Scroll up until the checkpoint message is loaded, collecting every message on the way
+     * (Discord unloads messages that scroll out of view), then scroll back down
+     * @returns {Object} { messages, found }: messages oldest first, reaching back to the
+     *                   checkpoint when it was found
+     */
+    async readBackTo(channel, checkpointId) {
+        const byId = new Map();
+        const collect = messages => messages.forEach(msg => byId.set(msg.id, msg));
+        const oldestId = () => [...byId.keys()].reduce((oldest, id) => isNewerMessage(oldest, id) ? id : oldest);
+        const scrapeScript = buildPageScript(scrapeMessages, this.selectors);
+        const listSelectors = this.selectors.get('messageList');
+        collect(await channel.page.evaluate(scrapeScript));
+        
+        let found = byId.size === 0 || !isNewerMessage(oldestId(), checkpointId);
+        for (let i = 0; i < MAX_CHECKPOINT_SCROLLS && !found; i++) {
+            const before = byId.size;
+            if (!await channel.page.evaluate(scrollMessages, { toTop: true, listSelectors: listSelectors })) {
+                break;
+            }
+            await channel.page.waitForTimeout(1500);
+            collect(await channel.page.evaluate(scrapeScript));
+            
+            found = !isNewerMessage(oldestId(), checkpointId);
+            if (byId.size === before) {
+                break;  // Reached the start of the channel
+            }
+        }
+        
+        if (found) {
+            this.logger.info(`Resuming ${channel.target} after checkpoint ${checkpointId}`);
+        } else {
+            this.logger.warn(`Checkpoint ${checkpointId} not found in ${channel.target} (oldest message loaded: ${byId.size > 0 ? oldestId() : 'none'}), applying STARTUP_MESSAGE_LIMIT=${this.startupMessageLimit} instead`);
+        }
+        
+        await channel.page.evaluate(scrollMessages, { toTop: false, listSelectors: listSelectors });
+        return {
+            messages: [...byId.values()].sort((a, b) => isNewerMessage(a.id, b.id) ? 1 : -1),
+            found: found
+        };
+    }
+
+    hasContent(msg) {
+        // Messages with only an attachment or embed have empty text but still need an answer
+        return (msg.content && msg.content.length > 0) ||
+               (msg.attachments && msg.attachments.length > 0) ||
+               (msg.embeds && msg.embeds.length > 0);
+    }
+
+    async downloadAttachments(messages) {
+        for (const msg of messages) {
+            if (!msg.attachments || msg.attachments.length === 0) {
+                continue;
+            }
+            
+            // One folder per message so files with the same name never collide
+            const messageDir = path.join(this.attachmentDir, msg.id.replace(/[^a-zA-Z0-9_-]/g, '_'));
+            await fs.mkdir(messageDir, { recursive: true });
+            
+            for (const attachment of msg.attachments) {
+                try {
+                    // Go through the browser context so the logged-in session's cookies apply
+                    const response = await this.browser.request.get(attachment.url);
+                    if (!response.ok()) {
+                        throw new Error(`HTTP ${response.status()}`);
+                    }
+                    
+                    const body = await response.body();
+                    if (body.length > this.maxAttachmentBytes) {
+                        throw new Error(`${body.length} bytes exceeds limit of ${this.maxAttachmentBytes}`);
+                    }
+                    
+                    const filename = attachment.filename.replace(/[\\/:*?"<>|]/g, '_');
+                    attachment.path = path.join(messageDir, filename);
+                    await fs.writeFile(attachment.path, body);
+                    this.logger.info(`Downloaded attachment ${filename} (${body.length} bytes) for ${msg.id}`);
+                } catch (error) {
+                    this.logger.warn(`Could not download attachment ${attachment.url}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    async releaseMessage(msg) {
+        // Remove the temp folders holding this message's downloaded attachments. A message
+        // coalesced from several fragments has attachments in more than one folder.
+        const messageDirs = new Set((msg.attachments || [])
+            .filter(attachment => attachment.path)
+            .map(attachment => path.dirname(attachment.path)));
+        
+        for (const messageDir of messageDirs) {
             try {
-                messageBox = await this.page.locator(selector).first();
-                if (await messageBox.isVisible({ timeout: 1000 })) {
-                    break;
+                await fs.rm(messageDir, { recursive: true, force: true });
+            } catch (error) {
+                this.logger.debug(`Could not remove attachment folder ${messageDir}: ${error.message}`);
+            }
+        }
+    }
+
+    resolveAuthors(channel, messages) {
+        // Build a map of username element IDs to authors for resolving continuation messages
+        const usernameMap = {};
+        for (const msg of messages) {
+            if (msg.author !== 'Unknown' && msg.usernameElementId) {
+                usernameMap[msg.usernameElementId] = msg.author;
+            }
+        }
+        
+        // Resolve Unknown authors from continuation messages
+        for (let i = 0; i < messages.length; i++) {
+            const msg = messages[i];
+            
+            if (msg.author === 'Unknown') {
+                // For continuation messages, the aria-labelledby might reference a previous message's username
+                // We need to look at previous messages to find the author
+                let resolvedAuthor = null;
+                
+                // Look backwards for the most recent message with a known author
+                for (let j = i - 1; j >= 0; j--) {
+                    if (messages[j].author !== 'Unknown' && messages[j].author !== this.botName) {
+                        resolvedAuthor = messages[j].author;
+                        break;
+                    }
                 }
-            } catch (e) {
-                // Try next selector
+                
+                // If we couldn't find it by looking back, use the last known author
+                if (!resolvedAuthor && channel.lastKnownAuthor) {
+                    resolvedAuthor = channel.lastKnownAuthor;
+                }
+                
+                if (resolvedAuthor) {
+                    msg.author = resolvedAuthor;
+                    this.logger.debug(`Resolved continuation message author: ${resolvedAuthor}`);
+                }
+            } else if (msg.author !== 'Unknown' && msg.author !== this.botName) {
+                // Update last known author for future continuation messages
+                channel.lastKnownAuthor = msg.author;
+            }
+        }
+        
+        // Authors that stay unknown usually mean the username selectors stopped matching
+        const unknown = messages.filter(msg => msg.author === 'Unknown').length;
+        if (unknown > 0 && !channel.unknownAuthorsReported) {
+            channel.unknownAuthorsReported = true;
+            this.logger.warn(`Could not find the author of ${unknown} message(s) in ${channel.target}; if this keeps happening, the usernameHeader and username selectors in profile ${this.selectors.label()} may be out of date`);
+        }
+    }
+
+    /**
+     * Check the selector profile against a channel's page. When roles no longer match, save a
+     * screenshot, the DOM and the result to the diagnostics folder so the profile can be fixed.
+     * Never throws: a failed check is reported, the agent keeps running with what still works.
+     */
+    async checkSelectors(channel) {
+        try {
+            const result = await this.selectors.selfTest(channel.page);
+            channel.selfTest = result;
+            
+            if (result.fallbacks.length > 0) {
+                this.logger.warn(`Selector profile ${result.profile}: ${result.fallbacks.join(', ')} only matched a fallback selector in ${channel.target}, Discord's markup may be changing`);
+            }
+            if (result.ok) {
+                this.logger.info(`Selector self-test passed for ${channel.target} (${result.passed.length} role(s) checked${result.messagesShown ? '' : ', no messages shown'})`);
+                return result;
             }
+            
+            const failedRoles = result.failed.map(check => check.role).join(', ');
+            const reportDir = await this.selectors.writeDiagnostics(channel.page, result, channel.target);
+            this.logger.error(`Selector self-test failed for ${channel.target} with profile ${result.profile}: ${failedRoles} matched nothing. Report saved to ${reportDir}`);
+            return result;
+        } catch (error) {
+            this.logger.warn(`Could not run the selector self-test for ${channel.target}: ${error.message}`);
+            return null;
         }
+    }
+
+    async installMessageObserver(channel) {
+        // New message nodes are pushed from the page into handleObservedMessages()
+        await channel.page.exposeFunction('__discoOnMessages', messages => {
+            this.handleObservedMessages(channel, messages).catch(error => {
+                this.logger.error(`Failed to handle observed messages in ${channel.target}: ${error.message}`);
+            });
+        });
         
-        if (!messageBox) {
-            throw new Error('Could not find message input box');
+        // Re-install after full page reloads, and once now for the page that is already loaded
+        const observerScript = buildPageScript(installMessageObserver, this.selectors);
+        await channel.page.addInitScript(observerScript);
+        await channel.page.evaluate(observerScript);
+        
+        channel.observerInstalled = true;
+        this.logger.info(`Message observer installed for ${channel.target}`);
+    }
+
+    async handleObservedMessages(channel, messages) {
+        // The startup fetch decides which existing messages count, so ignore anything observed before it
+        if (channel.isStartup) {
+            return;
         }
         
-        const chunks = this.splitMessage(text);
+        this.resolveAuthors(channel, messages);
+        
+        const newMessages = [];
+        for (const msg of messages) {
+            // Discord re-renders older messages when scrolling, only keep ones we have not read yet
+            if (!isNewerMessage(msg.id, channel.lastMessageId)) {
+                continue;
+            }
+            channel.lastMessageId = msg.id;
+            
+            if (this.shouldKeep(channel, msg)) {
+                msg.channel = channel.target;
+                newMessages.push(msg);
+                this.logger.debug(`Observed new message ${msg.id} in ${channel.target}`);
+            }
+        }
+        
+        await this.downloadAttachments(newMessages);
+        this.observedMessages.push(...newMessages);
+        
+        if (this.observedMessages.length > 0 && this.observedWaiter) {
+            this.observedWaiter();
+        }
+    }
+
+    waitForObservedMessages(timeout) {
+        return new Promise(resolve => {
+            const finish = () => {
+                clearTimeout(timer);
+                this.observedWaiter = null;
+                resolve(this.observedMessages.splice(0));
+            };
+            const timer = setTimeout(finish, timeout);
+            this.observedWaiter = finish;
+            
+            if (this.observedMessages.length > 0 || !this.streamActive) {
+                finish();
+            }
+        });
+    }
+
+    /**
+     * Stream batches of new messages as they arrive. Messages pushed by the DOM observer
+     * are yielded immediately; when nothing is observed for a while, the page is polled
+     * as a fallback. Without the observer this is a plain polling loop.
+     */
+    async *messageStream() {
+        this.streamActive = true;
+        
+        // The first fetch is always a poll so STARTUP_MESSAGE_LIMIT applies
+        yield await this.getNewMessages();
+        
+        const observing = this.channels.some(channel => channel.observerInstalled);
+        const interval = observing ? this.observerFallbackInterval : this.pollInterval;
+        
+        while (this.streamActive) {
+            const observed = await this.waitForObservedMessages(interval);
+            if (observed.length > 0) {
+                yield observed;
+                continue;
+            }
+            
+            if (!this.streamActive) {
+                break;
+            }
+            
+            // Nothing observed within the window: poll in case the observer missed something
+            const polled = await this.getNewMessages();
+            if (polled.length > 0) {
+                yield polled;
+            }
+        }
+    }
+
+    stopMessageStream() {
+        this.streamActive = false;
+        if (this.observedWaiter) {
+            this.observedWaiter();
+        }
+    }
+
+    /**
+     * Run an action on a channel's page once earlier actions on it have finished, so
+     * messages being sent concurrently never type into the same message box at once
+     */
+    async withPage(target, action) {
+        const channel = this.getChannel(target);
+        const run = channel.pageLock.then(() => action(channel.page));
+        channel.pageLock = run.catch(() => {});
+        return await run;
+    }
+
+    getChannelStates() {
+        return this.channels.map(channel => ({
+            target: channel.target,
+            lastMessageId: channel.lastMessageId,
+            lastKnownAuthor: channel.lastKnownAuthor,
+            observerInstalled: channel.observerInstalled,
+            selectorsOk: channel.selfTest ? channel.selfTest.ok : null
+        }));
+    }
+
+    getChannel(target) {
+        // Fall back to the first channel when no target is given (single-channel setups)
+        if (!target) {
+            return this.channels[0];
+        }
+        
+        const channel = this.channels.find(c => c.target === target);
+        if (!channel) {
+            throw new Error(`Not monitoring channel: ${target}`);
+        }
+        return channel;
+    }
+
+    async findMessageBox(page) {
+        // Try multiple selectors for message input
+        const messageBox = await this.selectors.findVisible(page, this.selectors.get('messageBox'), 1000);
+        
+        // Not visible yet: let Playwright wait for any of them when typing
+        return messageBox ? messageBox.locator : page.locator(this.selectors.any('messageBox')).first();
+    }
+
+    /**
+     * Selector for message content elements, or for one of them by ID, leaving out the
+     * copies in reply previews (they reuse the original message's content ID)
+     */
+    messageContentSelector(messageId = null) {
+        const notPreview = this.selectors.not('replyPreviewContent');
+        if (messageId) {
+            return `[id="${messageId}"]${notPreview}`;
+        }
+        return this.selectors.get('messageContent').map(selector => selector + notPreview).join(', ');
+    }
+
+    /**
+     * The list item holding a message, for its hover toolbar
+     */
+    async findMessageItem(page, messageId) {
+        const messageItem = page.locator(this.selectors.any('messageItem'))
+            .filter({ has: page.locator(this.messageContentSelector(messageId)) })
+            .first();
+        if (await messageItem.count() === 0) {
+            throw new Error('Message is no longer on the page');
+        }
+        
+        await messageItem.scrollIntoViewIfNeeded();
+        await messageItem.hover();
+        return messageItem;
+    }
+
+    /**
+     * Send chunks one after another and return the element ID of the first one, or null
+     * if it could not be found on the page
+     */
+    async sendChunks(page, chunks) {
+        const messageBox = await this.findMessageBox(page);
+        let firstMessageId = null;
         
         for (let i = 0; i < chunks.length; i++) {
             // Apply response delay before sending each chunk
             if (this.responseDelay > 0) {
-                await this.page.waitForTimeout(this.responseDelay);
+                await page.waitForTimeout(this.responseDelay);
             }
             
+            const previousId = i === 0 ? await this.getLatestMessageId(page) : null;
             await messageBox.fill(chunks[i]);
             await messageBox.press('Enter');
+            this.metrics.inc('discoagent_chunks_sent_total');
+            
+            if (i === 0) {
+                firstMessageId = await this.waitForSentMessageId(page, previousId);
+            }
             
             // Small delay between chunks if there are multiple
             if (i < chunks.length - 1) {
-                await this.page.waitForTimeout(500);
+                await page.waitForTimeout(500);
             }
         }
+        
+        return firstMessageId;
     }
 
-    splitMessage(text, maxLength = 2000) {
-        if (text.length <= maxLength) return [text];
+    async getLatestMessageId(page) {
+        return await page.evaluate(selector => {
+            const elements = document.querySelectorAll(selector);
+            return elements.length > 0 ? elements[elements.length - 1].id : null;
+        }, this.messageContentSelector());
+    }
+
+    async waitForSentMessageId(page, previousId) {
+        // The message we just sent is the first new one to appear at the bottom of the channel
+        try {
+            const handle = await page.waitForFunction(({ selector, previousId }) => {
+                const elements = document.querySelectorAll(selector);
+                const latest = elements.length > 0 ? elements[elements.length - 1].id : null;
+                return latest && latest !== previousId ? latest : null;
+            }, { selector: this.messageContentSelector(), previousId: previousId }, { timeout: 5000 });
+            return await handle.jsonValue();
+        } catch (error) {
+            this.logger.debug(`Could not find the sent message on the page: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Send text to a channel
+     * @returns {Promise<string|null>} Element ID of the first message sent, for editMessage()
+     */
+    async sendMessage(text, target = null) {
+        return await this.withPage(target, page => this.sendChunks(page, this.splitMessage(text)));
+    }
+
+    /**
+     * Replace the text of one of our own messages. Only the first chunk fits in a single
+     * message, so callers should split long text themselves and send the rest separately.
+     */
+    async editMessage(messageId, text, target = null) {
+        return await this.withPage(target, async page => {
+            const messageItem = await this.findMessageItem(page, messageId);
+            
+            // Edit lives in the same hover toolbar as Reply; it opens an inline editor in the message
+            await messageItem.locator(this.selectors.any('editButton')).first().click({ timeout: 3000 });
+            const editBox = messageItem.locator(this.selectors.any('editBox')).first();
+            await editBox.waitFor({ state: 'visible', timeout: 3000 });
+            
+            await editBox.press('ControlOrMeta+A');
+            await editBox.fill(this.splitMessage(text)[0]);
+            await editBox.press('Enter');
+            this.logger.debug(`Edited message ${messageId}`);
+        });
+    }
+
+    /**
+     * Send text as a native Discord reply to an earlier message. Only the first chunk is
+     * sent as the reply; Discord clears the reply bar after sending, so the remaining
+     * chunks follow as normal messages. Falls back to a plain message when the original
+     * message can no longer be found on the page.
+     */
+    async replyTo(messageId, text, target = null) {
+        return await this.withPage(target, async page => {
+            try {
+                await this.openReply(page, messageId);
+            } catch (error) {
+                this.logger.warn(`Could not reply to ${messageId}, sending as a normal message: ${error.message}`);
+            }
+            
+            return await this.sendChunks(page, this.splitMessage(text));
+        });
+    }
+
+    /**
+     * Upload a file to a channel, optionally with a caption, through Discord's upload button.
+     * Playwright intercepts the native file chooser; if the button cannot be found the hidden
+     * file input is used directly.
+     */
+    async sendFile(filePath, caption = '', target = null) {
+        return await this.withPage(target, async page => {
+            const stats = await fs.stat(filePath);
+            if (stats.size > this.maxUploadBytes) {
+                throw new Error(`File ${path.basename(filePath)} is ${stats.size} bytes, over the upload limit of ${this.maxUploadBytes}`);
+            }
+            
+            if (this.responseDelay > 0) {
+                await page.waitForTimeout(this.responseDelay);
+            }
+            
+            try {
+                // Awaited together so a failed click never leaves the chooser wait to reject unhandled
+                const [fileChooser] = await Promise.all([
+                    page.waitForEvent('filechooser', { timeout: 5000 }),
+                    this.clickUploadButton(page)
+                ]);
+                await fileChooser.setFiles(filePath);
+            } catch (error) {
+                this.logger.warn(`Upload button failed (${error.message}), using file input directly`);
+                await page.locator(this.selectors.any('fileInput')).first().setInputFiles(filePath);
+            }
+            
+            // Wait for the upload preview, then send it together with the caption
+            await page.waitForTimeout(1000);
+            const messageBox = await this.findMessageBox(page);
+            if (caption) {
+                await messageBox.fill(this.splitMessage(caption)[0]);
+            }
+            await messageBox.press('Enter');
+            this.logger.info(`Uploaded file ${path.basename(filePath)} to ${target || this.channels[0].target}`);
+        });
+    }
+
+    async clickUploadButton(page) {
+        const button = await this.selectors.findVisible(page, this.selectors.get('uploadButton'), 1000);
+        if (!button) {
+            throw new Error('Could not find upload button');
+        }
+        await button.locator.click();
         
-        const chunks = [];
-        let currentChunk = '';
-        const lines = text.split('\n');
+        // Newer layouts open a menu first; pick its upload entry
+        const menuItem = page.locator(this.selectors.any('uploadMenuItem')).first();
+        if (await menuItem.isVisible({ timeout: 1000 }).catch(() => false)) {
+            await menuItem.click();
+        }
+    }
+
+    async openReply(page, messageId) {
+        const messageItem = await this.findMessageItem(page, messageId);
         
-        for (const line of lines) {
-            if (currentChunk.length + line.length + 1 > maxLength) {
-                if (currentChunk) chunks.push(currentChunk);
-                currentChunk = line;
-            } else {
-                currentChunk += (currentChunk ? '\n' : '') + line;
+        // The Reply action lives in the toolbar that appears while hovering the message
+        const replyButton = messageItem.locator(this.selectors.any('replyButton')).first();
+        await replyButton.click({ timeout: 3000 });
+        
+        // Discord shows an @ON/@OFF toggle in the reply bar that controls the ping
+        const pingToggle = page.locator(this.selectors.any('replyPingToggle')).first();
+        if (await pingToggle.isVisible({ timeout: 2000 }).catch(() => false)) {
+            const pingEnabled = await pingToggle.getAttribute('aria-checked') === 'true';
+            if (pingEnabled !== this.replyPing) {
+                await pingToggle.click();
+                this.logger.debug(`Turned reply ping ${this.replyPing ? 'on' : 'off'}`);
             }
+        } else {
+            this.logger.debug('Reply ping toggle not found, leaving Discord default');
         }
-        
-        if (currentChunk) chunks.push(currentChunk);
-        return chunks;
+    }
+
+    splitMessage(text, maxLength = 2000) {
+        // Markdown-aware: keeps code fences, lists and quotes intact across chunks
+        return MessageSplitter.split(text, { maxLength: maxLength, markers: this.chunkMarkers });
     }
 
     isOwnMessage(message) {
@@ -622,17 +1267,24 @@ class DiscordAgent {
 
     async markStartupComplete() {
         // Call this after the first message fetch to disable startup mode
-        if (this.isStartup) {
-            this.isStartup = false;
+        if (this.channels.some(channel => channel.isStartup)) {
+            this.channels.forEach(channel => { channel.isStartup = false; });
             this.logger.info('Startup message processing complete. Switching to normal operation mode.');
         }
     }
 
     async cleanup() {
         this.logger.info('Cleaning up...');
+        this.stopMessageStream();
         if (this.browser) {
             await this.browser.close();
         }
+        
+        try {
+            await fs.rm(this.attachmentDir, { recursive: true, force: true });
+        } catch (error) {
+            this.logger.debug(`Could not remove attachment folder: ${error.message}`);
+        }
     }
 }
 
@@ -0,0 +1,747 @@
+const WebSocket = require('ws');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const MessageSplitter = require('./MessageSplitter');
+const Metrics = require('./Metrics');
+const Checkpoints = require('./Checkpoints');
+
+// Chat platform for Discord through the official bot API: new messages arrive over the
+// Gateway websocket, and sending, replies, edits and uploads go through REST. Unlike
+// DiscordAgent it needs no browser and does not depend on Discord's page markup, but the
+// bot has to be invited to the server with the Message Content intent enabled.
+
+const API_URL = 'https://discord.com/api/v10';
+const GATEWAY_VERSION = 10;
+
+// GUILD_MESSAGES, DIRECT_MESSAGES and MESSAGE_CONTENT
+const INTENTS = (1 << 9) | (1 << 12) | (1 << 15);
+
+// Default messages and replies; joins, pins, boosts and the like are not conversation
+const CONVERSATION_MESSAGE_TYPES = [0, 19];
+
+// Close codes after which reconnecting cannot help (bad token, intents not enabled, ...)
+const FATAL_CLOSE_CODES = {
+    4004: 'the bot token was rejected (DISCORD_BOT_TOKEN)',
+    4010: 'invalid shard',
+    4011: 'sharding is required for this bot',
+    4012: 'invalid Gateway version',
+    4013: 'invalid intents',
+    4014: 'the Message Content intent is not enabled for this bot in the Developer Portal'
+};
+
+// Close codes after which the session cannot be resumed and has to be identified again
+const SESSION_CLOSE_CODES = [4007, 4009];
+
+// Most messages Discord returns for one history request
+const HISTORY_PAGE_SIZE = 100;
+
+class DiscordBotPlatform {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.metrics = config.metrics || new Metrics();
+        this.checkpoints = config.checkpoints || null;  // Where reading resumes after a restart
+        this.token = config.discordBotToken;
+        this.apiUrl = (config.discordApiUrl || API_URL).replace(/\/$/, '');
+        this.gatewayUrl = config.discordGatewayUrl || null;  // Asked from the API when not set
+        this.allowDirectMessages = config.discordBotDirectMessages || false;
+        this.channels = (config.discordBotChannels || []).map(id => this.createChannel(id));
+        this.replyPing = config.replyPing !== false;  // Whether replies mention the author
+        this.chunkMarkers = config.chunkMarkers || false;  // Append "(1/3)" to multi-chunk messages
+        this.attachmentDir = config.attachmentDir || path.join(os.tmpdir(), 'discoagent-attachments');
+        this.maxAttachmentBytes = config.maxAttachmentBytes || 25 * 1024 * 1024;
+        this.maxUploadBytes = config.maxUploadBytes || 10 * 1024 * 1024;  // Discord's limit without boosts
+        this.startupMessageLimit = config.startupMessageLimit !== undefined ? config.startupMessageLimit : 3;
+        this.reconnectDelay = config.discordBotReconnectDelay || 1000;  // First retry; doubles after every failed attempt
+        this.maxReconnectDelay = config.discordBotMaxReconnectDelay || 60000;
+        this.connectTimeout = config.discordBotConnectTimeout || 30000;
+        this.maxRateLimitRetries = config.discordBotRateLimitRetries || 5;
+        
+        this.socket = null;
+        this.user = null;  // The bot's own user, from READY
+        this.sessionId = null;
+        this.resumeUrl = null;
+        this.sequence = null;
+        this.ready = false;
+        this.readyWaiters = [];
+        this.heartbeatTimer = null;
+        this.heartbeatAcked = true;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.fatalError = null;
+        this.stopping = false;
+        this.historyRead = false;
+        this.receiveChain = Promise.resolve();  // Keeps messages in order while attachments download
+        
+        this.receivedMessages = [];
+        this.waiter = null;
+        this.streamActive = false;
+    }
+
+    createChannel(id) {
+        return {
+            target: id,
+            lastMessageId: null,
+            direct: false,
+            sendLock: Promise.resolve()  // Keeps chunks of concurrent replies from interleaving
+        };
+    }
+
+    async initialize() {
+        if (!this.token) {
+            throw new Error('DISCORD_BOT_TOKEN is not set');
+        }
+        
+        this.logger.info(`Connecting to the Discord Gateway for ${this.channels.length} channel(s)...`);
+        this.stopping = false;
+        if (!this.gatewayUrl) {
+            const gateway = await this.request('GET', '/gateway/bot');
+            this.gatewayUrl = gateway.url;
+        }
+        this.connect();
+        await this.waitUntilReady();
+        this.logger.info(`Connected to Discord as ${this.user.username} (${this.user.id})`);
+        // Let the history read on READY finish, so the first batch holds the startup messages
+        await this.receiveChain;
+    }
+
+    connect() {
+        // Resuming has to use the URL Discord handed out with the session
+        const url = this.sessionId && this.resumeUrl ? this.resumeUrl : this.gatewayUrl;
+        const socket = new WebSocket(`${url}${url.includes('?') ? '&' : '?'}v=${GATEWAY_VERSION}&encoding=json`);
+        this.socket = socket;
+        socket.on('message', data => this.handlePayload(socket, data));
+        socket.on('error', error => this.logger.warn(`Discord Gateway error: ${error.message}`));
+        socket.on('close', (code, reason) => this.handleClose(socket, code, reason.toString()));
+    }
+
+    handlePayload(socket, data) {
+        let payload;
+        try {
+            payload = JSON.parse(data.toString());
+        } catch (error) {
+            this.logger.warn(`Ignoring malformed Gateway payload: ${error.message}`);
+            return;
+        }
+        
+        if (payload.s !== null && payload.s !== undefined) {
+            this.sequence = payload.s;
+        }
+        
+        switch (payload.op) {
+            case 0:
+                this.handleDispatch(payload.t, payload.d);
+                break;
+            case 1:
+                // The server asks for a heartbeat right away
+                this.sendHeartbeat();
+                break;
+            case 7:
+                this.logger.info('Discord asked to reconnect, resuming the session');
+                socket.close(4000, 'Reconnect requested');
+                break;
+            case 9:
+                // Invalid session: start a new one unless Discord says this one can be resumed
+                if (!payload.d) {
+                    this.clearSession();
+                }
+                this.logger.warn(`Discord Gateway session invalidated, ${this.sessionId ? 'resuming' : 'identifying again'}`);
+                socket.close(4000, 'Invalid session');
+                break;
+            case 10:
+                this.startHeartbeat(payload.d.heartbeat_interval);
+                this.identify();
+                break;
+            case 11:
+                this.heartbeatAcked = true;
+                break;
+        }
+    }
+
+    identify() {
+        if (this.sessionId && this.sequence !== null) {
+            this.send({ op: 6, d: { token: this.token, session_id: this.sessionId, seq: this.sequence } });
+            return;
+        }
+        
+        this.send({
+            op: 2,
+            d: {
+                token: this.token,
+                intents: INTENTS,
+                properties: { os: process.platform, browser: 'discoagent', device: 'discoagent' }
+            }
+        });
+    }
+
+    handleDispatch(type, data) {
+        switch (type) {
+            case 'READY':
+                this.user = data.user;
+                this.sessionId = data.session_id;
+                this.resumeUrl = data.resume_gateway_url || null;
+                this.markReady();
+                this.readMissedMessages();
+                break;
+            case 'RESUMED':
+                this.logger.info('Discord Gateway session resumed');
+                this.markReady();
+                break;
+            case 'MESSAGE_CREATE':
+                this.receiveChain = this.receiveChain
+                    .then(() => this.receive([data]))
+                    .catch(error => this.logger.error(`Failed to handle Discord message ${data.id}: ${error.message}`));
+                break;
+        }
+    }
+
+    markReady() {
+        this.ready = true;
+        this.reconnectAttempts = 0;
+        this.readyWaiters.splice(0).forEach(waiter => waiter.resolve());
+    }
+
+    clearSession() {
+        this.sessionId = null;
+        this.resumeUrl = null;
+        this.sequence = null;
+    }
+
+    handleClose(socket, code, reason) {
+        if (socket !== this.socket) {
+            return;
+        }
+        
+        clearInterval(this.heartbeatTimer);
+        this.ready = false;
+        if (this.stopping) {
+            return;
+        }
+        
+        if (FATAL_CLOSE_CODES[code]) {
+            this.fatalError = new Error(`Discord closed the Gateway connection: ${FATAL_CLOSE_CODES[code]} (${code})`);
+            this.logger.error(this.fatalError.message);
+            this.readyWaiters.splice(0).forEach(waiter => waiter.reject(this.fatalError));
+            return;
+        }
+        if (SESSION_CLOSE_CODES.includes(code)) {
+            this.clearSession();
+        }
+        
+        const delay = this.getReconnectDelay();
+        this.reconnectAttempts++;
+        this.logger.warn(`Discord Gateway connection closed (${code}${reason ? ` ${reason}` : ''}), reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * Wait before the next connection attempt: doubles with every failed attempt, up to the maximum
+     */
+    getReconnectDelay() {
+        return Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
+    }
+
+    /**
+     * Heartbeat at the interval from HELLO. When the previous heartbeat was never acknowledged
+     * the connection is dead without having closed, so it is dropped and resumed.
+     */
+    startHeartbeat(interval) {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatAcked = true;
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.heartbeatAcked) {
+                this.logger.warn('Discord did not acknowledge the last heartbeat, reconnecting');
+                this.socket.terminate();
+                return;
+            }
+            this.sendHeartbeat();
+        }, interval);
+    }
+
+    sendHeartbeat() {
+        this.heartbeatAcked = false;
+        this.send({ op: 1, d: this.sequence });
+    }
+
+    send(payload) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(payload));
+        }
+    }
+
+    /**
+     * Resolves once the Gateway session is ready, or rejects after connectTimeout
+     */
+    waitUntilReady() {
+        if (this.ready) {
+            return Promise.resolve();
+        }
+        if (this.fatalError) {
+            return Promise.reject(this.fatalError);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: () => {
+                    clearTimeout(timer);
+                    resolve();
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.readyWaiters = this.readyWaiters.filter(other => other !== waiter);
+                reject(new Error(`Not connected to the Discord Gateway after ${this.connectTimeout / 1000}s`));
+            }, this.connectTimeout);
+            this.readyWaiters.push(waiter);
+        });
+    }
+
+    /**
+     * The Gateway only delivers messages sent while connected. On the first session, read
+     * what came before from each channel's history; on later ones (a resume replays missed
+     * events, a new session does not), read everything after the last message seen.
+     */
+    readMissedMessages() {
+        const firstSession = !this.historyRead;
+        this.historyRead = true;
+        
+        for (const channel of this.channels) {
+            if (!firstSession && !channel.lastMessageId) {
+                continue;
+            }
+            this.receiveChain = this.receiveChain
+                .then(() => firstSession ? this.readHistory(channel) : this.readAfter(channel))
+                .catch(error => this.logger.error(`Failed to read history of ${channel.target}: ${error.message}`));
+        }
+    }
+
+    /**
+     * Messages of a channel sent before the bot started: everything after the checkpoint
+     * when there is one, otherwise the last STARTUP_MESSAGE_LIMIT messages
+     */
+    async readHistory(channel) {
+        const checkpoint = this.checkpoints ? this.checkpoints.getLastMessageId(channel.target) : null;
+        if (checkpoint) {
+            channel.lastMessageId = checkpoint;
+            await this.readAfter(channel);
+            return;
+        }
+        
+        // With a limit of 0 the newest message is still read, so catching up later starts after it
+        const limit = this.startupMessageLimit < 0 ? HISTORY_PAGE_SIZE : Math.min(Math.max(this.startupMessageLimit, 1), HISTORY_PAGE_SIZE);
+        const messages = (await this.request('GET', `/channels/${channel.target}/messages?limit=${limit}`)).reverse();
+        if (this.startupMessageLimit === 0) {
+            this.logger.info(`Startup mode: Skipping existing messages in ${channel.target} (STARTUP_MESSAGE_LIMIT=0)`);
+            channel.lastMessageId = messages.length > 0 ? messages[messages.length - 1].id : null;
+            return;
+        }
+        
+        this.logger.info(`Startup mode: Processing the last ${messages.length} message(s) in ${channel.target}`);
+        await this.receive(messages);
+    }
+
+    /**
+     * Read every message after the channel's last known one, oldest first
+     */
+    async readAfter(channel) {
+        while (true) {
+            const messages = await this.request('GET', `/channels/${channel.target}/messages?after=${channel.lastMessageId}&limit=${HISTORY_PAGE_SIZE}`);
+            // Discord returns the newest first
+            await this.receive(messages.reverse());
+            if (messages.length < HISTORY_PAGE_SIZE) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Turn Discord message objects into chat messages and queue the ones worth answering
+     */
+    async receive(discordMessages) {
+        const newMessages = [];
+        
+        for (const discordMessage of discordMessages) {
+            const channel = this.findChannel(discordMessage);
+            if (!channel || !Checkpoints.isNewer(discordMessage.id, channel.lastMessageId)) {
+                continue;
+            }
+            channel.lastMessageId = discordMessage.id;
+            if (!CONVERSATION_MESSAGE_TYPES.includes(discordMessage.type || 0)) {
+                continue;
+            }
+            
+            const msg = this.toChatMessage(discordMessage);
+            if (this.shouldKeep(channel, msg)) {
+                newMessages.push(msg);
+            }
+        }
+        
+        await this.downloadAttachments(newMessages);
+        this.receivedMessages.push(...newMessages);
+        
+        if (this.receivedMessages.length > 0 && this.waiter) {
+            this.waiter();
+        }
+    }
+
+    findChannel(discordMessage) {
+        const channel = this.channels.find(c => c.target === discordMessage.channel_id);
+        if (channel || discordMessage.guild_id || !this.allowDirectMessages) {
+            return channel || null;
+        }
+        
+        // Direct messages have no guild; each DM channel becomes a conversation of its own
+        const directChannel = this.createChannel(discordMessage.channel_id);
+        directChannel.direct = true;
+        this.channels.push(directChannel);
+        this.logger.info(`New direct message conversation with ${discordMessage.author.username} (${discordMessage.channel_id})`);
+        return directChannel;
+    }
+
+    toChatMessage(discordMessage) {
+        return {
+            id: discordMessage.id,
+            author: discordMessage.author.username,
+            authorId: discordMessage.author.id,
+            content: this.resolveMentions(discordMessage),
+            channel: discordMessage.channel_id,
+            timestamp: discordMessage.timestamp || new Date().toISOString(),
+            attachments: (discordMessage.attachments || []).map(attachment => ({
+                url: attachment.url,
+                filename: attachment.filename,
+                size: attachment.size
+            })),
+            embeds: (discordMessage.embeds || []).map(DiscordBotPlatform.embedText).filter(Boolean)
+        };
+    }
+
+    /**
+     * Message text as the Discord client shows it: user mentions become @name and custom
+     * emoji :name:, so mention filters match as they do with DiscordAgent
+     */
+    resolveMentions(discordMessage) {
+        const names = new Map((discordMessage.mentions || []).map(user => [user.id, user.username]));
+        return (discordMessage.content || '')
+            .replace(/<@!?(\d+)>/g, (match, id) => names.has(id) ? `@${names.get(id)}` : match)
+            .replace(/<a?(:\w+:)\d+>/g, '$1')
+            .trim();
+    }
+
+    /**
+     * Readable text of an embed: title, description and fields, one per line
+     */
+    static embedText(embed) {
+        return [
+            embed.author && embed.author.name,
+            embed.title,
+            embed.description,
+            ...(embed.fields || []).map(field => `${field.name}\n${field.value}`),
+            embed.footer && embed.footer.text
+        ].filter(Boolean).join('\n').trim();
+    }
+
+    /**
+     * Whether a received message should be handed to the orchestrator. Counts it as
+     * scraped, and as skipped when it is the bot's own or has nothing to answer.
+     */
+    shouldKeep(channel, msg) {
+        this.metrics.inc('discoagent_messages_scraped_total', { channel: channel.target });
+        if (this.isOwnMessage(msg)) {
+            this.metrics.inc('discoagent_messages_skipped_total', { reason: 'own' });
+            return false;
+        }
+        if (!msg.content && msg.attachments.length === 0 && msg.embeds.length === 0) {
+            this.metrics.inc('discoagent_messages_skipped_total', { reason: 'empty' });
+            return false;
+        }
+        return true;
+    }
+
+    async downloadAttachments(messages) {
+        for (const msg of messages) {
+            if (msg.attachments.length === 0) {
+                continue;
+            }
+            
+            // One folder per message so files with the same name never collide
+            const messageDir = path.join(this.attachmentDir, msg.id.replace(/[^a-zA-Z0-9_-]/g, '_'));
+            await fs.mkdir(messageDir, { recursive: true });
+            
+            for (const attachment of msg.attachments) {
+                try {
+                    if (attachment.size > this.maxAttachmentBytes) {
+                        throw new Error(`${attachment.size} bytes exceeds limit of ${this.maxAttachmentBytes}`);
+                    }
+                    
+                    // Attachment URLs are signed, so they download without the bot token
+                    const response = await fetch(attachment.url);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    
+                    const body = Buffer.from(await response.arrayBuffer());
+                    if (body.length > this.maxAttachmentBytes) {
+                        throw new Error(`${body.length} bytes exceeds limit of ${this.maxAttachmentBytes}`);
+                    }
+                    
+                    const filename = attachment.filename.replace(/[\\/:*?"<>|]/g, '_');
+                    attachment.path = path.join(messageDir, filename);
+                    await fs.writeFile(attachment.path, body);
+                    this.logger.info(`Downloaded attachment ${filename} (${body.length} bytes) for ${msg.id}`);
+                } catch (error) {
+                    this.logger.warn(`Could not download attachment ${attachment.url}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    async releaseMessage(msg) {
+        // Remove the temp folders holding this message's downloaded attachments. A message
+        // coalesced from several fragments has attachments in more than one folder.
+        const messageDirs = new Set((msg.attachments || [])
+            .filter(attachment => attachment.path)
+            .map(attachment => path.dirname(attachment.path)));
+        
+        for (const messageDir of messageDirs) {
+            try {
+                await fs.rm(messageDir, { recursive: true, force: true });
+            } catch (error) {
+                this.logger.debug(`Could not remove attachment folder ${messageDir}: ${error.message}`);
+            }
+        }
+    }
+
+    async getNewMessages() {
+        return this.receivedMessages.splice(0);
+    }
+
+    waitForMessages() {
+        return new Promise(resolve => {
+            this.waiter = () => {
+                this.waiter = null;
+                resolve(this.receivedMessages.splice(0));
+            };
+            
+            if (this.receivedMessages.length > 0 || !this.streamActive) {
+                this.waiter();
+            }
+        });
+    }
+
+    /**
+     * Stream batches of messages as they arrive. The first batch holds what was read from
+     * history on startup, even when it is empty, so startup completes right away.
+     */
+    async *messageStream() {
+        this.streamActive = true;
+        
+        yield await this.getNewMessages();
+        
+        while (this.streamActive) {
+            const messages = await this.waitForMessages();
+            if (messages.length > 0) {
+                yield messages;
+            }
+        }
+    }
+
+    stopMessageStream() {
+        this.streamActive = false;
+        if (this.waiter) {
+            this.waiter();
+        }
+    }
+
+    /**
+     * Call the Discord REST API. Rate limited requests are retried after the wait Discord asks for.
+     * @param {string} method - HTTP method
+     * @param {string} route - Path below the API URL, e.g. /channels/123/messages
+     * @param {Object|FormData} [body] - JSON body, or form data for uploads
+     * @returns {Promise<Object|null>} Parsed response, null for empty responses
+     */
+    async request(method, route, body = undefined) {
+        const headers = {
+            'Authorization': `Bot ${this.token}`,
+            'User-Agent': 'DiscordBot (https://github.com/MRIIOT/DiscoAgent, 1.0.0)'
+        };
+        if (body !== undefined && !(body instanceof FormData)) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(body);
+        }
+        
+        for (let attempt = 0; ; attempt++) {
+            const response = await fetch(`${this.apiUrl}${route}`, { method: method, headers: headers, body: body });
+            const text = await response.text();
+            const data = text ? JSON.parse(text) : null;
+            
+            if (response.status === 429 && attempt < this.maxRateLimitRetries) {
+                const retryAfter = data && data.retry_after !== undefined ? data.retry_after : parseFloat(response.headers.get('retry-after')) || 1;
+                this.logger.warn(`Discord rate limit on ${method} ${route}, retrying in ${retryAfter}s`);
+                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                continue;
+            }
+            if (!response.ok) {
+                const detail = data && data.message ? data.message : response.statusText;
+                throw new Error(`Discord API ${method} ${route} failed with ${response.status}: ${detail}`);
+            }
+            return data;
+        }
+    }
+
+    /**
+     * Run a send on a channel once earlier sends to it have finished, so the chunks of
+     * messages being sent concurrently never interleave
+     */
+    async withChannel(target, action) {
+        const channel = this.getChannel(target);
+        const run = channel.sendLock.then(() => action(channel));
+        channel.sendLock = run.catch(() => {});
+        return await run;
+    }
+
+    getChannel(target) {
+        // Fall back to the first channel when no target is given (single-channel setups)
+        if (!target) {
+            if (this.channels.length === 0) {
+                throw new Error('No Discord channel to send to');
+            }
+            return this.channels[0];
+        }
+        
+        const channel = this.channels.find(c => c.target === target);
+        if (!channel) {
+            throw new Error(`Not monitoring channel: ${target}`);
+        }
+        return channel;
+    }
+
+    getChannelStates() {
+        return this.channels.map(channel => ({
+            target: channel.target,
+            lastMessageId: channel.lastMessageId,
+            direct: channel.direct,
+            connected: this.ready
+        }));
+    }
+
+    async sendChunks(channel, chunks, reference = null) {
+        let firstId = null;
+        
+        for (let i = 0; i < chunks.length; i++) {
+            // Only the first chunk is the reply; the rest follow as plain messages
+            const isReply = i === 0 && !!reference;
+            const body = { content: chunks[i], allowed_mentions: this.allowedMentions(isReply) };
+            if (isReply) {
+                body.message_reference = { message_id: reference, fail_if_not_exists: false };
+            }
+            
+            const sent = await this.request('POST', `/channels/${channel.target}/messages`, body);
+            this.metrics.inc('discoagent_chunks_sent_total');
+            if (i === 0) {
+                firstId = sent.id;
+            }
+        }
+        
+        return firstId;
+    }
+
+    /**
+     * Mentions a message may ping: users it names, and the author of the message it replies
+     * to when replyPing is on. Never @everyone, @here or roles, whatever the agent wrote.
+     */
+    allowedMentions(isReply = false) {
+        return isReply ? { parse: ['users'], replied_user: this.replyPing } : { parse: ['users'] };
+    }
+
+    /**
+     * Send text to a channel
+     * @returns {Promise<string|null>} ID of the first message sent, for editMessage()
+     */
+    async sendMessage(text, target = null) {
+        return await this.withChannel(target, channel => this.sendChunks(channel, this.splitMessage(text)));
+    }
+
+    /**
+     * Send text as a native Discord reply to an earlier message. Only the first chunk is
+     * the reply; when the original message was deleted Discord sends it as a plain message.
+     */
+    async replyTo(messageId, text, target = null) {
+        return await this.withChannel(target, channel => this.sendChunks(channel, this.splitMessage(text), messageId));
+    }
+
+    /**
+     * Replace the text of one of our own messages. Only the first chunk fits in a single
+     * message, so callers should split long text themselves and send the rest separately.
+     */
+    async editMessage(messageId, text, target = null) {
+        return await this.withChannel(target, async channel => {
+            await this.request('PATCH', `/channels/${channel.target}/messages/${messageId}`, {
+                content: this.splitMessage(text)[0],
+                allowed_mentions: this.allowedMentions()
+            });
+            this.logger.debug(`Edited message ${messageId}`);
+        });
+    }
+
+    /**
+     * Upload a file to a channel, optionally with a caption
+     */
+    async sendFile(filePath, caption = '', target = null) {
+        return await this.withChannel(target, async channel => {
+            const stats = await fs.stat(filePath);
+            if (stats.size > this.maxUploadBytes) {
+                throw new Error(`File ${path.basename(filePath)} is ${stats.size} bytes, over the upload limit of ${this.maxUploadBytes}`);
+            }
+            
+            const filename = path.basename(filePath);
+            const form = new FormData();
+            form.append('payload_json', JSON.stringify({
+                content: caption ? this.splitMessage(caption)[0] : '',
+                allowed_mentions: this.allowedMentions(),
+                attachments: [{ id: 0, filename: filename }]
+            }));
+            form.append('files[0]', new Blob([await fs.readFile(filePath)]), filename);
+            
+            const sent = await this.request('POST', `/channels/${channel.target}/messages`, form);
+            this.logger.info(`Uploaded file ${filename} to ${channel.target}`);
+            return sent.id;
+        });
+    }
+
+    splitMessage(text, maxLength = 2000) {
+        // Markdown-aware: keeps code fences, lists and quotes intact across chunks
+        return MessageSplitter.split(text, { maxLength: maxLength, markers: this.chunkMarkers });
+    }
+
+    isOwnMessage(message) {
+        if (!this.user) {
+            return false;
+        }
+        return message.authorId ? message.authorId === this.user.id : message.author === this.user.username;
+    }
+
+    async cleanup() {
+        this.logger.info('Disconnecting from Discord...');
+        this.stopping = true;
+        this.stopMessageStream();
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.heartbeatTimer);
+        this.readyWaiters.splice(0).forEach(waiter => waiter.reject(new Error('Discord bot platform stopped')));
+        
+        if (this.socket) {
+            this.socket.close(1000);
+        }
+        
+        try {
+            await fs.rm(this.attachmentDir, { recursive: true, force: true });
+        } catch (error) {
+            this.logger.debug(`Could not remove attachment folder: ${error.message}`);
+        }
+    }
+}
+
+module.exports = DiscordBotPlatform;
@@ -0,0 +1,521 @@
+const net = require('net');
+const tls = require('tls');
+const Metrics = require('./Metrics');
+
+// Chat platform for IRC. One connection joins every configured channel; PRIVMSGs to a channel
+// become messages in that channel, private ones a conversation named after the sender. The
+// connection is re-established with exponential backoff whenever it drops.
+//
+// Nicks are not owned: anyone can switch to a free nick. With ircRequireAccount the server is
+// asked to tag messages with the sender's services account (IRCv3 account-tag); messages are
+// then authored by that account, and those from users who are not logged in are ignored.
+
+// Longest line a server accepts, including the trailing CRLF
+const MAX_LINE_BYTES = 512;
+// Servers prefix our lines with ":nick!~user@host " when relaying them; leave room for the
+// longest hostname so replies are never cut off
+const HOST_ALLOWANCE = 63;
+// mIRC bold, color, reset, reverse, italic, strikethrough, monospace and underline codes
+const FORMATTING_CODES = /\x03(\d{1,2}(,\d{1,2})?)?|[\x02\x0F\x11\x16\x1D\x1E\x1F]/g;
+
+class IrcPlatform {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.metrics = config.metrics || new Metrics();
+        this.server = config.ircServer;
+        this.tls = config.ircTls || false;
+        this.port = config.ircPort || (this.tls ? 6697 : 6667);
+        this.password = config.ircPassword || null;  // Server password (PASS)
+        this.preferredNick = config.ircNick || config.botName || 'ClaudeAgent';
+        this.nick = this.preferredNick;
+        this.username = config.ircUsername || 'discoagent';
+        this.realname = config.ircRealname || 'DiscoAgent';
+        this.channels = config.ircChannels || [];
+        this.lineDelay = config.ircLineDelay !== undefined ? config.ircLineDelay : 500;  // Between lines, to stay under flood limits
+        this.reconnectDelay = config.ircReconnectDelay || 1000;  // First retry; doubles after every failed attempt
+        this.maxReconnectDelay = config.ircMaxReconnectDelay || 60000;
+        this.connectTimeout = config.ircConnectTimeout || 30000;
+        this.pingInterval = config.ircPingInterval || 120000;  // Idle time before checking the server is still there
+        this.requireAccount = config.ircRequireAccount || false;
+        
+        this.socket = null;
+        this.buffer = '';
+        this.registered = false;
+        this.accountTag = false;  // Whether the server agreed to tag messages with accounts
+        this.joined = new Set();  // Lowercased names of the channels we are in
+        this.readyWaiters = [];
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.keepaliveTimer = null;
+        this.lastActivity = 0;
+        this.stopping = false;
+        this.sendLock = Promise.resolve();  // Keeps lines of concurrent replies from interleaving
+        this.lastSentAt = 0;
+        
+        this.receivedMessages = [];
+        this.waiter = null;
+        this.streamActive = false;
+        this.lastId = 0;
+    }
+
+    async initialize() {
+        this.logger.info(`Connecting to IRC server ${this.server}:${this.port}${this.tls ? ' (TLS)' : ''} as ${this.preferredNick}...`);
+        this.stopping = false;
+        this.connect();
+        await this.waitUntilReady();
+        this.logger.info(`Connected to IRC as ${this.nick}, joining ${this.channels.join(', ') || '(no channels)'}`);
+    }
+
+    connect() {
+        this.registered = false;
+        this.accountTag = false;
+        this.buffer = '';
+        this.nick = this.preferredNick;
+        
+        const socket = this.tls
+            ? tls.connect({ host: this.server, port: this.port, servername: net.isIP(this.server) ? undefined : this.server })
+            : net.connect({ host: this.server, port: this.port });
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.on(this.tls ? 'secureConnect' : 'connect', () => this.register());
+        socket.on('data', data => this.handleData(data));
+        socket.on('error', error => this.logger.warn(`IRC connection error: ${error.message}`));
+        socket.on('close', () => this.handleClose(socket));
+    }
+
+    register() {
+        this.lastActivity = Date.now();
+        if (this.requireAccount) {
+            // Holds registration until CAP END; servers without capabilities ignore it
+            this.send('CAP REQ :account-tag');
+        }
+        if (this.password) {
+            this.send(`PASS ${this.password}`);
+        }
+        this.send(`NICK ${this.nick}`);
+        this.send(`USER ${this.username} 0 * :${this.realname}`);
+        this.startKeepalive();
+    }
+
+    handleData(data) {
+        this.lastActivity = Date.now();
+        this.buffer += data;
+        const lines = this.buffer.split(/\r?\n/);
+        this.buffer = lines.pop();
+        
+        for (const line of lines) {
+            const message = IrcPlatform.parseLine(line);
+            if (message) {
+                this.handleLine(message);
+            }
+        }
+    }
+
+    handleLine(message) {
+        const [first, second] = message.params;
+        
+        switch (message.command) {
+            case 'PING':
+                this.send(`PONG :${first || ''}`);
+                break;
+            case '001':
+                // Welcome: registration is complete and the server tells us the nick it accepted
+                this.registered = true;
+                this.nick = first || this.nick;
+                this.reconnectAttempts = 0;
+                if (this.requireAccount && !this.accountTag) {
+                    this.logger.error('IRC server does not support account-tag, so no message can be verified and all are ignored (IRC_REQUIRE_ACCOUNT)');
+                }
+                if (this.channels.length > 0) {
+                    this.send(`JOIN ${this.channels.join(',')}`);
+                }
+                this.readyWaiters.splice(0).forEach(waiter => waiter.resolve());
+                break;
+            case 'CAP':
+                // Reply to our capability request: CAP <nick> ACK|NAK :<capabilities>
+                if (second === 'ACK' && (message.params[2] || '').split(' ').includes('account-tag')) {
+                    this.accountTag = true;
+                }
+                if (second === 'ACK' || second === 'NAK') {
+                    this.send('CAP END');
+                }
+                break;
+            case '433':
+                // Nickname in use: try again with an underscore until one is free
+                if (!this.registered) {
+                    this.logger.warn(`IRC nick ${second} is taken, trying ${second}_`);
+                    this.nick = `${second}_`;
+                    this.send(`NICK ${this.nick}`);
+                }
+                break;
+            case '464':
+                this.logger.error('IRC server rejected the password (IRC_PASSWORD)');
+                break;
+            case '471':
+            case '473':
+            case '474':
+            case '475':
+                this.logger.warn(`Cannot join IRC channel ${second}: ${message.params[message.params.length - 1]}`);
+                break;
+            case 'JOIN':
+                if (this.isSelf(message.nick)) {
+                    this.joined.add(first.toLowerCase());
+                    this.logger.info(`Joined IRC channel ${first}`);
+                }
+                break;
+            case 'PART':
+                if (this.isSelf(message.nick)) {
+                    this.joined.delete(first.toLowerCase());
+                }
+                break;
+            case 'KICK':
+                if (this.isSelf(second)) {
+                    this.joined.delete(first.toLowerCase());
+                    this.logger.warn(`Kicked from IRC channel ${first} by ${message.nick}, rejoining`);
+                    this.send(`JOIN ${first}`);
+                }
+                break;
+            case 'NICK':
+                if (this.isSelf(message.nick)) {
+                    this.nick = first;
+                }
+                break;
+            case 'PRIVMSG':
+                this.handlePrivmsg(message);
+                break;
+            case 'ERROR':
+                this.logger.warn(`IRC server closed the connection: ${first}`);
+                break;
+        }
+    }
+
+    handlePrivmsg(message) {
+        const [target, text] = message.params;
+        if (!message.nick || !target || !text) {
+            return;
+        }
+        
+        let content = text;
+        const ctcp = /^\x01(\S+) ?(.*?)\x01?$/.exec(text);
+        if (ctcp) {
+            // /me is part of the conversation; VERSION, PING and other CTCP queries are not
+            if (ctcp[1] !== 'ACTION') {
+                return;
+            }
+            content = `* ${message.nick} ${ctcp[2]}`;
+        }
+        content = content.replace(FORMATTING_CODES, '').trim();
+        if (!content) {
+            return;
+        }
+        
+        // The account is vouched for by the server; the nick alone proves nothing
+        let author = message.nick;
+        if (this.requireAccount) {
+            if (!this.accountTag || !message.tags.account) {
+                this.logger.debug(`Ignoring IRC message from ${message.nick}, who is not logged in to an account`);
+                return;
+            }
+            author = message.tags.account;
+        }
+        
+        // Private messages are a conversation with the sender, answered privately
+        const channel = /^[#&+!]/.test(target) ? this.findChannel(target) : message.nick;
+        this.lastId = Math.max(Date.now(), this.lastId + 1);  // Keeps IDs growing across restarts, like snowflakes
+        this.metrics.inc('discoagent_messages_scraped_total', { channel: channel });
+        this.receivedMessages.push({
+            id: `irc-${this.lastId}`,
+            author: author,
+            content: content,
+            channel: channel,
+            timestamp: message.tags.time || new Date().toISOString(),
+            attachments: [],
+            embeds: []
+        });
+        
+        if (this.waiter) {
+            this.waiter();
+        }
+    }
+
+    handleClose(socket) {
+        if (socket !== this.socket) {
+            return;
+        }
+        
+        clearInterval(this.keepaliveTimer);
+        this.registered = false;
+        this.joined.clear();
+        if (this.stopping) {
+            return;
+        }
+        
+        const delay = this.getReconnectDelay();
+        this.reconnectAttempts++;
+        this.logger.warn(`IRC connection lost, reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * Wait before the next connection attempt: doubles with every failed attempt, up to the maximum
+     */
+    getReconnectDelay() {
+        return Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
+    }
+
+    /**
+     * Ping the server after a quiet period and drop the connection when it stops answering,
+     * so a dead connection is noticed and re-established
+     */
+    startKeepalive() {
+        clearInterval(this.keepaliveTimer);
+        this.keepaliveTimer = setInterval(() => {
+            const idle = Date.now() - this.lastActivity;
+            if (idle > this.pingInterval * 2) {
+                this.logger.warn(`No data from the IRC server for ${Math.round(idle / 1000)}s, reconnecting`);
+                this.socket.destroy();
+            } else if (idle > this.pingInterval) {
+                this.send(`PING :${this.server}`);
+            }
+        }, this.pingInterval / 2);
+    }
+
+    /**
+     * Resolves once the connection is registered, or rejects after connectTimeout
+     */
+    waitUntilReady() {
+        if (this.registered) {
+            return Promise.resolve();
+        }
+        
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: () => {
+                    clearTimeout(timer);
+                    resolve();
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.readyWaiters = this.readyWaiters.filter(other => other !== waiter);
+                reject(new Error(`Not connected to IRC server ${this.server}:${this.port} after ${this.connectTimeout / 1000}s`));
+            }, this.connectTimeout);
+            this.readyWaiters.push(waiter);
+        });
+    }
+
+    send(line) {
+        if (this.socket && this.socket.writable) {
+            this.socket.write(`${line}\r\n`);
+        }
+    }
+
+    isSelf(nick) {
+        return Boolean(nick) && nick.toLowerCase() === this.nick.toLowerCase();
+    }
+
+    findChannel(name) {
+        // Channel names are case-insensitive; keep the spelling from the configuration
+        return this.channels.find(channel => channel.toLowerCase() === name.toLowerCase()) || name;
+    }
+
+    async getNewMessages() {
+        return this.receivedMessages.splice(0);
+    }
+
+    waitForMessages() {
+        return new Promise(resolve => {
+            this.waiter = () => {
+                this.waiter = null;
+                resolve(this.receivedMessages.splice(0));
+            };
+            
+            if (this.receivedMessages.length > 0 || !this.streamActive) {
+                this.waiter();
+            }
+        });
+    }
+
+    /**
+     * Stream batches of messages as they arrive
+     */
+    async *messageStream() {
+        this.streamActive = true;
+        
+        while (this.streamActive) {
+            const messages = await this.waitForMessages();
+            if (messages.length > 0) {
+                yield messages;
+            }
+        }
+    }
+
+    stopMessageStream() {
+        this.streamActive = false;
+        if (this.waiter) {
+            this.waiter();
+        }
+    }
+
+    /**
+     * Send text to a channel or nick, one PRIVMSG per line. Waits for a reconnect when the
+     * connection is down.
+     * @param {string} text - Message text
+     * @param {string} [target] - Channel or nick, defaults to the first channel
+     * @returns {Promise<null>} IRC messages have no IDs
+     */
+    async sendMessage(text, target = null) {
+        const recipient = target || this.channels[0];
+        if (!recipient) {
+            throw new Error('No IRC channel to send to');
+        }
+        
+        const run = this.sendLock.then(async () => {
+            for (const line of this.splitMessage(text, recipient)) {
+                const wait = this.lastSentAt + this.lineDelay - Date.now();
+                if (wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+                await this.waitUntilReady();
+                this.send(`PRIVMSG ${recipient} :${line}`);
+                this.lastSentAt = Date.now();
+                this.metrics.inc('discoagent_chunks_sent_total');
+            }
+        });
+        this.sendLock = run.catch(() => {});
+        await run;
+        return null;
+    }
+
+    /**
+     * Lines to send for a text: IRC has no multi-line messages, so every line of the text
+     * becomes its own message, and lines too long for the protocol are split at word breaks
+     * @param {string} text - Message text
+     * @param {string} target - Channel or nick the lines go to
+     * @returns {string[]} Lines
+     */
+    splitMessage(text, target) {
+        const overhead = Buffer.byteLength(`:${this.nick}!~${this.username}@ PRIVMSG ${target} :\r\n`) + HOST_ALLOWANCE;
+        const maxBytes = MAX_LINE_BYTES - overhead;
+        
+        return text
+            .split(/\r?\n/)
+            .map(line => line.replace(/\t/g, '    ').trimEnd())
+            .filter(line => line.trim())
+            .flatMap(line => IrcPlatform.splitLine(line, maxBytes));
+    }
+
+    /**
+     * Split one line into pieces of at most maxBytes UTF-8 bytes, never inside a character
+     */
+    static splitLine(line, maxBytes) {
+        const pieces = [];
+        let rest = line;
+        
+        while (Buffer.byteLength(rest) > maxBytes) {
+            let bytes = 0;
+            let length = 0;
+            for (const char of rest) {
+                bytes += Buffer.byteLength(char);
+                if (bytes > maxBytes) {
+                    break;
+                }
+                length += char.length;
+            }
+            
+            let piece = rest.substring(0, length);
+            const lastSpace = piece.lastIndexOf(' ');
+            if (lastSpace > piece.length / 2) {
+                piece = piece.substring(0, lastSpace);
+            }
+            pieces.push(piece.trimEnd());
+            rest = rest.substring(piece.length).trimStart();
+        }
+        
+        if (rest) {
+            pieces.push(rest);
+        }
+        return pieces;
+    }
+
+    /**
+     * Parse a raw IRC line into { tags, prefix, nick, command, params }; the trailing
+     * parameter (after " :") is the last entry of params
+     */
+    static parseLine(line) {
+        let rest = line.trim();
+        if (!rest) {
+            return null;
+        }
+        
+        const tags = {};
+        if (rest.startsWith('@')) {
+            const end = rest.indexOf(' ');
+            for (const tag of rest.substring(1, end).split(';')) {
+                const [key, value = ''] = tag.split('=');
+                tags[key] = value;
+            }
+            rest = rest.substring(end + 1).trimStart();
+        }
+        
+        let prefix = null;
+        if (rest.startsWith(':')) {
+            const end = rest.indexOf(' ');
+            prefix = rest.substring(1, end);
+            rest = rest.substring(end + 1).trimStart();
+        }
+        
+        let trailing = null;
+        const trailingAt = rest.indexOf(' :');
+        if (trailingAt >= 0) {
+            trailing = rest.substring(trailingAt + 2);
+            rest = rest.substring(0, trailingAt);
+        }
+        
+        const params = rest.split(' ').filter(Boolean);
+        const command = (params.shift() || '').toUpperCase();
+        if (trailing !== null) {
+            params.push(trailing);
+        }
+        
+        return {
+            tags: tags,
+            prefix: prefix,
+            nick: prefix ? prefix.split('!')[0] : null,
+            command: command,
+            params: params
+        };
+    }
+
+    getChannelStates() {
+        return this.channels.map(channel => ({
+            target: channel,
+            connected: this.registered,
+            joined: this.joined.has(channel.toLowerCase())
+        }));
+    }
+
+    isOwnMessage(message) {
+        return this.isSelf(message.author);
+    }
+
+    async cleanup() {
+        this.logger.info('Disconnecting from IRC...');
+        this.stopping = true;
+        this.stopMessageStream();
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.keepaliveTimer);
+        this.readyWaiters.splice(0).forEach(waiter => waiter.reject(new Error('IRC platform stopped')));
+        
+        if (this.socket) {
+            this.send('QUIT :Shutting down');
+            this.socket.end();
+        }
+    }
+}
+
+module.exports = IrcPlatform;
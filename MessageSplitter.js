@@ -0,0 +1,264 @@
+// Splits long responses into chunks that fit a chat message limit without breaking
+// Discord markdown: code fences are closed and reopened across chunks, lists and quotes
+// are kept together where possible, and over-long lines are wrapped at word boundaries.
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})(.*)$/;
+const LIST_PATTERN = /^\s*([-*+]|\d+[.)])\s+/;
+const QUOTE_PATTERN = /^>/;
+const BLOCK_QUOTE_PREFIX = '>>> ';
+
+// Room kept free in each chunk for a "\n(12/34)" marker
+const MARKER_RESERVE = 12;
+// Less room than this left in a chunk is not worth starting a wrapped line in
+const MIN_WRAP_ROOM = 20;
+
+class MessageSplitter {
+    /**
+     * Split text into chunks no longer than maxLength
+     * @param {string} text - Text to split
+     * @param {Object} [options] - maxLength (default 2000) and markers (append "(1/3)" to each chunk)
+     * @returns {string[]} Chunks
+     */
+    static split(text, options = {}) {
+        const maxLength = options.maxLength || 2000;
+        if (text.length <= maxLength) return [text];
+        
+        const limit = options.markers ? maxLength - MARKER_RESERVE : maxLength;
+        const chunks = [];
+        let current = '';
+        
+        for (const block of MessageSplitter.parseBlocks(text)) {
+            const joined = current ? current + block.separator + block.text : block.text;
+            if (joined.length <= limit) {
+                current = joined;
+                continue;
+            }
+            
+            // Block does not fit in what is left but fits a chunk: start a new chunk with it
+            if (block.text.length <= limit) {
+                if (current) {
+                    chunks.push(current);
+                }
+                current = block.text;
+                continue;
+            }
+            
+            // Block is bigger than a whole chunk and has to be broken up. Its first piece fills the
+            // room left in the current chunk, so the text leading into it is not sent on its own,
+            // unless not even the block's first line fits there.
+            const split = room => block.type === 'code'
+                ? MessageSplitter.splitCodeBlock(block, limit, room)
+                : MessageSplitter.splitLines(block.lines, limit, block.continuationPrefix, room);
+            let pieces = current ? split(limit - current.length - block.separator.length) : split(limit);
+            if (current && current.length + block.separator.length + pieces[0].length <= limit) {
+                pieces[0] = current + block.separator + pieces[0];
+            } else if (current) {
+                chunks.push(current);
+                pieces = split(limit);
+            }
+            chunks.push(...pieces.slice(0, -1));
+            current = pieces[pieces.length - 1];
+        }
+        
+        if (current) chunks.push(current);
+        
+        if (options.markers && chunks.length > 1) {
+            return chunks.map((chunk, i) => `${chunk}\n(${i + 1}/${chunks.length})`);
+        }
+        return chunks;
+    }
+
+    /**
+     * Group lines into blocks that should stay together: code fences, lists, quotes and paragraphs
+     * @param {string} text - Markdown text
+     * @returns {Object[]} Blocks with type, lines, text and the separator that preceded them
+     */
+    static parseBlocks(text) {
+        const lines = text.split('\n');
+        const blocks = [];
+        let block = null;
+        let blankLines = 0;
+        
+        const startBlock = (type, line) => {
+            block = {
+                type: type,
+                lines: [line],
+                separator: '\n'.repeat(blankLines + 1),
+                continuationPrefix: ''
+            };
+            blocks.push(block);
+            blankLines = 0;
+        };
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const fence = FENCE_PATTERN.exec(line);
+            
+            // A line like ```inline``` opens and closes on the same line, so it is not a fence
+            if (fence && !fence[2].includes(fence[1])) {
+                // Collect the whole fence, up to the closing marker or the end of the text
+                startBlock('code', line);
+                block.fence = fence[1];
+                block.opening = line.trim();
+                while (i + 1 < lines.length) {
+                    i++;
+                    block.lines.push(lines[i]);
+                    const closing = lines[i].trim();
+                    if (closing.startsWith(block.fence) && closing.replace(/[`~]/g, '') === '') {
+                        block.closed = true;
+                        break;
+                    }
+                }
+                block = null;
+            } else if (line.trim() === '') {
+                blankLines++;
+                block = null;
+            } else if (line.startsWith(BLOCK_QUOTE_PREFIX)) {
+                // ">>> " quotes everything that follows it
+                startBlock('quote', line);
+                block.lines.push(...lines.slice(i + 1));
+                block.continuationPrefix = BLOCK_QUOTE_PREFIX;
+                block = null;
+                break;
+            } else if (QUOTE_PATTERN.test(line)) {
+                if (block && block.type === 'quote') {
+                    block.lines.push(line);
+                } else {
+                    startBlock('quote', line);
+                }
+            } else if (LIST_PATTERN.test(line)) {
+                if (block && block.type === 'list') {
+                    block.lines.push(line);
+                } else {
+                    startBlock('list', line);
+                }
+            } else if (block && block.type === 'list' && /^\s+/.test(line)) {
+                // Indented continuation of a list item
+                block.lines.push(line);
+            } else if (block && block.type === 'paragraph') {
+                block.lines.push(line);
+            } else {
+                startBlock('paragraph', line);
+            }
+        }
+        
+        for (const b of blocks) {
+            b.text = b.lines.join('\n');
+        }
+        return blocks;
+    }
+
+    /**
+     * Pack lines into chunks, wrapping lines that are longer than a chunk
+     * @param {string[]} lines - Lines to pack
+     * @param {number} limit - Maximum chunk length
+     * @param {string} [prefix] - Prepended to every chunk after the first (e.g. ">>> ")
+     * @param {number} [firstLimit] - Maximum length of the first chunk, when it has less room than the others
+     * @returns {string[]} Chunks
+     */
+    static splitLines(lines, limit, prefix = '', firstLimit = limit) {
+        const chunks = [];
+        let current = '';
+        let chunkLimit = firstLimit;
+        
+        const push = () => {
+            if (current) chunks.push(current);
+            current = chunks.length > 0 ? prefix : '';
+            chunkLimit = limit;
+        };
+        
+        for (const line of lines) {
+            const separator = current && current !== prefix ? '\n' : '';
+            if (current.length + separator.length + line.length <= chunkLimit) {
+                current += separator + line;
+                continue;
+            }
+            
+            // A line longer than a chunk is wrapped anyway, so it starts in the room that is left;
+            // any other line moves to the next chunk whole
+            if (line.length <= limit - prefix.length || chunkLimit - current.length - separator.length < MIN_WRAP_ROOM) {
+                push();
+            } else {
+                current += separator;
+            }
+            
+            let rest = line;
+            while (current.length + rest.length > chunkLimit) {
+                const piece = MessageSplitter.wrapLine(rest, chunkLimit - current.length)[0];
+                current += piece;
+                rest = rest.substring(piece.length);
+                push();
+            }
+            current += rest;
+        }
+        
+        if (current && current !== prefix) chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Split a fenced code block, closing the fence at the end of each chunk and
+     * reopening it with the same language tag at the start of the next
+     * @param {Object} block - Code block from parseBlocks()
+     * @param {number} limit - Maximum chunk length
+     * @param {number} [firstLimit] - Maximum length of the first chunk, when it has less room than the others
+     * @returns {string[]} Chunks
+     */
+    static splitCodeBlock(block, limit, firstLimit = limit) {
+        const opening = block.opening;
+        const closing = block.fence;
+        const body = block.lines.slice(1, block.closed ? -1 : undefined);
+        if (body.length === 0) {
+            return MessageSplitter.splitLines(block.lines, limit, '', firstLimit);
+        }
+        
+        // Room for the code itself once the fences and their newlines are added. An opening line
+        // too long to repeat in every chunk leaves no room, so the block is split as plain text.
+        const fences = opening.length + closing.length + 2;
+        if (limit - fences < MIN_WRAP_ROOM) {
+            return MessageSplitter.splitLines(block.lines, limit, '', firstLimit);
+        }
+        const pieces = MessageSplitter.splitLines(body, limit - fences, '', firstLimit - fences);
+        
+        return pieces.map(piece => `${opening}\n${piece}\n${closing}`);
+    }
+
+    /**
+     * Wrap one line into pieces no longer than limit, breaking after the last space when possible.
+     * The space stays at the end of its piece so joining the pieces gives back the original line.
+     * @param {string} line - Line to wrap
+     * @param {number} limit - Maximum piece length
+     * @returns {string[]} Pieces
+     */
+    static wrapLine(line, limit) {
+        // Fewer than two characters cannot hold a surrogate pair, and would never shorten the line
+        if (!(limit >= 2)) {
+            throw new RangeError(`Cannot wrap a line into pieces of ${limit} characters`);
+        }
+        
+        const pieces = [];
+        let rest = line;
+        
+        while (rest.length > limit) {
+            let breakAt = rest.lastIndexOf(' ', limit - 1);
+            if (breakAt <= 0) {
+                // No space to break at: hard cut, but never between the halves of a surrogate pair
+                breakAt = limit;
+                const code = rest.charCodeAt(breakAt);
+                if (code >= 0xDC00 && code <= 0xDFFF) {
+                    breakAt--;
+                }
+                pieces.push(rest.substring(0, breakAt));
+                rest = rest.substring(breakAt);
+            } else {
+                pieces.push(rest.substring(0, breakAt + 1));
+                rest = rest.substring(breakAt + 1);
+            }
+        }
+        
+        pieces.push(rest);
+        return pieces;
+    }
+}
+
+module.exports = MessageSplitter;
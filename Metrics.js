@@ -0,0 +1,148 @@
+// Counters and histograms about message throughput, agent latency and cost, rendered in
+// the Prometheus text format for the control server's /metrics endpoint. Every metric is
+// declared here so a scrape shows all of them, even before anything has happened.
+
+const METRICS = {
+    discoagent_messages_scraped_total: {
+        type: 'counter',
+        help: 'New messages read from the chat platform',
+        labels: ['channel']
+    },
+    discoagent_messages_skipped_total: {
+        type: 'counter',
+        help: 'Messages not answered, by reason (own, empty, duplicate, feedback-loop, denied, filtered)',
+        labels: ['reason']
+    },
+    discoagent_agent_duration_seconds: {
+        type: 'histogram',
+        help: 'Time the agent took to answer a message',
+        labels: ['agent'],
+        buckets: [1, 2, 5, 10, 30, 60, 120, 300, 600]
+    },
+    discoagent_agent_errors_total: {
+        type: 'counter',
+        help: 'Failed agent runs, by type (timeout, cli-missing, invalid-session, agent-error, other)',
+        labels: ['agent', 'type']
+    },
+    discoagent_cost_usd_total: {
+        type: 'counter',
+        help: 'Agent cost in USD',
+        labels: ['channel']
+    },
+    discoagent_chunks_sent_total: {
+        type: 'counter',
+        help: 'Message chunks posted to the chat platform',
+        labels: []
+    },
+    discoagent_loop_errors_total: {
+        type: 'counter',
+        help: 'Errors caught by the orchestrator main loop',
+        labels: []
+    }
+};
+
+class Metrics {
+    constructor() {
+        // Metric name -> Map of label key -> counter value or histogram state
+        this.series = new Map(Object.keys(METRICS).map(name => [name, new Map()]));
+    }
+
+    /**
+     * Increase a counter
+     * @param {string} name - Metric name
+     * @param {Object} [labels] - Label values
+     * @param {number} [value] - Amount to add
+     */
+    inc(name, labels = {}, value = 1) {
+        const series = this.getSeries(name, 'counter');
+        const key = labelKey(METRICS[name], labels);
+        series.set(key, (series.get(key) || 0) + value);
+    }
+
+    /**
+     * Record a histogram observation
+     * @param {string} name - Metric name
+     * @param {number} value - Observed value
+     * @param {Object} [labels] - Label values
+     */
+    observe(name, value, labels = {}) {
+        const series = this.getSeries(name, 'histogram');
+        const key = labelKey(METRICS[name], labels);
+        if (!series.has(key)) {
+            series.set(key, { buckets: METRICS[name].buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        
+        const histogram = series.get(key);
+        METRICS[name].buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                histogram.buckets[i]++;
+            }
+        });
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    getSeries(name, type) {
+        const definition = METRICS[name];
+        if (!definition || definition.type !== type) {
+            throw new Error(`Unknown ${type} metric: ${name}`);
+        }
+        return this.series.get(name);
+    }
+
+    /**
+     * All metrics in the Prometheus text exposition format
+     * @returns {string} Exposition text
+     */
+    render() {
+        const lines = [];
+        
+        for (const [name, definition] of Object.entries(METRICS)) {
+            lines.push(`# HELP ${name} ${definition.help}`);
+            lines.push(`# TYPE ${name} ${definition.type}`);
+            
+            const series = this.series.get(name);
+            // Unlabeled counters are always shown so a scrape tells 0 apart from missing
+            if (series.size === 0 && definition.type === 'counter' && definition.labels.length === 0) {
+                lines.push(`${name} 0`);
+            }
+            
+            for (const [key, value] of series) {
+                if (definition.type === 'counter') {
+                    lines.push(`${name}${formatLabels(key)} ${value}`);
+                    continue;
+                }
+                
+                definition.buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels(key, `le="${bound}"`)} ${value.buckets[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(key, 'le="+Inf"')} ${value.count}`);
+                lines.push(`${name}_sum${formatLabels(key)} ${value.sum}`);
+                lines.push(`${name}_count${formatLabels(key)} ${value.count}`);
+            }
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Label pairs in declaration order, already escaped, joined into the series key
+function labelKey(definition, labels) {
+    return definition.labels
+        .map(label => `${label}="${escapeLabel(labels[label])}"`)
+        .join(',');
+}
+
+function formatLabels(key, extra = '') {
+    const pairs = [key, extra].filter(Boolean).join(',');
+    return pairs ? `{${pairs}}` : '';
+}
+
+function escapeLabel(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+module.exports = Metrics;
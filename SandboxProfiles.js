@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Tool permissions and working directories for the agent, chosen per channel and user role.
+// Profiles and the rules that pick them are read from a JSON file:
+//
+// {
+//   "profiles": {
+//     "web": { "allowedTools": ["WebSearch", "WebFetch"], "disallowedTools": ["Bash", "Edit", "Write"], "workingDir": "./workspaces/web" },
+//     "dev": { "permissionMode": "acceptEdits", "workingDir": "/home/me/project" }
+//   },
+//   "rules": [
+//     { "channel": "https://discord.com/channels/1/2", "role": "admin", "profile": "dev" },
+//     { "profile": "web" }
+//   ]
+// }
+//
+// The first rule whose channel and role match (a missing field matches anything) wins.
+
+const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions'];
+
+// Used when no file is configured or no rule matches, unless the file defines its own "default":
+// Claude's defaults in the bot's own folder
+const DEFAULT_PROFILE = { name: 'default', allowedTools: [], disallowedTools: [], permissionMode: null, workingDir: null };
+
+class SandboxProfiles {
+    constructor(config = {}, logger = console) {
+        this.logger = logger;
+        this.profilesFile = config.sandboxProfilesFile || null;
+        this.profiles = { default: DEFAULT_PROFILE };
+        this.rules = [];
+    }
+
+    /**
+     * Read and validate the profiles file, creating missing working directories.
+     * Throws on a broken file so a misconfigured sandbox never starts silently.
+     */
+    async load() {
+        if (!this.profilesFile) {
+            return;
+        }
+        
+        const data = JSON.parse(await fs.readFile(this.profilesFile, 'utf8'));
+        const baseDir = path.dirname(path.resolve(this.profilesFile));
+        
+        for (const [name, profile] of Object.entries(data.profiles || {})) {
+            if (profile.permissionMode && !PERMISSION_MODES.includes(profile.permissionMode)) {
+                throw new Error(`Profile "${name}" has unknown permissionMode "${profile.permissionMode}" (use ${PERMISSION_MODES.join(', ')})`);
+            }
+            
+            // Relative working directories are relative to the profiles file
+            const workingDir = profile.workingDir ? path.resolve(baseDir, profile.workingDir) : null;
+            if (workingDir) {
+                await fs.mkdir(workingDir, { recursive: true });
+            }
+            
+            this.profiles[name] = {
+                name: name,
+                allowedTools: profile.allowedTools || [],
+                disallowedTools: profile.disallowedTools || [],
+                permissionMode: profile.permissionMode || null,
+                workingDir: workingDir
+            };
+        }
+        
+        this.rules = data.rules || [];
+        for (const rule of this.rules) {
+            if (!this.profiles[rule.profile]) {
+                throw new Error(`Rule ${JSON.stringify(rule)} refers to unknown profile "${rule.profile}"`);
+            }
+        }
+        
+        this.logger.info(`Loaded ${Object.keys(this.profiles).length - 1} sandbox profile(s) and ${this.rules.length} rule(s) from ${this.profilesFile}`);
+    }
+
+    /**
+     * Pick the profile for a message
+     * @param {string} channel - Channel the message came from
+     * @param {string|null} role - Author's access role
+     * @returns {Object} Profile with name, allowedTools, disallowedTools, permissionMode and workingDir
+     */
+    resolve(channel, role) {
+        const rule = this.rules.find(r =>
+            (!r.channel || r.channel === channel) &&
+            (!r.role || r.role === role));
+        return this.profiles[rule ? rule.profile : 'default'];
+    }
+
+    /**
+     * One-line description for status output
+     * @param {Object} profile - Result of resolve()
+     * @returns {string} Description
+     */
+    describe(profile) {
+        const details = [`working dir ${profile.workingDir || process.cwd()}`];
+        if (profile.permissionMode) details.push(`permission mode ${profile.permissionMode}`);
+        if (profile.allowedTools.length > 0) details.push(`allowed ${profile.allowedTools.join(', ')}`);
+        if (profile.disallowedTools.length > 0) details.push(`disallowed ${profile.disallowedTools.join(', ')}`);
+        return `${profile.name} (${details.join('; ')})`;
+    }
+}
+
+module.exports = SandboxProfiles;
@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const DEFAULT_PROFILE = require('./selector-profiles/discord-default.json');
+
+// The CSS selectors DiscordAgent uses to read and drive the Discord web client, grouped by
+// role. Discord's build-specific class names (username_c19a55 and friends) change without
+// notice, so each role lists selectors in order of preference and the first one that
+// matches wins. A custom profile only needs the roles it changes:
+//
+// {
+//   "name": "discord-2026-11",
+//   "version": "2026.11",
+//   "roles": {
+//     "username": [".username_a1b2c3", "[id^=\"message-username-\"] [class*=\"username_\"]"],
+//     "replyPreview": { "selectors": [".repliedMessage_a1b2c3"] }
+//   }
+// }
+//
+// Roles with an "expect" are checked against the live page by selfTest() after startup:
+// "always", "withMessages" (only when the channel shows messages), "serverChannel" or
+// "directMessage" (only on that kind of channel).
+
+const EXPECTATIONS = ['always', 'withMessages', 'serverChannel', 'directMessage'];
+
+class SelectorProfile {
+    constructor(config = {}, logger = console) {
+        this.logger = logger;
+        this.profileFile = config.selectorProfileFile || null;
+        this.diagnosticsDir = config.diagnosticsDir || './diagnostics';
+        this.name = DEFAULT_PROFILE.name;
+        this.version = DEFAULT_PROFILE.version;
+        this.roles = {};
+        for (const [role, definition] of Object.entries(DEFAULT_PROFILE.roles)) {
+            this.roles[role] = { selectors: definition.selectors, expect: definition.expect || null };
+        }
+    }
+
+    /**
+     * Read a custom profile over the default one. Throws on a broken file, since a typo in a
+     * selector would otherwise only show up as messages silently going missing.
+     */
+    async load() {
+        if (!this.profileFile) {
+            return;
+        }
+        
+        const data = JSON.parse(await fs.readFile(this.profileFile, 'utf8'));
+        const overrides = Object.entries(data.roles || {});
+        
+        for (const [role, definition] of overrides) {
+            if (!this.roles[role]) {
+                throw new Error(`Selector profile ${this.profileFile} has unknown role "${role}" (use ${Object.keys(this.roles).join(', ')})`);
+            }
+            
+            // A bare list replaces the selectors and keeps the default expectation
+            const selectors = Array.isArray(definition) ? definition : definition.selectors;
+            if (!Array.isArray(selectors) || selectors.length === 0 || !selectors.every(selector => typeof selector === 'string' && selector.trim())) {
+                throw new Error(`Selector profile role "${role}" needs a non-empty list of selectors`);
+            }
+            
+            const expect = Array.isArray(definition) || definition.expect === undefined ? this.roles[role].expect : definition.expect;
+            if (expect !== null && !EXPECTATIONS.includes(expect)) {
+                throw new Error(`Selector profile role "${role}" has unknown expect "${expect}" (use ${EXPECTATIONS.join(', ')})`);
+            }
+            
+            this.roles[role] = { selectors: selectors, expect: expect };
+        }
+        
+        this.name = data.name || path.basename(this.profileFile, '.json');
+        this.version = data.version || 'unversioned';
+        this.logger.info(`Loaded selector profile ${this.label()} from ${this.profileFile} (${overrides.length} role(s) overridden)`);
+    }
+
+    label() {
+        return `${this.name}@${this.version}`;
+    }
+
+    /**
+     * Selectors for a role, in order of preference
+     * @param {Object} [values] - Fills {placeholders} in the selectors, e.g. { name: 'general' }
+     */
+    get(role, values = {}) {
+        if (!this.roles[role]) {
+            throw new Error(`Unknown selector role: ${role}`);
+        }
+        return this.roles[role].selectors.map(selector =>
+            selector.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] !== undefined ? values[key] : placeholder));
+    }
+
+    /**
+     * One selector list matching any of the role's selectors, for waitForSelector()
+     */
+    any(role) {
+        return this.get(role).join(', ');
+    }
+
+    /**
+     * A :not() clause excluding everything the role matches
+     */
+    not(role) {
+        return `:not(${this.any(role)})`;
+    }
+
+    /**
+     * Every role's selectors, for the functions that run inside the page
+     */
+    pageRoles() {
+        return Object.fromEntries(Object.keys(this.roles).map(role => [role, this.get(role)]));
+    }
+
+    /**
+     * The first visible element for a list of selectors, trying them in order
+     * @returns {Promise<Object|null>} { locator, selector, fallback } or null when none is visible
+     */
+    async findVisible(root, selectors, timeout = 2000) {
+        for (let i = 0; i < selectors.length; i++) {
+            const locator = root.locator(selectors[i]).first();
+            if (await locator.isVisible({ timeout: timeout }).catch(() => false)) {
+                return { locator: locator, selector: selectors[i], fallback: i > 0 };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check every role with an expectation against the page. A role passes when one of its
+     * selectors matches; a role that only matched a later selector is listed in `fallbacks`,
+     * a sign the profile's preferred selector has gone stale.
+     * @returns {Promise<Object>} { profile, url, checkedAt, directMessage, messagesShown, ok, passed, fallbacks, failed, skipped }
+     */
+    async selfTest(page) {
+        const url = page.url();
+        const directMessage = url.includes('/channels/@me');
+        
+        // Message roles can only be checked when the channel has messages on screen. Discord
+        // renders each message as a list item (role "article" inside), the welcome banner of an
+        // empty channel is neither.
+        const messagesShown = await page.evaluate(listSelectors => listSelectors.some(selector => {
+            try {
+                const list = document.querySelector(selector);
+                return !!list && !!list.querySelector('li, [role="article"]');
+            } catch (error) {
+                return false;
+            }
+        }), this.get('messageList'));
+        
+        const result = {
+            profile: this.label(),
+            url: url,
+            checkedAt: new Date().toISOString(),
+            directMessage: directMessage,
+            messagesShown: messagesShown,
+            ok: true,
+            passed: [],
+            fallbacks: [],
+            failed: [],
+            skipped: []
+        };
+        
+        for (const [role, definition] of Object.entries(this.roles)) {
+            const applies = definition.expect === 'always' ||
+                (definition.expect === 'withMessages' && messagesShown) ||
+                (definition.expect === 'serverChannel' && !directMessage) ||
+                (definition.expect === 'directMessage' && directMessage);
+            if (!applies) {
+                if (definition.expect) {
+                    result.skipped.push(role);
+                }
+                continue;
+            }
+            
+            const counts = [];
+            for (const selector of definition.selectors) {
+                try {
+                    counts.push(await page.locator(selector).count());
+                } catch (error) {
+                    counts.push(`invalid selector: ${error.message.split('\n')[0]}`);
+                }
+            }
+            
+            const matched = counts.findIndex(count => typeof count === 'number' && count > 0);
+            const check = { role: role, selectors: definition.selectors, counts: counts };
+            if (matched === -1) {
+                result.failed.push(check);
+            } else {
+                result.passed.push({ ...check, selector: definition.selectors[matched] });
+                if (matched > 0) {
+                    result.fallbacks.push(role);
+                }
+            }
+        }
+        
+        result.ok = result.failed.length === 0;
+        return result;
+    }
+
+    /**
+     * Save what is needed to fix the profile after a failed self-test: a screenshot, the page's
+     * DOM and the self-test result, in a new folder under the diagnostics directory
+     * @returns {Promise<string>} The folder the report was written to
+     */
+    async writeDiagnostics(page, result, label) {
+        const slug = label.replace(/^https?:\/\//, '').replace(/[^a-zA-Z0-9@_-]+/g, '-').replace(/^-+|-+$/g, '');
+        const reportDir = path.join(this.diagnosticsDir, `${result.checkedAt.replace(/[:.]/g, '-')}-${slug}`);
+        await fs.mkdir(reportDir, { recursive: true });
+        
+        await fs.writeFile(path.join(reportDir, 'report.json'), JSON.stringify({ target: label, ...result }, null, 2));
+        await fs.writeFile(path.join(reportDir, 'dom.html'), await page.content());
+        try {
+            await page.screenshot({ path: path.join(reportDir, 'screenshot.png'), fullPage: true });
+        } catch (error) {
+            this.logger.warn(`Could not save a screenshot for the selector report: ${error.message}`);
+        }
+        
+        return reportDir;
+    }
+}
+
+module.exports = SelectorProfile;
@@ -0,0 +1,147 @@
+const readline = require('readline');
+
+// Chat platform for the terminal: every line typed on stdin is a message from one author in
+// one channel, and whatever the orchestrator sends is printed. It needs no browser or Discord
+// login, so prompts, commands and sessions can be tried out locally.
+
+class TerminalPlatform {
+    constructor(config = {}, logger = console) {
+        this.logger = logger;
+        this.author = config.terminalAuthor || process.env.USER || process.env.USERNAME || 'user';
+        this.channel = config.terminalChannel || 'terminal';
+        this.botName = config.botName || 'ClaudeAgent';
+        this.input = config.input || process.stdin;
+        this.output = config.output || process.stdout;
+        this.interactive = Boolean(this.input.isTTY && this.output.isTTY);
+        this.readline = null;
+        this.pendingMessages = [];  // Lines typed since the last batch was taken
+        this.waiter = null;
+        this.streamActive = false;
+        this.lastId = 0;
+        this.sentCount = 0;
+    }
+
+    async initialize() {
+        this.readline = readline.createInterface({
+            input: this.input,
+            output: this.output,
+            prompt: `${this.author}> `,
+            terminal: this.interactive
+        });
+        this.readline.on('line', line => this.handleLine(line));
+        // In raw mode Ctrl-C reaches readline instead of the process; pass it on so the bot shuts down cleanly
+        this.readline.on('SIGINT', () => process.emit('SIGINT'));
+        // After Ctrl-D (or the end of piped input) the answers still being worked on are printed,
+        // then nothing keeps the process alive and it exits
+        this.readline.on('close', () => this.logger.info('Terminal input closed'));
+        
+        this.print(`Chatting with ${this.botName} in #${this.channel} as ${this.author} (Ctrl-D or Ctrl-C to quit)`);
+    }
+
+    handleLine(line) {
+        const content = line.trim();
+        if (content) {
+            this.lastId = Math.max(Date.now(), this.lastId + 1);  // Keeps IDs growing across restarts, like snowflakes
+            this.pendingMessages.push({
+                id: `terminal-${this.lastId}`,
+                author: this.author,
+                content: content,
+                channel: this.channel,
+                timestamp: new Date().toISOString(),
+                attachments: [],
+                embeds: []
+            });
+            if (this.waiter) {
+                this.waiter();
+            }
+        }
+        
+        if (this.interactive) {
+            this.readline.prompt();
+        }
+    }
+
+    /**
+     * Print a line without breaking what the user is typing at the prompt
+     */
+    print(text) {
+        if (!this.interactive) {
+            this.output.write(`${text}\n`);
+            return;
+        }
+        
+        readline.clearLine(this.output, 0);
+        readline.cursorTo(this.output, 0);
+        this.output.write(`${text}\n`);
+        this.readline.prompt(true);
+    }
+
+    async getNewMessages() {
+        return this.pendingMessages.splice(0);
+    }
+
+    waitForMessages() {
+        return new Promise(resolve => {
+            this.waiter = () => {
+                this.waiter = null;
+                resolve(this.pendingMessages.splice(0));
+            };
+            
+            if (this.pendingMessages.length > 0 || !this.streamActive) {
+                this.waiter();
+            }
+        });
+    }
+
+    /**
+     * Stream batches of typed lines as they arrive
+     */
+    async *messageStream() {
+        this.streamActive = true;
+        
+        while (this.streamActive) {
+            const messages = await this.waitForMessages();
+            if (messages.length > 0) {
+                yield messages;
+            }
+        }
+    }
+
+    stopMessageStream() {
+        this.streamActive = false;
+        if (this.waiter) {
+            this.waiter();
+        }
+    }
+
+    /**
+     * Print a message from the bot
+     * @returns {Promise<string>} ID of the printed message
+     */
+    async sendMessage(text, target = null) {
+        this.print(`${this.botName}: ${text}`);
+        this.sentCount++;
+        return `terminal-reply-${this.sentCount}`;
+    }
+
+    getChannelStates() {
+        return [{
+            target: this.channel,
+            author: this.author,
+            waiting: this.pendingMessages.length
+        }];
+    }
+
+    isOwnMessage(message) {
+        return message.author === this.botName;
+    }
+
+    async cleanup() {
+        this.stopMessageStream();
+        if (this.readline) {
+            this.readline.close();
+        }
+    }
+}
+
+module.exports = TerminalPlatform;
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Append-only JSONL record of every message the bot reads and every agent result, so
+// conversations can be searched and exported later. Each line is one entry:
+//
+//   { "type": "message", "time", "channel", "author", "messageId", "content", "attachments",
+//     "skipped" }
+//   { "type": "response", "time", "channel", "author", "messageId", "sessionId", "cost",
+//     "latencyMs", "status", "isError", "content", "files" }
+//
+// Messages the bot never handled keep the reason in "skipped" (own, feedback-loop or
+// duplicate); it is null for the others. For responses, author and messageId are those of
+// the message being answered.
+
+class TranscriptArchive {
+    constructor(config = {}, logger = console) {
+        this.logger = logger;
+        this.archiveFile = config.transcriptFile || './transcripts.jsonl';
+        this.writing = Promise.resolve();  // Chains appends so concurrent channels never interleave
+    }
+
+    /**
+     * Archive a message read from the chat platform
+     * @param {Object} message - Scraped message
+     * @param {string|null} [skipped] - Why the message was not handled, if it was not
+     */
+    async recordMessage(message, skipped = null) {
+        await this.append({
+            type: 'message',
+            time: message.timestamp || new Date().toISOString(),
+            channel: message.channel || null,
+            author: message.author,
+            messageId: TranscriptArchive.messageId(message.id),
+            content: message.content,
+            attachments: (message.attachments || []).map(attachment => attachment.filename),
+            skipped: skipped
+        });
+    }
+
+    /**
+     * Archive the outcome of answering a message
+     * @param {Object} message - Message that was answered
+     * @param {Object|null} response - Orchestrator response (text, files, cost, sessionId, latencyMs, isError)
+     * @param {string} status - What happened to the response, e.g. 'sent'
+     */
+    async recordResponse(message, response, status) {
+        await this.append({
+            type: 'response',
+            time: new Date().toISOString(),
+            channel: message.channel || null,
+            author: message.author,
+            messageId: TranscriptArchive.messageId(message.id),
+            sessionId: response ? response.sessionId || null : null,
+            cost: response ? response.cost : 0,
+            latencyMs: response && response.latencyMs !== undefined ? response.latencyMs : null,
+            status: status,
+            isError: response ? Boolean(response.isError) : false,
+            content: response ? response.text : null,
+            files: response ? response.files : []
+        });
+    }
+
+    async append(entry) {
+        this.writing = this.writing.then(async () => {
+            try {
+                await fs.promises.appendFile(this.archiveFile, JSON.stringify(entry) + '\n', 'utf8');
+            } catch (error) {
+                this.logger.error(`Error writing transcript archive: ${error.message}`);
+            }
+        });
+        await this.writing;
+    }
+
+    /**
+     * Find archived entries, oldest first
+     * @param {Object} [filters] - user, channel, text (case-insensitive substrings), since and
+     *                             until (ISO dates or times, until a date includes that day), limit
+     * @returns {Promise<Object[]>} Matching entries; with a limit, the most recent ones
+     */
+    async search(filters = {}) {
+        const matches = [];
+        const since = filters.since ? TranscriptArchive.parseDate(filters.since, false) : null;
+        const until = filters.until ? TranscriptArchive.parseDate(filters.until, true) : null;
+        const lower = value => (value || '').toLowerCase();
+        
+        let input;
+        try {
+            input = fs.createReadStream(this.archiveFile, { encoding: 'utf8' });
+            await new Promise((resolve, reject) => input.once('open', resolve).once('error', reject));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        
+        for await (const line of readline.createInterface({ input: input, crlfDelay: Infinity })) {
+            if (!line.trim()) {
+                continue;
+            }
+            
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable transcript line: ${line.substring(0, 80)}`);
+                continue;
+            }
+            
+            const time = new Date(entry.time).getTime();
+            if (filters.user && !lower(entry.author).includes(lower(filters.user))) continue;
+            if (filters.channel && !lower(entry.channel).includes(lower(filters.channel))) continue;
+            if (filters.text && !lower(entry.content).includes(lower(filters.text))) continue;
+            if (since !== null && time < since) continue;
+            if (until !== null && time >= until) continue;
+            
+            matches.push(entry);
+        }
+        
+        return filters.limit ? matches.slice(-filters.limit) : matches;
+    }
+
+    /**
+     * Discord message elements are named "message-content-<snowflake>"; keep the snowflake
+     */
+    static messageId(id) {
+        return id ? String(id).replace(/^message-content-/, '') : null;
+    }
+
+    /**
+     * Parse a --since/--until value. A plain date used as an upper bound means the end of that day.
+     */
+    static parseDate(value, endOfDay) {
+        const time = new Date(value).getTime();
+        if (isNaN(time)) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 : time;
+    }
+
+    /**
+     * Render entries as a readable transcript
+     * @param {Object[]} entries - Result of search()
+     * @param {string} [format] - 'text' or 'markdown'
+     * @returns {string} Transcript
+     */
+    static format(entries, format = 'text') {
+        return entries.map(entry => {
+            const who = entry.type === 'message' ? entry.author : `bot → ${entry.author}`;
+            let details = '';
+            if (entry.type === 'response') {
+                details = ` (${entry.status}, $${(entry.cost || 0).toFixed(2)}${entry.latencyMs ? `, ${(entry.latencyMs / 1000).toFixed(1)}s` : ''}${entry.sessionId ? `, session ${entry.sessionId}` : ''})`;
+            } else if (entry.skipped) {
+                details = ` (skipped: ${entry.skipped})`;
+            }
+            if (format === 'markdown') {
+                return `**${who}** · ${entry.time} · ${entry.channel}${details}\n\n${entry.content || '_(no text)_'}\n`;
+            }
+            return `[${entry.time}] [${entry.channel}] ${who}${details}: ${entry.content || '(no text)'}`;
+        }).join('\n');
+    }
+}
+
+// CLI: node TranscriptArchive.js [--user name] [--channel text] [--text words]
+//        [--since date] [--until date] [--limit n] [--format text|markdown|jsonl]
+if (require.main === module) {
+    require('dotenv').config();
+    const args = process.argv.slice(2);
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+            console.error(`Usage: node TranscriptArchive.js [--user name] [--channel text] [--text words] [--since date] [--until date] [--limit n] [--format text|markdown|jsonl]`);
+            process.exit(1);
+        }
+        options[args[i].substring(2)] = args[i + 1];
+    }
+
+    const archive = new TranscriptArchive({ transcriptFile: process.env.TRANSCRIPT_FILE }, { warn: console.error, error: console.error });
+    archive.search({ ...options, limit: parseInt(options.limit) || 0 })
+        .then(entries => {
+            if (options.format === 'jsonl') {
+                entries.forEach(entry => console.log(JSON.stringify(entry)));
+            } else {
+                console.log(TranscriptArchive.format(entries, options.format));
+            }
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = TranscriptArchive;
@@ -0,0 +1,148 @@
+// Runs jobs concurrently across conversations but one at a time within each, so an agent
+// session is never resumed twice at once and each conversation's replies stay in order.
+
+// Number of recent wait times kept for the average in getStats()
+const WAIT_SAMPLES = 50;
+
+class WorkQueue {
+    /**
+     * @param {Function} worker - Async function called with each item
+     * @param {Object} [options] - concurrency (conversations worked on at once) and logger
+     */
+    constructor(worker, options = {}) {
+        this.worker = worker;
+        this.concurrency = options.concurrency || 1;
+        this.logger = options.logger || console;
+        this.pending = new Map();  // Waiting jobs by conversation key, oldest first
+        this.active = new Map();  // Running job by conversation key
+        this.order = [];  // Conversation keys in the order their first waiting job arrived
+        this.waitTimes = [];
+        this.idleWaiters = [];
+        this.paused = false;
+    }
+
+    /**
+     * Stop starting new jobs. Running jobs finish and new items keep queueing.
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.next();
+    }
+
+    /**
+     * Add an item to its conversation's queue
+     * @param {string} key - Conversation the item belongs to
+     * @param {*} item - Passed to the worker
+     */
+    push(key, item) {
+        if (!this.pending.has(key)) {
+            this.pending.set(key, []);
+            this.order.push(key);
+        }
+        this.pending.get(key).push({ item: item, enqueuedAt: Date.now() });
+        this.next();
+    }
+
+    /**
+     * Remove the waiting items of a conversation. A job that is already running is not affected.
+     * @param {string} key - Conversation key
+     * @returns {Array} Removed items
+     */
+    drop(key) {
+        const jobs = this.pending.get(key) || [];
+        this.pending.delete(key);
+        this.order = this.order.filter(k => k !== key);
+        return jobs.map(job => job.item);
+    }
+
+    /**
+     * Remove every waiting item
+     * @returns {Array} Removed items
+     */
+    clear() {
+        return [...this.pending.keys()].flatMap(key => this.drop(key));
+    }
+
+    next() {
+        while (!this.paused && this.active.size < this.concurrency) {
+            // Oldest conversation that has work and is not already running
+            const key = this.order.find(k => !this.active.has(k));
+            if (key === undefined) {
+                break;
+            }
+            this.start(key);
+        }
+        
+        if (this.active.size === 0 && this.pending.size === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    start(key) {
+        const jobs = this.pending.get(key);
+        const job = jobs.shift();
+        this.order = this.order.filter(k => k !== key);
+        if (jobs.length === 0) {
+            this.pending.delete(key);
+        } else {
+            // Remaining jobs of this conversation go to the back of the line
+            this.order.push(key);
+        }
+        
+        job.startedAt = Date.now();
+        const waited = job.startedAt - job.enqueuedAt;
+        this.waitTimes.push(waited);
+        if (this.waitTimes.length > WAIT_SAMPLES) {
+            this.waitTimes.shift();
+        }
+        if (waited > 1000) {
+            this.logger.info(`[${key}] Job started after waiting ${Math.round(waited / 1000)}s`);
+        }
+        
+        this.active.set(key, job);
+        Promise.resolve()
+            .then(() => this.worker(job.item))
+            .catch(error => this.logger.error(`[${key}] Job failed: ${error.message}`))
+            .finally(() => {
+                this.active.delete(key);
+                this.next();
+            });
+    }
+
+    /**
+     * Queue depth and wait times, for status displays
+     * @returns {Object} running, waiting, conversations, oldestWaitMs, averageWaitMs, paused,
+     *                   and the keys of the conversations being worked on
+     */
+    getStats() {
+        const now = Date.now();
+        const waiting = [...this.pending.values()].flat();
+        return {
+            paused: this.paused,
+            activeKeys: [...this.active.keys()],
+            running: this.active.size,
+            waiting: waiting.length,
+            conversations: new Set([...this.pending.keys(), ...this.active.keys()]).size,
+            oldestWaitMs: waiting.length > 0 ? now - Math.min(...waiting.map(job => job.enqueuedAt)) : 0,
+            averageWaitMs: this.waitTimes.length > 0
+                ? Math.round(this.waitTimes.reduce((sum, ms) => sum + ms, 0) / this.waitTimes.length)
+                : 0
+        };
+    }
+
+    /**
+     * Resolves once nothing is running or waiting
+     */
+    onIdle() {
+        if (this.active.size === 0 && this.pending.size === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+}
+
+module.exports = WorkQueue;
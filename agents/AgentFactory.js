@@ -1,22 +1,57 @@
+const fs = require('fs');
+const path = require('path');
 const ClaudeAgent = require('./ClaudeAgent');
-// Future: const GeminiAgent = require('./GeminiAgent');
+const GeminiAgent = require('./GeminiAgent');
+const OpenAICompatibleAgent = require('./OpenAICompatibleAgent');
+
+// Agent classes by type name. Built-in agents register below; more can be added
+// with register() or by dropping modules into a plugin directory.
+const registry = new Map();
 
 class AgentFactory {
+    static register(type, AgentClass) {
+        if (typeof AgentClass !== 'function' || typeof AgentClass.prototype.processMessage !== 'function') {
+            throw new Error(`Agent "${type}" must be a class with a processMessage() method`);
+        }
+        registry.set(type.toLowerCase(), AgentClass);
+    }
+
+    /**
+     * Register every agent class found in a directory. Each .js file exports a BaseAgent
+     * subclass; its type is the static `agentType` property, or the file name without
+     * the "Agent" suffix (MyModelAgent.js -> "mymodel").
+     * @param {string} dir - Plugin directory
+     * @returns {string[]} Types that were registered
+     */
+    static loadPlugins(dir) {
+        const loaded = [];
+        const files = fs.readdirSync(dir).filter(file => file.endsWith('.js'));
+        
+        for (const file of files) {
+            const AgentClass = require(path.resolve(dir, file));
+            const type = AgentClass.agentType || path.basename(file, '.js').replace(/Agent$/, '').toLowerCase();
+            AgentFactory.register(type, AgentClass);
+            loaded.push(type);
+        }
+        
+        return loaded;
+    }
+
     static createAgent(type, config) {
-        switch (type.toLowerCase()) {
-            case 'claude':
-                return new ClaudeAgent(config);
-            // Future implementation:
-            // case 'gemini':
-            //     return new GeminiAgent(config);
-            default:
-                throw new Error(`Unknown agent type: ${type}`);
+        const AgentClass = registry.get(type.toLowerCase());
+        if (!AgentClass) {
+            throw new Error(`Unknown agent type: ${type} (available: ${AgentFactory.getAvailableAgents().join(', ')})`);
         }
+        return new AgentClass(config);
     }
 
     static getAvailableAgents() {
-        return ['claude']; // Add 'gemini' when implemented
+        return [...registry.keys()];
     }
 }
 
+AgentFactory.register('claude', ClaudeAgent);
+AgentFactory.register('gemini', GeminiAgent);
+AgentFactory.register('openai', OpenAICompatibleAgent);
+
 module.exports = AgentFactory;
\ No newline at end of file
@@ -1,11 +1,22 @@
 const winston = require('winston');
+const { spawn } = require('child_process');
+const path = require('path');
+const os = require('os');
+const Metrics = require('../Metrics');
 
 class BaseAgent {
     constructor(config = {}) {
         this.config = config;
-        this.sessionId = null;
-        this.sessions = {};
+        this.sessions = {};  // Session IDs keyed by getSessionKey(): the channel, and the profile if not the default
         this.sessionFile = config.sessionFile || './agent-sessions.json';
+        this.outboxRoot = config.outboxDir || path.join(os.tmpdir(), 'discoagent-outbox');
+        this.running = new Map();  // Stop functions for calls in progress, keyed by channel
+        this.cancelled = new Set();  // Channels whose last call was stopped by cancel()
+        this.saving = Promise.resolve();  // Chains saves so concurrent channels never write at once
+        this.metrics = config.metrics || new Metrics();
+        // Whether processMessage() applies a sandbox profile's tools and working folder.
+        // Agents that cannot are never given one, so no session or status claims a profile.
+        this.supportsProfiles = false;
         
         this.logger = winston.createLogger({
             level: process.env.DEBUG === 'true' ? 'debug' : 'info',
@@ -16,7 +27,7 @@ class BaseAgent {
                 })
             ),
             transports: [
-                new winston.transports.Console(),
+                new winston.transports.Console({ level: config.consoleLogLevel }),
                 new winston.transports.File({ filename: 'agent.log' })
             ]
         });
@@ -25,12 +36,79 @@ class BaseAgent {
     /**
      * Process a message with the AI agent
      * @param {Object} message - Message object with author and content
+     * @param {Object} [options] - onProgress callback, used by agents that set `streaming`,
+     *                             allowTools (false when the author may not let the agent use tools),
+     *                             and profile (sandbox profile from SandboxProfiles, only for
+     *                             agents that set `supportsProfiles`)
      * @returns {Promise<Object>} Response object with result, cost, and session info
      */
-    async processMessage(message) {
+    async processMessage(message, options = {}) {
         throw new Error('processMessage must be implemented by subclass');
     }
 
+    /**
+     * Build the prompt text for a chat message, including embeds and downloaded attachments
+     * @param {Object} message - Message object with author, content, and optional embeds/attachments
+     * @returns {string} Prompt text
+     */
+    formatPrompt(message) {
+        let prompt = `[Discord message from ${message.author}]: ${message.content}`;
+        
+        if (message.embeds && message.embeds.length > 0) {
+            prompt += `\n\n[Embedded content]:\n${message.embeds.join('\n---\n')}`;
+        }
+        
+        const files = this.getAttachmentPaths(message);
+        if (files.length > 0) {
+            prompt += `\n\n[Attached files, read them from disk]:\n${files.map(file => `- ${file}`).join('\n')}`;
+        }
+        
+        return prompt;
+    }
+
+    /**
+     * Get local paths of the attachments that were downloaded for a message
+     * @param {Object} message - Message object
+     * @returns {string[]} File paths
+     */
+    getAttachmentPaths(message) {
+        return (message.attachments || [])
+            .filter(attachment => attachment.path)
+            .map(attachment => attachment.path);
+    }
+
+    /**
+     * Create an empty folder where the agent can save files to share with the channel.
+     * Each channel reuses its folder, emptied before every run.
+     * @param {string} [channel] - Channel the message came from
+     * @returns {Promise<string>} Folder path
+     */
+    async prepareOutbox(channel) {
+        const fs = require('fs').promises;
+        const outboxDir = path.join(this.outboxRoot, this.getChannelKey(channel));
+        await fs.rm(outboxDir, { recursive: true, force: true });
+        await fs.mkdir(outboxDir, { recursive: true });
+        return outboxDir;
+    }
+
+    /**
+     * List the files the agent saved into its outbox
+     * @param {string} outboxDir - Folder returned by prepareOutbox()
+     * @returns {Promise<string[]>} File paths
+     */
+    async collectOutbox(outboxDir) {
+        const fs = require('fs').promises;
+        try {
+            const entries = await fs.readdir(outboxDir, { withFileTypes: true });
+            return entries
+                .filter(entry => entry.isFile())
+                .map(entry => path.join(outboxDir, entry.name));
+        } catch (error) {
+            this.logger.debug(`Could not read outbox ${outboxDir}: ${error.message}`);
+            return [];
+        }
+    }
+
     /**
      * Load saved sessions from disk
      */
@@ -40,10 +118,8 @@ class BaseAgent {
             const data = await fs.readFile(this.sessionFile, 'utf8');
             this.sessions = JSON.parse(data);
             
-            const channelKey = this.getChannelKey();
-            if (this.sessions[channelKey]) {
-                this.sessionId = this.sessions[channelKey];
-                this.logger.info(`Loaded existing session for channel: ${this.sessionId}`);
+            for (const channelKey of Object.keys(this.sessions)) {
+                this.logger.info(`Loaded existing session for channel ${channelKey}: ${this.getSessionId(channelKey)}`);
             }
         } catch (error) {
             if (error.code !== 'ENOENT') {
@@ -58,20 +134,226 @@ class BaseAgent {
      */
     async saveSessions() {
         const fs = require('fs').promises;
+        this.saving = this.saving.then(async () => {
+            try {
+                await fs.writeFile(this.sessionFile, JSON.stringify(this.sessions, null, 2), 'utf8');
+                this.logger.debug('Saved sessions to disk');
+            } catch (error) {
+                this.logger.error(`Error saving sessions: ${error.message}`);
+            }
+        });
+        await this.saving;
+    }
+
+    /**
+     * Get a unique key for a channel
+     * @param {string} [channel] - Channel the message came from, defaults to the configured channel
+     */
+    getChannelKey(channel) {
+        const target = channel || this.config.targetChannel || 'default';
+        return target.replace(/[^a-zA-Z0-9]/g, '_');
+    }
+
+    /**
+     * Get the key a session is stored under. Messages run with a sandbox profile other than
+     * the default get a session of their own, so users with different profiles in one
+     * channel never resume each other's conversation.
+     * @param {string} [channel] - Channel the message came from
+     * @param {Object} [profile] - Sandbox profile the message runs with
+     */
+    getSessionKey(channel, profile = null) {
+        const channelKey = this.getChannelKey(channel);
+        if (!profile || profile.name === 'default') {
+            return channelKey;
+        }
+        return `${channelKey}__${profile.name.replace(/[^a-zA-Z0-9]/g, '_')}`;
+    }
+
+    /**
+     * Get the session ID for a channel
+     * @param {string} [channel] - Channel the message came from
+     * @param {Object} [profile] - Sandbox profile the message runs with
+     * @returns {string|null} Session ID, or null if the channel has no session yet
+     */
+    getSessionId(channel, profile = null) {
+        return this.sessions[this.getSessionKey(channel, profile)] || null;
+    }
+
+    /**
+     * Store the session ID for a channel and persist it
+     * @param {string} [channel] - Channel the message came from
+     * @param {string} sessionId - Session ID returned by the agent
+     * @param {Object} [profile] - Sandbox profile the message runs with
+     */
+    async setSessionId(channel, sessionId, profile = null) {
+        const sessionKey = this.getSessionKey(channel, profile);
+        if (this.sessions[sessionKey] !== sessionId) {
+            this.sessions[sessionKey] = sessionId;
+            await this.saveSessions();
+            this.logger.info(`Updated session ID for ${sessionKey}: ${sessionId}`);
+        }
+    }
+
+    /**
+     * Forget a session so the next message starts a new one
+     * @param {string} [channel] - Channel the message came from
+     * @param {Object} [profile] - Only forget this sandbox profile's session; without it,
+     *                             every session of the channel is forgotten
+     */
+    async clearSession(channel, profile = null) {
+        if (profile) {
+            delete this.sessions[this.getSessionKey(channel, profile)];
+        } else {
+            const channelKey = this.getChannelKey(channel);
+            for (const sessionKey of Object.keys(this.sessions)) {
+                if (sessionKey === channelKey || sessionKey.startsWith(`${channelKey}__`)) {
+                    delete this.sessions[sessionKey];
+                }
+            }
+        }
+        await this.saveSessions();
+    }
+
+    /**
+     * Await a running agent call, remembering how to stop it so cancel() works meanwhile
+     * @param {string} [channel] - Channel the message came from
+     * @param {Promise} promise - The running call
+     * @param {Function} stop - Stops the call
+     */
+    async trackRun(channel, promise, stop) {
+        const channelKey = this.getChannelKey(channel);
+        this.cancelled.delete(channelKey);
+        this.running.set(channelKey, stop);
+        try {
+            return await promise;
+        } finally {
+            this.running.delete(channelKey);
+        }
+    }
+
+    /**
+     * Stop the call in progress for a channel
+     * @param {string} [channel] - Channel the message came from
+     * @returns {boolean} Whether a call was running
+     */
+    cancel(channel) {
+        const channelKey = this.getChannelKey(channel);
+        const stop = this.running.get(channelKey);
+        if (!stop) {
+            return false;
+        }
+        
+        this.cancelled.add(channelKey);
+        stop();
+        this.logger.info(`Cancelled running call for channel ${channelKey}`);
+        return true;
+    }
+
+    /**
+     * Whether the last call for a channel failed because it was cancelled. Clears the flag.
+     * @param {string} [channel] - Channel the message came from
+     */
+    wasCancelled(channel) {
+        return this.cancelled.delete(this.getChannelKey(channel));
+    }
+
+    /**
+     * Run a shell command like exec(), but in its own process group so killProcess() stops
+     * the whole pipeline. Resolves { stdout, stderr }; rejects with an exec-style error
+     * (code, signal, stdout, stderr). The returned promise has a `child` property.
+     * @param {string} command - Shell command to run
+     * @param {Object} [options] - timeout in ms, cwd, and onLine called with each stdout line as it arrives
+     */
+    runCommand(command, options = {}) {
+        const isWindows = process.platform === 'win32';
+        let child;
+        
+        const promise = new Promise((resolve, reject) => {
+            child = spawn(command, {
+                shell: isWindows ? 'cmd.exe' : '/bin/sh',
+                cwd: options.cwd || undefined,
+                windowsHide: false,
+                detached: !isWindows
+            });
+            
+            let stdout = '';
+            let stderr = '';
+            let buffer = '';
+            let timedOut = false;
+            
+            const timer = options.timeout ? setTimeout(() => {
+                timedOut = true;
+                this.killProcess(child);
+            }, options.timeout) : null;
+            
+            child.stdout.on('data', data => {
+                const text = data.toString();
+                stdout += text;
+                if (options.onLine) {
+                    buffer += text;
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    lines.forEach(options.onLine);
+                }
+            });
+            
+            child.stderr.on('data', data => {
+                stderr += data.toString();
+            });
+            
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            
+            child.on('close', (code, signal) => {
+                clearTimeout(timer);
+                if (options.onLine && buffer) {
+                    options.onLine(buffer);
+                }
+                
+                if (code !== 0 || timedOut) {
+                    const error = new Error(`Command failed: ${command}\n${stderr}`);
+                    error.code = timedOut ? 'ETIMEDOUT' : code;
+                    error.signal = signal;
+                    error.stdout = stdout;
+                    error.stderr = stderr;
+                    reject(error);
+                    return;
+                }
+                
+                resolve({ stdout: stdout, stderr: stderr });
+            });
+        });
+        
+        promise.child = child;
+        return promise;
+    }
+
+    /**
+     * Kill a command started by runCommand(), including the CLI it piped into
+     * @param {ChildProcess} child - Shell process
+     */
+    killProcess(child) {
         try {
-            await fs.writeFile(this.sessionFile, JSON.stringify(this.sessions, null, 2), 'utf8');
-            this.logger.debug('Saved sessions to disk');
+            if (process.platform === 'win32') {
+                child.kill();
+            } else {
+                // Negative PID signals the whole process group
+                process.kill(-child.pid, 'SIGTERM');
+            }
         } catch (error) {
-            this.logger.error(`Error saving sessions: ${error.message}`);
+            this.logger.debug(`Could not kill process ${child.pid}: ${error.message}`);
         }
     }
 
     /**
-     * Get a unique key for the current channel
+     * Stop anything still running when the bot shuts down
      */
-    getChannelKey() {
-        const channel = this.config.targetChannel || 'default';
-        return channel.replace(/[^a-zA-Z0-9]/g, '_');
+    async cleanup() {
+        for (const stop of this.running.values()) {
+            stop();
+        }
     }
 
     /**
@@ -79,10 +361,14 @@ class BaseAgent {
      * @param {string} author - Message author
      * @param {number} cost - Cost in USD
      * @param {string} result - Response text
+     * @param {Object} [options] - Set mention to false when the platform replies natively
      * @returns {string} Formatted response
      */
-    formatResponse(author, cost, result) {
+    formatResponse(author, cost, result, options = {}) {
         const costStr = cost ? `$${cost.toFixed(2)}` : '$0.00';
+        if (options.mention === false) {
+            return `[${costStr}] ${result}`;
+        }
         return `@${author} [${costStr}] ${result}`;
     }
 
@@ -90,9 +376,13 @@ class BaseAgent {
      * Format an error response
      * @param {string} author - Message author
      * @param {string} error - Error message
+     * @param {Object} [options] - Set mention to false when the platform replies natively
      * @returns {string} Formatted error response
      */
-    formatError(author, error) {
+    formatError(author, error, options = {}) {
+        if (options.mention === false) {
+            return `Error: ${error}`;
+        }
         return `@${author} Error: ${error}`;
     }
 }
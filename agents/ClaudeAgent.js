@@ -1,11 +1,11 @@
 const BaseAgent = require('./BaseAgent');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 
-const execAsync = promisify(exec);
+// For authors whose role may not use tools: an empty list of built-in tools and no MCP servers,
+// so Claude can only answer from the conversation, whatever tools later CLI versions add
+const NO_TOOLS_FLAGS = ['--tools ""', '--strict-mcp-config'];
 
 class ClaudeAgent extends BaseAgent {
     constructor(config = {}) {
@@ -13,19 +13,30 @@ class ClaudeAgent extends BaseAgent {
         this.model = config.claudeModel || 'sonnet';
         this.maxTurns = config.claudeMaxTurns || 5;
         this.useConversationMode = config.useConversationMode !== false;
-        this.sessionFile = './claude-sessions.json';
+        this.streaming = config.claudeStreaming || false;  // Report progress while Claude works
+        this.timeout = config.claudeTimeout || 600000;
+        this.supportsProfiles = true;  // Tools, permission mode and working folder come from the profile
+        this.sessionFile = config.sessionFile || './claude-sessions.json';
     }
 
-    async processMessage(message) {
+    async processMessage(message, options = {}) {
         // Format the message for Discord context
-        const prompt = `[Discord message from ${message.author}]: ${message.content}`;
+        const outboxDir = await this.prepareOutbox(message.channel);
+        const prompt = `${this.formatPrompt(message)}\n\n[To share a file with the user, save it in: ${outboxDir}]`;
+        const profile = options.profile || null;
+        const sessionId = this.getSessionId(message.channel, profile);
+        const attachmentCount = this.getAttachmentPaths(message).length;
         
         // Create a temporary file for the prompt to avoid escaping issues
         const tempDir = os.tmpdir();
-        const tempFile = path.join(tempDir, `claude-prompt-${Date.now()}.txt`);
+        const tempFile = path.join(tempDir, `claude-prompt-${Date.now()}-${this.getChannelKey(message.channel)}.txt`);
+        let startedAt = null;
         
         try {
             this.logger.info(`Processing message with Claude: ${message.content.substring(0, 50)}...`);
+            if (attachmentCount > 0) {
+                this.logger.info(`Message has ${attachmentCount} attachment(s)`);
+            }
             
             // Write prompt to temporary file
             await fs.writeFile(tempFile, prompt, 'utf8');
@@ -36,34 +47,57 @@ class ClaudeAgent extends BaseAgent {
             const catCommand = isWindows ? 'type' : 'cat';
             let command;
             
-            this.logger.info(`Building Claude command - Mode settings: useConversationMode=${this.useConversationMode}, sessionId=${this.sessionId}`);
+            this.logger.info(`Building Claude command - Mode settings: useConversationMode=${this.useConversationMode}, sessionId=${sessionId}`);
             
-            // Always use JSON output for better session tracking
-            const jsonFlag = '--output-format json';
+            // Always use JSON output for better session tracking; streaming mode emits one JSON event per line
+            const outputFlag = this.streaming ? '--output-format stream-json --verbose' : '--output-format json';
+            // Give Claude access to the folders holding this message's attachments and its outbox
+            const attachmentDirs = [...new Set(this.getAttachmentPaths(message).map(file => path.dirname(file)))];
+            const flags = [outputFlag, ...[...attachmentDirs, outboxDir].map(dir => `--add-dir "${dir}"`)];
+            if (options.allowTools === false) {
+                flags.push(...NO_TOOLS_FLAGS);
+                this.logger.info('Tools disabled for this message');
+            } else if (profile) {
+                if (profile.allowedTools.length > 0) {
+                    flags.push(`--allowedTools "${profile.allowedTools.join(',')}"`);
+                }
+                if (profile.disallowedTools.length > 0) {
+                    flags.push(`--disallowedTools "${profile.disallowedTools.join(',')}"`);
+                }
+                if (profile.permissionMode) {
+                    flags.push(`--permission-mode ${profile.permissionMode}`);
+                }
+            }
+            if (profile) {
+                this.logger.info(`Sandbox profile: ${profile.name}${profile.workingDir ? ` in ${profile.workingDir}` : ''}`);
+            }
+            const extraFlags = flags.join(' ');
             
-            if (this.useConversationMode && this.sessionId) {
+            if (this.useConversationMode && sessionId) {
                 // Resume existing conversation with session ID
-                command = `${catCommand} "${tempFile}" | claude -r "${this.sessionId}" -p - --model ${this.model} ${jsonFlag}`;
-                this.logger.info(`MODE: Resuming conversation with session ID: ${this.sessionId}`);
+                command = `${catCommand} "${tempFile}" | claude -r "${sessionId}" -p - --model "${this.model}" --max-turns ${this.maxTurns} ${extraFlags}`;
+                this.logger.info(`MODE: Resuming conversation with session ID: ${sessionId}`);
             } else if (this.useConversationMode) {
                 // Start new conversation (first message)
-                command = `${catCommand} "${tempFile}" | claude -p - --model ${this.model} ${jsonFlag}`;
+                command = `${catCommand} "${tempFile}" | claude -p - --model "${this.model}" --max-turns ${this.maxTurns} ${extraFlags}`;
                 this.logger.info(`MODE: Starting new conversation session`);
             } else {
                 // One-shot mode (no conversation memory)
-                command = `${catCommand} "${tempFile}" | claude -p - --model ${this.model} --max-turns ${this.maxTurns} ${jsonFlag}`;
+                command = `${catCommand} "${tempFile}" | claude -p - --model "${this.model}" --max-turns ${this.maxTurns} ${extraFlags}`;
                 this.logger.info(`MODE: One-shot mode - no conversation memory (max-turns=${this.maxTurns})`);
             }
             
             this.logger.info(`Running command: claude with prompt from file`);
             this.logger.info(`Full command: ${command}`);
             
-            const { stdout, stderr } = await execAsync(command, {
-                //maxBuffer: 1024 * 1024 * 10,
-                timeout: 600000,
-                windowsHide: false,
-                shell: process.platform === 'win32' ? 'cmd.exe' : '/bin/sh'
-            });
+            // Claude works in the profile's folder; sessions belong to that folder too, hence one per profile
+            const cwd = profile ? profile.workingDir : null;
+            startedAt = Date.now();
+            const execution = this.streaming
+                ? this.runStreaming(command, options.onProgress, cwd)
+                : this.runCommand(command, { timeout: this.timeout, cwd: cwd });
+            const { stdout, stderr } = await this.trackRun(message.channel, execution, () => this.killProcess(execution.child));
+            this.observeDuration(startedAt);
             
             // Clean up temp file
             try {
@@ -92,31 +126,33 @@ class ClaudeAgent extends BaseAgent {
                     
                     if (jsonResponse.session_id) {
                         // Update session ID if we got a new one
-                        const channelKey = this.getChannelKey();
-                        if (this.sessionId !== jsonResponse.session_id) {
-                            this.sessionId = jsonResponse.session_id;
-                            this.sessions[channelKey] = jsonResponse.session_id;
-                            await this.saveSessions();
-                            this.logger.info(`Updated Claude session ID: ${jsonResponse.session_id}`);
-                        }
+                        await this.setSessionId(message.channel, jsonResponse.session_id, profile);
                     }
                     
-                    if (jsonResponse.result) {
+                    // Failed runs can carry a result too (the error text), so check is_error first
+                    if (jsonResponse.is_error) {
+                        this.logger.error(`Claude returned error: ${jsonResponse.result || 'Unknown error'}`);
+                        this.countError('agent-error');
+                        return {
+                            result: jsonResponse.result || 'Unknown error',
+                            cost: 0,
+                            isError: true
+                        };
+                    } else if (jsonResponse.result) {
                         this.logger.info(`Claude response extracted, length: ${jsonResponse.result.length} chars`);
                         
+                        const files = await this.collectOutbox(outboxDir);
+                        if (files.length > 0) {
+                            this.logger.info(`Claude shared ${files.length} file(s): ${files.map(file => path.basename(file)).join(', ')}`);
+                        }
+                        
                         return {
                             result: jsonResponse.result,
                             cost: jsonResponse.total_cost_usd || 0,
                             sessionId: jsonResponse.session_id,
+                            files: files,
                             isError: false
                         };
-                    } else if (jsonResponse.is_error) {
-                        this.logger.error(`Claude returned error: ${jsonResponse.result || 'Unknown error'}`);
-                        return {
-                            result: jsonResponse.result || 'Unknown error',
-                            cost: 0,
-                            isError: true
-                        };
                     }
                 } catch (parseError) {
                     // If not JSON, return raw response (backward compatibility)
@@ -131,6 +167,7 @@ class ClaudeAgent extends BaseAgent {
                 this.logger.warn('Claude returned empty response after trimming');
                 if (stderr) {
                     this.logger.error(`Returning error message due to empty stdout but stderr present`);
+                    this.countError('agent-error');
                     return {
                         result: `Error from Claude: ${stderr}`,
                         cost: 0,
@@ -147,24 +184,30 @@ class ClaudeAgent extends BaseAgent {
                 // Ignore cleanup errors
             }
             
+            if (this.wasCancelled(message.channel)) {
+                this.logger.info('Claude run was cancelled');
+                return null;
+            }
+            if (startedAt) {
+                this.observeDuration(startedAt);
+            }
+            
             this.logger.error(`Claude processing error: ${error.message}`);
             this.logger.error(`Error details: ${error.stack}`);
             
             // Check if session is invalid and retry without it
-            if (this.sessionId && 
+            if (sessionId && 
                 (error.message.includes('session') || 
                  error.message.includes('not found') ||
                  error.message.includes('invalid'))) {
                 this.logger.warn('Session may be invalid, clearing and retrying...');
+                this.countError('invalid-session');
                 
                 // Clear invalid session
-                const channelKey = this.getChannelKey();
-                delete this.sessions[channelKey];
-                this.sessionId = null;
-                await this.saveSessions();
+                await this.clearSession(message.channel, profile);
                 
                 // Retry without session (will create new one)
-                return await this.processMessage(message);
+                return await this.processMessage(message, options);
             }
             
             // Log additional error information
@@ -182,12 +225,16 @@ class ClaudeAgent extends BaseAgent {
             }
             
             let errorMessage = error.message;
+            let errorType = 'other';
             
             if (error.message.includes('not found') || error.message.includes('is not recognized')) {
                 errorMessage = 'Claude CLI not found. Please check installation.';
+                errorType = 'cli-missing';
             } else if (error.code === 'ETIMEDOUT' || error.signal === 'SIGTERM') {
                 errorMessage = 'Claude request timed out. The query might be too complex.';
+                errorType = 'timeout';
             }
+            this.countError(errorType);
             
             return {
                 result: errorMessage,
@@ -196,6 +243,75 @@ class ClaudeAgent extends BaseAgent {
             };
         }
     }
+
+    observeDuration(startedAt) {
+        this.metrics.observe('discoagent_agent_duration_seconds', (Date.now() - startedAt) / 1000, { agent: 'claude' });
+    }
+
+    countError(type) {
+        this.metrics.inc('discoagent_agent_errors_total', { agent: 'claude', type: type });
+    }
+
+    /**
+     * Run a stream-json command, reporting progress as events arrive. Resolves like
+     * runCommand() with stdout set to the final result event, which has the same fields
+     * as --output-format json, so the normal response parsing applies.
+     * @param {string} command - Shell command to run
+     * @param {Function} [onProgress] - Called with { text, tools } as Claude works
+     * @param {string} [cwd] - Working directory
+     */
+    runStreaming(command, onProgress, cwd = null) {
+        let resultEvent = null;
+        const progress = { text: '', tools: [] };
+        
+        const handleLine = line => {
+            if (!line.trim()) {
+                return;
+            }
+            
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (e) {
+                this.logger.debug(`Ignoring non-JSON stream line: ${line.substring(0, 100)}`);
+                return;
+            }
+            
+            if (event.type === 'result') {
+                resultEvent = event;
+                return;
+            }
+            
+            if (event.type !== 'assistant' || !event.message || !Array.isArray(event.message.content)) {
+                return;
+            }
+            
+            for (const part of event.message.content) {
+                if (part.type === 'text' && part.text) {
+                    progress.text += (progress.text ? '\n\n' : '') + part.text;
+                } else if (part.type === 'tool_use') {
+                    progress.tools.push(part.name);
+                    this.logger.info(`Claude is using tool: ${part.name}`);
+                }
+            }
+            
+            if (onProgress) {
+                try {
+                    onProgress({ text: progress.text, tools: [...progress.tools] });
+                } catch (e) {
+                    this.logger.warn(`Progress callback failed: ${e.message}`);
+                }
+            }
+        };
+        
+        const execution = this.runCommand(command, { timeout: this.timeout, cwd: cwd, onLine: handleLine });
+        const promise = execution.then(({ stdout, stderr }) => ({
+            stdout: resultEvent ? JSON.stringify(resultEvent) : stdout,
+            stderr: stderr
+        }));
+        promise.child = execution.child;
+        return promise;
+    }
 }
 
 module.exports = ClaudeAgent;
\ No newline at end of file
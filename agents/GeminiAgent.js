@@ -0,0 +1,173 @@
+const BaseAgent = require('./BaseAgent');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+class GeminiAgent extends BaseAgent {
+    constructor(config = {}) {
+        super(config);
+        this.model = config.geminiModel || 'gemini-2.5-pro';
+        this.approvalMode = config.geminiApprovalMode || 'default';
+        this.timeout = config.geminiTimeout || 600000;
+        this.useConversationMode = config.useConversationMode !== false;
+        this.sessionFile = config.sessionFile || './gemini-sessions.json';
+    }
+
+    async processMessage(message, options = {}) {
+        // Without approval the CLI still runs its read-only tools (read_file, glob, web search),
+        // and it has no flag to turn them off, so authors who may not use tools are refused
+        if (options.allowTools === false) {
+            this.logger.info(`Refusing message from ${message.author}: tools are not allowed and the Gemini CLI cannot run without them`);
+            return {
+                result: 'Your role may not use tools, and the Gemini agent cannot answer without them.',
+                cost: 0,
+                isError: true
+            };
+        }
+        
+        // Format the message for Discord context
+        const outboxDir = await this.prepareOutbox(message.channel);
+        const prompt = `${this.formatPrompt(message)}\n\n[To share a file with the user, save it in: ${outboxDir}]`;
+        // Sandbox profiles are not supported, so sessions are kept per channel only
+        const sessionId = this.getSessionId(message.channel);
+        
+        // Create a temporary file for the prompt to avoid escaping issues
+        const tempFile = path.join(os.tmpdir(), `gemini-prompt-${Date.now()}-${this.getChannelKey(message.channel)}.txt`);
+        
+        try {
+            this.logger.info(`Processing message with Gemini: ${message.content.substring(0, 50)}...`);
+            
+            await fs.writeFile(tempFile, prompt, 'utf8');
+            this.logger.info(`Wrote prompt to temp file: ${tempFile}`);
+            
+            const catCommand = process.platform === 'win32' ? 'type' : 'cat';
+            
+            // Piped stdin runs the CLI non-interactively; JSON output carries the session ID and errors
+            const attachmentDirs = [...new Set(this.getAttachmentPaths(message).map(file => path.dirname(file)))];
+            const flags = [
+                `--model "${this.model}"`,
+                '--output-format json',
+                // Without approval, tools that change anything are unavailable in non-interactive runs
+                `--approval-mode ${this.approvalMode}`,
+                `--include-directories "${[...attachmentDirs, outboxDir].join(',')}"`
+            ];
+            
+            if (this.useConversationMode && sessionId) {
+                flags.push(`--resume "${sessionId}"`);
+                this.logger.info(`MODE: Resuming conversation with session ID: ${sessionId}`);
+            } else if (this.useConversationMode) {
+                this.logger.info(`MODE: Starting new conversation session`);
+            } else {
+                this.logger.info(`MODE: One-shot mode - no conversation memory`);
+            }
+            
+            const command = `${catCommand} "${tempFile}" | gemini ${flags.join(' ')}`;
+            this.logger.info(`Full command: ${command}`);
+            
+            const execution = this.runCommand(command, { timeout: this.timeout });
+            const { stdout, stderr } = await this.trackRun(message.channel, execution, () => this.killProcess(execution.child));
+            
+            await fs.unlink(tempFile).catch(e => this.logger.debug(`Could not delete temp file: ${e.message}`));
+            
+            if (stdout) {
+                this.logger.info(`Gemini stdout (${stdout.length} chars): ${stdout.substring(0, 500)}${stdout.length > 500 ? '...' : ''}`);
+            } else {
+                this.logger.warn('Gemini stdout is empty');
+            }
+            
+            if (stderr) {
+                this.logger.warn(`Gemini stderr: ${stderr}`);
+            }
+            
+            const response = stdout.trim();
+            
+            if (!response) {
+                if (stderr) {
+                    return {
+                        result: `Error from Gemini: ${stderr}`,
+                        cost: 0,
+                        isError: true
+                    };
+                }
+                return null;
+            }
+            
+            let jsonResponse;
+            try {
+                jsonResponse = JSON.parse(response);
+            } catch (parseError) {
+                // If not JSON, return raw response
+                this.logger.debug(`Response is not JSON, returning raw: ${parseError.message}`);
+                return {
+                    result: response,
+                    cost: 0,
+                    isError: false
+                };
+            }
+            
+            if (jsonResponse.error) {
+                const errorMessage = jsonResponse.error.message || 'Unknown error';
+                this.logger.error(`Gemini returned error: ${errorMessage}`);
+                return {
+                    result: errorMessage,
+                    cost: 0,
+                    isError: true
+                };
+            }
+            
+            if (this.useConversationMode && jsonResponse.session_id) {
+                await this.setSessionId(message.channel, jsonResponse.session_id);
+            }
+            
+            const files = await this.collectOutbox(outboxDir);
+            if (files.length > 0) {
+                this.logger.info(`Gemini shared ${files.length} file(s): ${files.map(file => path.basename(file)).join(', ')}`);
+            }
+            
+            // The Gemini CLI reports token usage but no price
+            return {
+                result: jsonResponse.response || '',
+                cost: 0,
+                sessionId: jsonResponse.session_id,
+                files: files,
+                isError: false
+            };
+        } catch (error) {
+            await fs.unlink(tempFile).catch(() => {});
+            
+            if (this.wasCancelled(message.channel)) {
+                this.logger.info('Gemini run was cancelled');
+                return null;
+            }
+            
+            this.logger.error(`Gemini processing error: ${error.message}`);
+            if (error.stderr) {
+                this.logger.error(`Error stderr: ${error.stderr}`);
+            }
+            
+            // Check if session is invalid and retry without it
+            const details = `${error.message} ${error.stderr || ''}`;
+            if (sessionId && /session|invalid|not found/i.test(details) && !/gemini: (command )?not found/i.test(details)) {
+                this.logger.warn('Session may be invalid, clearing and retrying...');
+                await this.clearSession(message.channel);
+                return await this.processMessage(message, options);
+            }
+            
+            let errorMessage = error.message;
+            
+            if (/gemini: (command )?not found|is not recognized/i.test(details)) {
+                errorMessage = 'Gemini CLI not found. Please check installation.';
+            } else if (error.code === 'ETIMEDOUT' || error.signal === 'SIGTERM') {
+                errorMessage = 'Gemini request timed out. The query might be too complex.';
+            }
+            
+            return {
+                result: errorMessage,
+                cost: 0,
+                isError: true
+            };
+        }
+    }
+}
+
+module.exports = GeminiAgent;
@@ -0,0 +1,160 @@
+const BaseAgent = require('./BaseAgent');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Text attachments up to this size are inlined into the prompt, since a plain
+// chat-completions model cannot open files on disk
+const MAX_INLINE_ATTACHMENT_BYTES = 100 * 1024;
+
+class OpenAICompatibleAgent extends BaseAgent {
+    constructor(config = {}) {
+        super(config);
+        this.baseUrl = (config.openaiBaseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+        this.apiKey = config.openaiApiKey || null;
+        this.model = config.openaiModel || 'llama3.1';
+        this.systemPrompt = config.openaiSystemPrompt || null;
+        this.maxHistory = config.openaiMaxHistory || 40;
+        this.timeout = config.openaiTimeout || 600000;
+        // USD per million tokens, so formatResponse() can still show a cost
+        this.promptPrice = config.openaiPromptPrice || 0;
+        this.completionPrice = config.openaiCompletionPrice || 0;
+        this.useConversationMode = config.useConversationMode !== false;
+        this.sessionFile = config.sessionFile || './openai-sessions.json';
+    }
+
+    /**
+     * Sessions hold the whole conversation ({ id, messages }) rather than just an ID,
+     * because the server keeps no state between requests
+     */
+    getSessionId(channel, profile = null) {
+        const conversation = this.sessions[this.getSessionKey(channel, profile)];
+        return conversation ? conversation.id : null;
+    }
+
+    async processMessage(message) {
+        // A model server has no tools or working folder, so sandbox profiles do not apply
+        const sessionKey = this.getSessionKey(message.channel);
+        const conversation = (this.useConversationMode && this.sessions[sessionKey]) || {
+            id: crypto.randomUUID(),
+            messages: []
+        };
+        
+        const userMessage = { role: 'user', content: await this.buildPrompt(message) };
+        const messages = [];
+        if (this.systemPrompt) {
+            messages.push({ role: 'system', content: this.systemPrompt });
+        }
+        messages.push(...conversation.messages, userMessage);
+        
+        try {
+            this.logger.info(`Processing message with ${this.model} at ${this.baseUrl}: ${message.content.substring(0, 50)}...`);
+            this.logger.info(`Conversation ${conversation.id} has ${conversation.messages.length} previous message(s)`);
+            
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.apiKey) {
+                headers['Authorization'] = `Bearer ${this.apiKey}`;
+            }
+            
+            const controller = new AbortController();
+            const request = fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({ model: this.model, messages: messages }),
+                signal: AbortSignal.any([controller.signal, AbortSignal.timeout(this.timeout)])
+            });
+            const response = await this.trackRun(message.channel, request, () => controller.abort());
+            
+            if (!response.ok) {
+                const body = await response.text();
+                this.logger.error(`Model server returned HTTP ${response.status}: ${body}`);
+                return {
+                    result: `Model server returned HTTP ${response.status}: ${body.substring(0, 200)}`,
+                    cost: 0,
+                    isError: true
+                };
+            }
+            
+            const data = await response.json();
+            const text = data.choices && data.choices[0] && data.choices[0].message
+                ? data.choices[0].message.content
+                : null;
+            
+            if (!text) {
+                this.logger.warn('Model server returned no message content');
+                return null;
+            }
+            
+            const cost = this.calculateCost(data.usage);
+            this.logger.info(`Model response length: ${text.length} chars, cost: $${cost.toFixed(4)}`);
+            
+            if (this.useConversationMode) {
+                conversation.messages.push(userMessage, { role: 'assistant', content: text });
+                // Keep the most recent turns only so prompts do not grow without bound
+                conversation.messages = conversation.messages.slice(-this.maxHistory);
+                this.sessions[sessionKey] = conversation;
+                await this.saveSessions();
+            }
+            
+            return {
+                result: text,
+                cost: cost,
+                sessionId: conversation.id,
+                files: [],
+                isError: false
+            };
+        } catch (error) {
+            if (this.wasCancelled(message.channel)) {
+                this.logger.info('Model request was cancelled');
+                return null;
+            }
+            
+            this.logger.error(`Model request error: ${error.message}`);
+            
+            let errorMessage = error.message;
+            const cause = error.cause && error.cause.code;
+            
+            if (error.name === 'TimeoutError') {
+                errorMessage = 'Model request timed out. The query might be too complex.';
+            } else if (cause === 'ECONNREFUSED' || cause === 'ENOTFOUND') {
+                errorMessage = `Model server not reachable at ${this.baseUrl}. Please check that it is running.`;
+            }
+            
+            return {
+                result: errorMessage,
+                cost: 0,
+                isError: true
+            };
+        }
+    }
+
+    calculateCost(usage) {
+        if (!usage) {
+            return 0;
+        }
+        return ((usage.prompt_tokens || 0) * this.promptPrice +
+                (usage.completion_tokens || 0) * this.completionPrice) / 1000000;
+    }
+
+    async buildPrompt(message) {
+        // Same text as the CLI agents, minus the file paths the model could not open
+        let prompt = this.formatPrompt({ ...message, attachments: [] });
+        
+        for (const file of this.getAttachmentPaths(message)) {
+            try {
+                const content = await fs.readFile(file);
+                if (content.length > MAX_INLINE_ATTACHMENT_BYTES || content.includes(0)) {
+                    prompt += `\n\n[Attached file ${path.basename(file)} is binary or too large to include]`;
+                } else {
+                    prompt += `\n\n[Attached file ${path.basename(file)}]:\n${content.toString('utf8')}`;
+                }
+            } catch (error) {
+                this.logger.warn(`Could not read attachment ${file}: ${error.message}`);
+            }
+        }
+        
+        return prompt;
+    }
+}
+
+module.exports = OpenAICompatibleAgent;
@@ -1,9 +1,21 @@
 const winston = require('winston');
 const DiscordAgent = require('./DiscordAgent');
+const TerminalPlatform = require('./TerminalPlatform');
+const IrcPlatform = require('./IrcPlatform');
+const DiscordBotPlatform = require('./DiscordBotPlatform');
 const ChatOrchestrator = require('./ChatOrchestrator');
+const CostLedger = require('./CostLedger');
+const ControlServer = require('./ControlServer');
+const Metrics = require('./Metrics');
+const TranscriptArchive = require('./TranscriptArchive');
+const Checkpoints = require('./Checkpoints');
 const AgentFactory = require('./agents/AgentFactory');
 require('dotenv').config();
 
+// The terminal platform shares the console with the conversation, so only warnings go there
+// unless DEBUG is set; discoagent.log and agent.log still get everything
+const consoleLogLevel = process.env.PLATFORM === 'terminal' && process.env.DEBUG !== 'true' ? 'warn' : undefined;
+
 const logger = winston.createLogger({
     level: process.env.DEBUG === 'true' ? 'debug' : 'info',
     format: winston.format.combine(
@@ -13,37 +25,140 @@ const logger = winston.createLogger({
         })
     ),
     transports: [
-        new winston.transports.Console(),
+        new winston.transports.Console({ level: consoleLogLevel }),
         new winston.transports.File({ filename: 'discoagent.log' })
     ]
 });
 
+// Comma-separated setting, e.g. "alice, bob" -> ['alice', 'bob']
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+// Comma-separated name:value pairs, e.g. "alice:admin,bob:read-only" -> { alice: 'admin', bob: 'read-only' }
+function parseMap(value) {
+    const map = {};
+    for (const entry of parseList(value)) {
+        const separator = entry.lastIndexOf(':');
+        if (separator > 0) {
+            map[entry.substring(0, separator).trim()] = entry.substring(separator + 1).trim().toLowerCase();
+        }
+    }
+    return map;
+}
+
 async function main() {
+    // DISCORD_CHANNELS takes a comma-separated list; DISCORD_CHANNEL is kept for single-channel setups
+    const channels = parseList(process.env.DISCORD_CHANNELS || process.env.DISCORD_CHANNEL);
+    
     const config = {
+        platform: (process.env.PLATFORM || 'discord').toLowerCase(),  // 'discord', 'discord-bot', 'terminal' or 'irc'
+        terminalAuthor: process.env.TERMINAL_AUTHOR || null,
+        terminalChannel: process.env.TERMINAL_CHANNEL || 'terminal',
+        ircServer: process.env.IRC_SERVER || null,
+        ircPort: parseInt(process.env.IRC_PORT) || null,  // Defaults to 6697 with TLS, 6667 without
+        ircTls: process.env.IRC_TLS === 'true',
+        ircNick: process.env.IRC_NICK || null,  // Defaults to BOT_NAME
+        ircPassword: process.env.IRC_PASSWORD || null,
+        ircChannels: parseList(process.env.IRC_CHANNELS),
+        ircRequireAccount: process.env.IRC_REQUIRE_ACCOUNT === 'true',  // Authors are services accounts, strangers are ignored
+        ircLineDelay: process.env.IRC_LINE_DELAY !== undefined ? parseInt(process.env.IRC_LINE_DELAY) : 500,
+        ircReconnectDelay: parseInt(process.env.IRC_RECONNECT_DELAY) || 1000,
+        ircMaxReconnectDelay: parseInt(process.env.IRC_MAX_RECONNECT_DELAY) || 60000,
+        discordBotToken: process.env.DISCORD_BOT_TOKEN || null,
+        discordBotChannels: parseList(process.env.DISCORD_BOT_CHANNELS),  // Channel IDs
+        discordBotDirectMessages: process.env.DISCORD_BOT_DMS === 'true',
+        discordApiUrl: process.env.DISCORD_API_URL || null,  // Defaults to https://discord.com/api/v10
+        consoleLogLevel: consoleLogLevel,
         discordEmail: process.env.DISCORD_EMAIL,
         discordPassword: process.env.DISCORD_PASSWORD,
-        targetChannel: process.env.DISCORD_CHANNEL,
+        channels: channels,
+        targetChannel: channels[0],
         botName: process.env.BOT_NAME || 'ClaudeAgent',
         responseDelay: parseInt(process.env.RESPONSE_DELAY) || 2000,
         
         // Agent configuration
-        agentType: process.env.AGENT_TYPE || 'claude',  // 'claude' or 'gemini' (future)
+        agentType: process.env.AGENT_TYPE || 'claude',  // 'claude', 'gemini', 'openai', or a plugin type
+        agentPluginDir: process.env.AGENT_PLUGIN_DIR || null,
         claudeModel: process.env.CLAUDE_MODEL || 'sonnet',
         claudeMaxTurns: parseInt(process.env.CLAUDE_MAX_TURNS) || 5,
+        claudeStreaming: process.env.CLAUDE_STREAMING === 'true',
+        geminiModel: process.env.GEMINI_MODEL || 'gemini-2.5-pro',
+        geminiApprovalMode: process.env.GEMINI_APPROVAL_MODE || 'default',
+        openaiBaseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+        openaiApiKey: process.env.OPENAI_API_KEY || null,
+        openaiModel: process.env.OPENAI_MODEL || 'llama3.1',
+        openaiSystemPrompt: process.env.OPENAI_SYSTEM_PROMPT || null,
+        openaiMaxHistory: parseInt(process.env.OPENAI_MAX_HISTORY) || 40,
+        openaiPromptPrice: parseFloat(process.env.OPENAI_PROMPT_PRICE) || 0,
+        openaiCompletionPrice: parseFloat(process.env.OPENAI_COMPLETION_PRICE) || 0,
         
         skip2FA: process.env.SKIP_2FA === 'true',
         testingMode: process.env.TESTING_MODE === 'true',
         filterMentions: process.env.FILTER_MENTIONS || null,
         useConversationMode: process.env.USE_CONVERSATION_MODE !== 'false',  // Default to true
+        nativeReplies: process.env.NATIVE_REPLIES !== 'false',  // Default to true
+        replyPing: process.env.REPLY_PING !== 'false',  // Default to true
+        chunkMarkers: process.env.CHUNK_MARKERS === 'true',
+        maxAttachmentBytes: parseInt(process.env.MAX_ATTACHMENT_MB) * 1024 * 1024 || 25 * 1024 * 1024,
+        maxUploadBytes: parseInt(process.env.MAX_UPLOAD_MB) * 1024 * 1024 || 10 * 1024 * 1024,
+        longResponseThreshold: process.env.LONG_RESPONSE_THRESHOLD !== undefined ? parseInt(process.env.LONG_RESPONSE_THRESHOLD) : 6000,
+        streamEditInterval: parseInt(process.env.STREAM_EDIT_INTERVAL) || 3000,
+        maxConcurrent: parseInt(process.env.MAX_CONCURRENT) || 3,
+        coalesceWindow: process.env.COALESCE_WINDOW !== undefined ? parseInt(process.env.COALESCE_WINDOW) : 2000,
+        costLedgerFile: process.env.COST_LEDGER_FILE || './cost-ledger.json',
+        costCapUser: parseFloat(process.env.COST_CAP_USER) || 0,
+        costCapChannel: parseFloat(process.env.COST_CAP_CHANNEL) || 0,
+        costCapTotal: parseFloat(process.env.COST_CAP_TOTAL) || 0,
+        costResetPeriod: process.env.COST_RESET_PERIOD || 'daily',
+        commandPrefix: process.env.COMMAND_PREFIX || '!',
+        commandAdmins: parseList(process.env.COMMAND_ADMINS),
+        commandPermissions: parseMap(process.env.COMMAND_PERMISSIONS),  // e.g. "model:everyone,reset:admin,turns:disabled"
+        accessAllowlist: parseList(process.env.ACCESS_ALLOWLIST),
+        accessBlocklist: parseList(process.env.ACCESS_BLOCKLIST),
+        accessRoles: parseMap(process.env.ACCESS_ROLES),
+        accessDefaultRole: process.env.ACCESS_DEFAULT_ROLE || 'user',
+        accessDeniedAction: process.env.ACCESS_DENIED_ACTION || 'ignore',  // 'ignore' or 'reply'
+        sandboxProfilesFile: process.env.SANDBOX_PROFILES || null,
+        checkpointsEnabled: process.env.CHECKPOINTS_ENABLED !== 'false',
+        checkpointFile: process.env.CHECKPOINT_FILE || './checkpoints.json',
+        transcriptsEnabled: process.env.TRANSCRIPTS_ENABLED !== 'false',
+        transcriptFile: process.env.TRANSCRIPT_FILE || './transcripts.jsonl',
+        controlPort: process.env.CONTROL_PORT ? parseInt(process.env.CONTROL_PORT) : null,
+        controlHost: process.env.CONTROL_HOST || '127.0.0.1',
+        controlToken: process.env.CONTROL_TOKEN || null,
+        useDomObserver: process.env.USE_DOM_OBSERVER !== 'false',  // Default to true, polling remains as fallback
+        pollInterval: parseInt(process.env.POLL_INTERVAL) || 2000,
+        observerFallbackInterval: parseInt(process.env.OBSERVER_FALLBACK_INTERVAL) || 30000,
+        selectorProfileFile: process.env.SELECTOR_PROFILE || null,  // Default: selector-profiles/discord-default.json
+        selfTest: process.env.SELECTOR_SELF_TEST !== 'false',  // Default to true
+        diagnosticsDir: process.env.DIAGNOSTICS_DIR || './diagnostics',
         startupMessageLimit: process.env.STARTUP_MESSAGE_LIMIT !== undefined ? parseInt(process.env.STARTUP_MESSAGE_LIMIT) : 0  // Default to 0, can be 0 to skip all, or -1 to process all
     };
     
+    const usesCheckpoints = config.platform === 'discord' || config.platform === 'discord-bot';
+    
     // Log configuration
     logger.info('=== CHAT BOT CONFIGURATION ===');
     logger.info(`🤖 AGENT TYPE: ${config.agentType.toUpperCase()}`);
+    if (config.platform === 'terminal') {
+        logger.info(`⌨️ TERMINAL PLATFORM - Lines typed here are messages in #${config.terminalChannel}`);
+    } else if (config.platform === 'discord-bot') {
+        logger.info(`🔑 DISCORD BOT PLATFORM - Gateway and REST API, channels: ${config.discordBotChannels.join(', ') || '(none)'}${config.discordBotDirectMessages ? ', plus direct messages' : ''}`);
+    } else if (config.platform === 'irc') {
+        logger.info(`📡 IRC PLATFORM - ${config.ircServer}${config.ircTls ? ' (TLS)' : ''}, channels: ${config.ircChannels.join(', ') || '(none)'}`);
+    } else {
+        logger.info(`📺 CHANNELS: ${config.channels.join(', ') || '(none)'}`);
+    }
     
     if (config.testingMode) {
         logger.info('🧪 TESTING MODE ENABLED - Responses will NOT be sent to Discord');
+        if (config.platform === 'terminal') {
+            logger.warn('TESTING_MODE is on: answers are only written to the log, not printed in the terminal');
+        }
     }
     
     if (config.filterMentions) {
@@ -56,6 +171,75 @@ async function main() {
         logger.info('📝 ONE-SHOT MODE - Each message processed independently');
     }
     
+    if (config.nativeReplies) {
+        logger.info(`↩️ NATIVE REPLIES - Responses are sent as Discord replies (ping ${config.replyPing ? 'on' : 'off'})`);
+    }
+    
+    logger.info(`🧵 CONCURRENCY - Up to ${config.maxConcurrent} channel(s) processed at once, messages in each channel in order`);
+    
+    if (config.coalesceWindow > 0) {
+        logger.info(`🧩 COALESCING - Quick messages from the same author within ${config.coalesceWindow}ms are answered as one`);
+    }
+    
+    if (config.claudeStreaming && config.agentType === 'claude') {
+        logger.info(`⏳ STREAMING - Claude progress is shown in an edited message (every ${config.streamEditInterval}ms at most)`);
+    }
+    
+    if (config.useDomObserver) {
+        logger.info(`👀 EVENT MODE - New messages captured by a DOM observer (fallback poll every ${config.observerFallbackInterval}ms)`);
+    } else {
+        logger.info(`🔁 POLLING MODE - Checking for new messages every ${config.pollInterval}ms`);
+    }
+    
+    const caps = [['user', config.costCapUser], ['channel', config.costCapChannel], ['total', config.costCapTotal]]
+        .filter(([, cap]) => cap > 0)
+        .map(([scope, cap]) => `${scope} $${cap.toFixed(2)}`);
+    if (caps.length > 0) {
+        logger.info(`💸 BUDGET CAPS (${config.costResetPeriod}): ${caps.join(', ')}`);
+    }
+    
+    const admins = [...config.commandAdmins, ...Object.keys(config.accessRoles).filter(name => config.accessRoles[name] === 'admin')];
+    if (admins.length > 0) {
+        logger.info(`⌨️ COMMANDS - Prefix "${config.commandPrefix}", admins: ${admins.join(', ')}`);
+    } else {
+        logger.info(`⌨️ COMMANDS - Prefix "${config.commandPrefix}", no admins set so admin commands are unavailable`);
+    }
+    
+    if (config.accessAllowlist.length > 0 || config.accessBlocklist.length > 0 || Object.keys(config.accessRoles).length > 0) {
+        logger.info(`🔐 ACCESS CONTROL - ${config.accessAllowlist.length > 0 ? `allowlist of ${config.accessAllowlist.length}` : 'no allowlist'}, ${config.accessBlocklist.length} blocked, ${Object.keys(config.accessRoles).length} role assignment(s), default role ${config.accessDefaultRole}, unauthorized messages are ${config.accessDeniedAction === 'reply' ? 'answered' : 'ignored'}`);
+    } else {
+        logger.info(`🔓 ACCESS CONTROL - Everyone in the channel has the ${config.accessDefaultRole} role`);
+    }
+    
+    // Anyone can take a free IRC nick, so rights given to nicks are only as safe as the nicks
+    if (config.platform === 'irc' && !config.ircRequireAccount &&
+        (admins.length > 0 || config.accessAllowlist.length > 0 || Object.keys(config.accessRoles).length > 0)) {
+        logger.warn('IRC authors are plain nicks that anyone can take with /nick, so ACCESS_ROLES, ACCESS_ALLOWLIST and COMMAND_ADMINS can be spoofed. Set IRC_REQUIRE_ACCOUNT=true to identify users by their services account');
+    }
+    
+    if (config.platform === 'discord') {
+        logger.info(`🧭 SELECTORS - Profile ${config.selectorProfileFile || 'discord-default (built in)'}${config.selfTest ? `, self-test on startup with reports in ${config.diagnosticsDir}` : ', self-test disabled'}`);
+    }
+    
+    if (config.sandboxProfilesFile) {
+        logger.info(`📦 SANDBOX PROFILES - Tool permissions and working folders from ${config.sandboxProfilesFile}`);
+    }
+    
+    if (config.checkpointsEnabled && usesCheckpoints) {
+        logger.info(`📍 CHECKPOINTS - Restarts resume after the last processed message in each channel (${config.checkpointFile})`);
+    }
+    
+    if (config.transcriptsEnabled) {
+        logger.info(`🗄️ TRANSCRIPTS - Messages and responses archived in ${config.transcriptFile} (search with \`npm run transcripts\`)`);
+    }
+    
+    if (config.controlPort) {
+        logger.info(`🎛️ CONTROL API - Dashboard at http://${config.controlHost}:${config.controlPort}/, Prometheus metrics at /metrics${config.controlToken ? ' (token required)' : ''}`);
+        if (config.controlHost !== '127.0.0.1' && config.controlHost !== 'localhost' && !config.controlToken) {
+            logger.warn('CONTROL_HOST is not local and no CONTROL_TOKEN is set: anyone who can reach the port can control the bot');
+        }
+    }
+    
     // Log startup message limit configuration
     if (config.startupMessageLimit === 0) {
         logger.info('🚀 STARTUP: Will skip all existing messages (STARTUP_MESSAGE_LIMIT=0)');
@@ -65,39 +249,105 @@ async function main() {
         logger.info(`🚀 STARTUP: Will process last ${config.startupMessageLimit} messages (STARTUP_MESSAGE_LIMIT=${config.startupMessageLimit})`);
     }
 
-    if (!config.discordEmail || !config.discordPassword || !config.targetChannel) {
+    if (!['discord', 'discord-bot', 'terminal', 'irc'].includes(config.platform)) {
+        logger.error(`Unknown PLATFORM: ${config.platform} (use discord, discord-bot, terminal or irc)`);
+        process.exit(1);
+    }
+    
+    if (config.platform === 'irc' && (!config.ircServer || config.ircChannels.length === 0)) {
         logger.error('Missing required environment variables. Please check your .env file.');
-        logger.error('Required: DISCORD_EMAIL, DISCORD_PASSWORD, DISCORD_CHANNEL');
+        logger.error('Required for PLATFORM=irc: IRC_SERVER, IRC_CHANNELS');
+        process.exit(1);
+    }
+    
+    if (config.platform === 'discord-bot' && (!config.discordBotToken || (config.discordBotChannels.length === 0 && !config.discordBotDirectMessages))) {
+        logger.error('Missing required environment variables. Please check your .env file.');
+        logger.error('Required for PLATFORM=discord-bot: DISCORD_BOT_TOKEN, DISCORD_BOT_CHANNELS (or DISCORD_BOT_DMS=true)');
+        process.exit(1);
+    }
+    
+    if (config.platform === 'discord' && (!config.discordEmail || !config.discordPassword || config.channels.length === 0)) {
+        logger.error('Missing required environment variables. Please check your .env file.');
+        logger.error('Required: DISCORD_EMAIL, DISCORD_PASSWORD, DISCORD_CHANNEL (or DISCORD_CHANNELS)');
         process.exit(1);
     }
 
+    // Register agent plugins before creating the agent so AGENT_TYPE can refer to them
+    if (config.agentPluginDir) {
+        const pluginTypes = AgentFactory.loadPlugins(config.agentPluginDir);
+        logger.info(`🔌 Loaded agent plugins from ${config.agentPluginDir}: ${pluginTypes.join(', ') || '(none)'}`);
+    }
+    
+    // Counters shared by the platform, agent and orchestrator, served on /metrics
+    const metrics = new Metrics();
+    // Read by the platform on startup, advanced by the orchestrator as messages finish.
+    // The terminal and IRC have no history to resume from.
+    const checkpoints = config.checkpointsEnabled && usesCheckpoints ? new Checkpoints(config, logger) : null;
+    
     // Create the AI agent
     logger.info('Creating AI agent...');
     const aiAgent = AgentFactory.createAgent(config.agentType, {
         ...config,
-        targetChannel: config.targetChannel,
-        logger: logger
+        logger: logger,
+        metrics: metrics
     });
     
-    // Create the Discord chat platform
-    logger.info('Creating Discord platform agent...');
-    const discordAgent = new DiscordAgent(config, logger);
+    // Create the chat platform
+    let chatPlatform;
+    if (config.platform === 'terminal') {
+        logger.info('Creating terminal platform...');
+        chatPlatform = new TerminalPlatform(config, logger);
+    } else if (config.platform === 'discord-bot') {
+        logger.info('Creating Discord bot platform...');
+        chatPlatform = new DiscordBotPlatform({ ...config, metrics: metrics, checkpoints: checkpoints }, logger);
+    } else if (config.platform === 'irc') {
+        logger.info('Creating IRC platform...');
+        chatPlatform = new IrcPlatform({ ...config, metrics: metrics }, logger);
+    } else {
+        logger.info('Creating Discord platform agent...');
+        chatPlatform = new DiscordAgent({ ...config, metrics: metrics, checkpoints: checkpoints }, logger);
+    }
     
     // Create the orchestrator to manage both
     logger.info('Creating orchestrator...');
     const orchestrator = new ChatOrchestrator(
-        discordAgent,
+        chatPlatform,
         aiAgent,
         logger,
         {
             testingMode: config.testingMode,
-            filterMentions: config.filterMentions
+            filterMentions: config.filterMentions,
+            pollInterval: config.pollInterval,
+            nativeReplies: config.nativeReplies,
+            longResponseThreshold: config.longResponseThreshold,
+            streamEditInterval: config.streamEditInterval,
+            maxConcurrent: config.maxConcurrent,
+            coalesceWindow: config.coalesceWindow,
+            costLedger: new CostLedger(config, logger),
+            metrics: metrics,
+            checkpoints: checkpoints,
+            transcriptArchive: config.transcriptsEnabled ? new TranscriptArchive(config, logger) : null,
+            commandPrefix: config.commandPrefix,
+            commandAdmins: config.commandAdmins,
+            commandPermissions: config.commandPermissions,
+            accessAllowlist: config.accessAllowlist,
+            accessBlocklist: config.accessBlocklist,
+            accessRoles: config.accessRoles,
+            accessDefaultRole: config.accessDefaultRole,
+            accessDeniedAction: config.accessDeniedAction,
+            sandboxProfilesFile: config.sandboxProfilesFile
         }
     );
 
+    // Optional HTTP control API and dashboard
+    const controlServer = config.controlPort ? new ControlServer(orchestrator, config, logger) : null;
+
     // Handle shutdown gracefully
     process.on('SIGINT', async () => {
         logger.info('Received shutdown signal...');
+        if (controlServer) {
+            await controlServer.stop();
+        }
         await orchestrator.cleanup();
         process.exit(0);
     });
@@ -105,6 +355,9 @@ async function main() {
     try {
         // Initialize and run the orchestrator
         await orchestrator.initialize();
+        if (controlServer) {
+            await controlServer.start();
+        }
         await orchestrator.run();
     } catch (error) {
         logger.error(`Fatal error: ${error.message}`);
@@ -0,0 +1,685 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ChatOrchestrator = require('../ChatOrchestrator');
+const Checkpoints = require('../Checkpoints');
+const TranscriptArchive = require('../TranscriptArchive');
+const ClaudeAgent = require('../agents/ClaudeAgent');
+const GeminiAgent = require('../agents/GeminiAgent');
+const CostLedger = require('../CostLedger');
+const { installFakeClaude, installFakeGemini } = require('./helpers/fakeClaude');
+const silentLogger = require('./helpers/silentLogger');
+
+// The orchestrator with a real ClaudeAgent on the fake CLI and an in-memory chat platform
+
+const CHANNEL = 'https://discord.com/channels/1/2';
+
+/**
+ * Chat platform that keeps what would have been posted
+ */
+function createPlatform() {
+    return {
+        sent: [],
+        async initialize() {},
+        async sendMessage(text, channel) {
+            this.sent.push({ channel: channel, text: text });
+            return `sent-${this.sent.length}`;
+        },
+        isOwnMessage(message) {
+            return message.author === 'ClaudeAgent';
+        }
+    };
+}
+
+let nextId = 1;
+function message(author, content, channel = CHANNEL) {
+    return { id: `message-content-${nextId++}`, author: author, content: content, channel: channel };
+}
+
+describe('ChatOrchestrator', () => {
+    let originalCwd;
+    let workDir;
+    let fake;
+    let platform;
+    
+    before(async () => {
+        originalCwd = process.cwd();
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-orchestrator-test-'));
+        process.chdir(workDir);
+    });
+    
+    after(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    beforeEach(async () => {
+        await fs.rm(path.join(workDir, 'claude-sessions.json'), { force: true });
+        fake = await installFakeClaude();
+        platform = createPlatform();
+    });
+    
+    afterEach(async () => {
+        await fake.restore();
+    });
+    
+    function createOrchestrator(config = {}, agentConfig = {}) {
+        const agent = new ClaudeAgent({ outboxDir: path.join(workDir, 'outbox'), ...agentConfig });
+        agent.logger = silentLogger();
+        return new ChatOrchestrator(platform, agent, silentLogger(), { coalesceWindow: 0, ...config });
+    }
+
+    /**
+     * Hand messages to the orchestrator as one poll would, and wait until all are answered
+     */
+    async function deliver(orchestrator, ...messages) {
+        await orchestrator.handleMessages(messages);
+        await orchestrator.workQueue.onIdle();
+    }
+
+    it('answers in the channel the message came from, with mention and cost', async () => {
+        await fake.script({ result: 'The deploy runs at noon.', cost: 0.25 });
+        const orchestrator = createOrchestrator();
+        
+        await deliver(orchestrator, message('alice', 'When is the deploy?', 'https://discord.com/channels/1/4'));
+        
+        assert.deepEqual(platform.sent, [
+            { channel: 'https://discord.com/channels/1/4', text: '@alice [$0.25] The deploy runs at noon.' }
+        ]);
+        assert.equal(orchestrator.history[0].status, 'sent');
+    });
+    
+    it('sends agent errors as an error reply', async () => {
+        await fake.script({ stdout: '', stderr: 'API overloaded' });
+        const orchestrator = createOrchestrator();
+        
+        await deliver(orchestrator, message('alice', 'Hello'));
+        
+        assert.deepEqual(platform.sent.map(sent => sent.text), ['@alice Error: Error from Claude: API overloaded']);
+    });
+    
+    it('ignores its own messages', async () => {
+        const orchestrator = createOrchestrator();
+        
+        await deliver(orchestrator, message('ClaudeAgent', 'An earlier answer'));
+        
+        assert.deepEqual(await fake.calls(), []);
+        assert.deepEqual(platform.sent, []);
+    });
+    
+    it('releases the attachments of messages it skips as feedback loops or duplicates', async () => {
+        const released = [];
+        platform.releaseMessage = async msg => released.push(msg.id);
+        const duplicate = message('bob', 'Answered before the restart');
+        const orchestrator = createOrchestrator({
+            filterMentions: 'MRIIOT',
+            checkpoints: { isHandled: msg => msg.id === duplicate.id }
+        });
+        const loop = message('mriiot', 'My own post');
+        
+        await deliver(orchestrator, loop, duplicate);
+        
+        assert.deepEqual(released, [loop.id, duplicate.id]);
+        assert.deepEqual(await fake.calls(), []);
+    });
+    
+    it('archives every message it reads, with the reason for those it skips', async () => {
+        await fake.script({ result: 'Answer', sessionId: 'session-1' });
+        const transcriptFile = path.join(workDir, 'transcripts.jsonl');
+        await fs.rm(transcriptFile, { force: true });
+        const transcripts = new TranscriptArchive({ transcriptFile: transcriptFile }, silentLogger());
+        const duplicate = message('bob', 'Answered before the restart');
+        const orchestrator = createOrchestrator({
+            filterMentions: 'MRIIOT',
+            transcriptArchive: transcripts,
+            checkpoints: { isHandled: msg => msg.id === duplicate.id, markHandled: async () => {}, advance: async () => {} }
+        });
+        
+        await deliver(orchestrator,
+            message('ClaudeAgent', 'An earlier answer'),
+            message('mriiot', 'My own post'),
+            duplicate,
+            message('alice', '@MRIIOT hello'));
+        const entries = await transcripts.search();
+        
+        assert.deepEqual(entries.map(entry => [entry.type, entry.author, entry.skipped]), [
+            ['message', 'ClaudeAgent', 'own'],
+            ['message', 'mriiot', 'feedback-loop'],
+            ['message', 'bob', 'duplicate'],
+            ['message', 'alice', null],
+            ['response', 'alice', undefined]
+        ]);
+        assert.equal(entries[4].status, 'sent');
+        assert.equal(entries[4].sessionId, 'session-1');
+    });
+    
+    it('keeps the conversation going in one session per channel', async () => {
+        await fake.script({ sessionId: 'session-1' });
+        const orchestrator = createOrchestrator();
+        
+        await deliver(orchestrator, message('alice', 'Hello'));
+        await deliver(orchestrator, message('bob', 'Follow-up'));
+        const calls = await fake.calls();
+        
+        assert.ok(!calls[0].args.includes('-r'));
+        assert.deepEqual(calls[1].args.slice(0, 2), ['-r', 'session-1']);
+        assert.deepEqual(orchestrator.getState().sessions, { https___discord_com_channels_1_2: 'session-1' });
+    });
+    
+    it('uploads very long answers as response.md holding only the agent text', async () => {
+        const answer = 'Line of a long answer.\n'.repeat(20);
+        await fake.script({ result: answer, cost: 0.5 });
+        const uploads = [];
+        platform.sendFile = async (file, caption, channel) => {
+            uploads.push({ name: path.basename(file), content: await fs.readFile(file, 'utf8'), channel: channel });
+        };
+        const orchestrator = createOrchestrator({ longResponseThreshold: 200 });
+        
+        await deliver(orchestrator, message('alice', 'Explain everything'));
+        
+        assert.deepEqual(uploads, [{ name: 'response.md', content: answer, channel: CHANNEL }]);
+        assert.match(platform.sent[0].text, /^@alice \[\$0\.50\] Line of a long answer\./);
+        assert.match(platform.sent[0].text, /Full response attached/);
+    });
+    
+    describe('coalescing', () => {
+        const WINDOW = 50;
+        
+        /**
+         * Hand messages over and wait until the last burst has gone quiet and been answered
+         */
+        async function deliverBurst(orchestrator, ...messages) {
+            await orchestrator.handleMessages(messages);
+            await new Promise(resolve => setTimeout(resolve, WINDOW * 3));
+            await orchestrator.workQueue.onIdle();
+        }
+        
+        it('merges quick messages from the same author into one prompt', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ coalesceWindow: WINDOW });
+            
+            await deliverBurst(orchestrator,
+                message('alice', 'I have a question'),
+                message('alice', 'about the deploy:'),
+                message('alice', 'when does it run?'));
+            const calls = await fake.calls();
+            
+            assert.equal(calls.length, 1);
+            assert.ok(calls[0].prompt.startsWith('[Discord message from alice]: I have a question\nabout the deploy:\nwhen does it run?'));
+            assert.deepEqual(platform.sent.map(sent => sent.text), ['@alice [$0.00] Answer']);
+        });
+        
+        it('ends the burst when someone else writes in the channel', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ coalesceWindow: WINDOW });
+            
+            await deliverBurst(orchestrator,
+                message('alice', 'First'),
+                message('alice', 'Second'),
+                message('bob', 'Interrupting'),
+                message('alice', 'Third'));
+            const prompts = (await fake.calls()).map(call => call.prompt.split('\n\n[To share')[0]);
+            
+            assert.deepEqual(prompts, [
+                '[Discord message from alice]: First\nSecond',
+                '[Discord message from bob]: Interrupting',
+                '[Discord message from alice]: Third'
+            ]);
+        });
+        
+        it('keeps bursts in different channels apart', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ coalesceWindow: WINDOW });
+            
+            await deliverBurst(orchestrator,
+                message('alice', 'Here'),
+                message('alice', 'There', 'https://discord.com/channels/1/4'),
+                message('alice', 'And here'));
+            
+            assert.equal((await fake.calls()).length, 2);
+            assert.deepEqual(platform.sent.map(sent => sent.channel).sort(), [CHANNEL, 'https://discord.com/channels/1/4']);
+        });
+        
+        it('replies to the last fragment', async () => {
+            await fake.script({ result: 'Answer' });
+            const replies = [];
+            platform.replyTo = async (messageId, text) => {
+                replies.push({ messageId: messageId, text: text });
+                return 'reply-1';
+            };
+            const orchestrator = createOrchestrator({ coalesceWindow: WINDOW });
+            const fragments = [message('alice', 'Part one'), message('alice', 'Part two')];
+            
+            await deliverBurst(orchestrator, ...fragments);
+            
+            assert.deepEqual(replies, [{ messageId: fragments[1].id, text: '[$0.00] Answer' }]);
+        });
+        
+        it('checkpoints every fragment, so none of them is answered again after a restart', async () => {
+            await fake.script({ result: 'Answer' });
+            const checkpointFile = path.join(workDir, 'checkpoints-coalescing.json');
+            await fs.rm(checkpointFile, { force: true });
+            const checkpoints = new Checkpoints({ checkpointFile: checkpointFile }, silentLogger());
+            const fragments = [message('alice', 'Part one'), message('alice', 'Part two'), message('alice', 'Part three')];
+            
+            await deliverBurst(createOrchestrator({ coalesceWindow: WINDOW, checkpoints: checkpoints }), ...fragments);
+            const restarted = new Checkpoints({ checkpointFile: checkpointFile }, silentLogger());
+            await restarted.load();
+            await deliverBurst(createOrchestrator({ coalesceWindow: WINDOW, checkpoints: restarted }), fragments[1], ...fragments);
+            
+            assert.equal((await fake.calls()).length, 1);
+            assert.equal(platform.sent.length, 1);
+            assert.deepEqual(restarted.channels[CHANNEL].handled, fragments.map(fragment => fragment.id));
+            assert.equal(restarted.getLastMessageId(CHANNEL), fragments[2].id);
+        });
+        
+        it('merges the content, attachments and embeds of the fragments', () => {
+            const merged = ChatOrchestrator.mergeMessages([
+                { ...message('alice', 'Look at this'), attachments: [{ filename: 'a.png' }] },
+                { ...message('alice', ''), attachments: [{ filename: 'b.png' }], embeds: [{ title: 'Link' }] },
+                message('alice', 'What do you think?')
+            ]);
+            
+            assert.equal(merged.content, 'Look at this\nWhat do you think?');
+            assert.deepEqual(merged.attachments.map(attachment => attachment.filename), ['a.png', 'b.png']);
+            assert.deepEqual(merged.embeds, [{ title: 'Link' }]);
+            assert.equal(merged.fragmentIds.length, 3);
+            assert.equal(merged.id, merged.fragmentIds[2]);
+        });
+    });
+    
+    describe('budget caps', () => {
+        function createLedger(config) {
+            return new CostLedger({ costLedgerFile: path.join(workDir, 'cost-ledger.json'), ...config }, silentLogger());
+        }
+        
+        beforeEach(async () => {
+            await fs.rm(path.join(workDir, 'cost-ledger.json'), { force: true });
+        });
+        
+        it('records what each answer cost', async () => {
+            await fake.script({ result: 'Answer', sessionId: 'session-1', cost: 0.25 });
+            const costLedger = createLedger();
+            const orchestrator = createOrchestrator({ costLedger: costLedger });
+            
+            await deliver(orchestrator, message('alice', 'Hello'));
+            
+            assert.deepEqual(costLedger.getTotals().users, { alice: 0.25 });
+            assert.deepEqual(costLedger.getTotals().sessions, { 'session-1': 0.25 });
+        });
+        
+        it('refuses without running the agent once the author is over budget', async () => {
+            await fake.script({ result: 'Answer' });
+            const costLedger = createLedger({ costCapUser: 1, costResetPeriod: 'never' });
+            await costLedger.record({ user: 'alice', channel: CHANNEL, cost: 1.5 });
+            const orchestrator = createOrchestrator({ costLedger: costLedger });
+            
+            await deliver(orchestrator, message('alice', 'Hello'), message('bob', 'Hello'));
+            
+            assert.equal((await fake.calls()).length, 1);
+            assert.deepEqual(platform.sent.map(sent => sent.text), [
+                "@alice 💸 Sorry, your budget of $1.00 has been used up ($1.50 spent), so I can't take more requests.",
+                '@bob [$0.00] Answer'
+            ]);
+            assert.deepEqual(orchestrator.history.map(entry => entry.status), ['over budget', 'sent']);
+        });
+        
+        it('refuses silently when the message would not have been answered anyway', async () => {
+            const costLedger = createLedger({ costCapTotal: 1 });
+            await costLedger.record({ user: 'alice', channel: CHANNEL, cost: 1 });
+            const orchestrator = createOrchestrator({ costLedger: costLedger, filterMentions: 'MRIIOT' });
+            
+            await deliver(orchestrator, message('bob', 'Just chatting'));
+            
+            assert.deepEqual(await fake.calls(), []);
+            assert.deepEqual(platform.sent, []);
+            assert.equal(orchestrator.history[0].status, 'over budget');
+        });
+    });
+    
+    describe('checkpoints', () => {
+        let checkpointFile;
+        
+        beforeEach(async () => {
+            checkpointFile = path.join(workDir, 'checkpoints.json');
+            await fs.rm(checkpointFile, { force: true });
+        });
+        
+        async function loadCheckpoints() {
+            const checkpoints = new Checkpoints({ checkpointFile: checkpointFile }, silentLogger());
+            await checkpoints.load();
+            return checkpoints;
+        }
+        
+        it('saves a message as answered before its reply is sent, and advances after', async () => {
+            await fake.script({ result: 'Answer' });
+            const question = message('alice', 'Hello');
+            const atSend = [];
+            platform.sendMessage = async function (text, channel) {
+                const saved = JSON.parse(await fs.readFile(checkpointFile, 'utf8'));
+                atSend.push(saved.channels[channel]);
+                this.sent.push({ channel: channel, text: text });
+                return `sent-${this.sent.length}`;
+            };
+            
+            await deliver(createOrchestrator({ checkpoints: await loadCheckpoints() }), question);
+            const saved = await loadCheckpoints();
+            
+            assert.deepEqual(atSend.map(state => ({ handled: state.handled, lastMessageId: state.lastMessageId })), [
+                { handled: [question.id], lastMessageId: null }
+            ]);
+            assert.equal(saved.getLastMessageId(CHANNEL), question.id);
+        });
+        
+        it('skips messages answered before a restart and answers the rest', async () => {
+            await fake.script({ result: 'First answer' }, { result: 'Second answer' });
+            const first = message('alice', 'First question');
+            const second = message('alice', 'Second question');
+            
+            await deliver(createOrchestrator({ checkpoints: await loadCheckpoints() }), first);
+            const restarted = createOrchestrator({ checkpoints: await loadCheckpoints() });
+            await deliver(restarted, first, second);
+            
+            assert.equal((await fake.calls()).length, 2);
+            assert.deepEqual(platform.sent.map(sent => sent.text), ['@alice [$0.00] First answer', '@alice [$0.00] Second answer']);
+            assert.deepEqual(restarted.history.map(entry => entry.content), ['Second question']);
+            assert.equal(restarted.checkpoints.getLastMessageId(CHANNEL), second.id);
+        });
+        
+        it('advances without marking messages whose reply is not sent', async () => {
+            await fake.script({ result: 'Answer' });
+            const question = message('alice', 'Hello');
+            
+            await deliver(createOrchestrator({ checkpoints: await loadCheckpoints(), testingMode: true }), question);
+            const saved = await loadCheckpoints();
+            
+            assert.equal(saved.isHandled(question), false);
+            assert.equal(saved.getLastMessageId(CHANNEL), question.id);
+        });
+    });
+    
+    describe('testingMode', () => {
+        it('runs the agent but sends nothing', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ testingMode: true });
+            
+            await deliver(orchestrator, message('alice', 'Hello'));
+            
+            assert.equal((await fake.calls()).length, 1);
+            assert.deepEqual(platform.sent, []);
+            assert.equal(orchestrator.history[0].status, 'not sent (testing mode)');
+            assert.equal(orchestrator.history[0].response, '@alice [$0.00] Answer');
+        });
+        
+        it('does not send command replies either', async () => {
+            const orchestrator = createOrchestrator({ testingMode: true });
+            
+            await deliver(orchestrator, message('alice', '!help'));
+            
+            assert.deepEqual(await fake.calls(), []);
+            assert.deepEqual(platform.sent, []);
+        });
+        
+        it('sends again once switched off', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ testingMode: true });
+            
+            orchestrator.setTestingMode(false);
+            await deliver(orchestrator, message('alice', 'Hello'));
+            
+            assert.equal(platform.sent.length, 1);
+        });
+    });
+    
+    describe('filterMentions', () => {
+        it('only sends answers to messages that mention the user', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ filterMentions: 'MRIIOT' });
+            
+            await deliver(orchestrator,
+                message('alice', 'Just chatting'),
+                message('bob', 'Hey @MRIIOT, can you check this?'),
+                message('carol', 'mriiot what do you think?'));
+            
+            assert.equal((await fake.calls()).length, 3);
+            assert.deepEqual(platform.sent.map(sent => sent.text), [
+                '@bob [$0.00] Answer',
+                '@carol [$0.00] Answer'
+            ]);
+            assert.equal(orchestrator.history[0].status, 'not sent (no mention)');
+        });
+        
+        it('skips messages written by that user, so its own posts never loop back', async () => {
+            const orchestrator = createOrchestrator({ filterMentions: 'MRIIOT' });
+            
+            await deliver(orchestrator, message('mriiot', 'Answering @MRIIOT myself'));
+            
+            assert.deepEqual(await fake.calls(), []);
+            assert.deepEqual(platform.sent, []);
+            assert.deepEqual(orchestrator.history, []);
+        });
+        
+        it('sends nothing in testing mode, even for mentions', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ filterMentions: 'MRIIOT', testingMode: true });
+            
+            await deliver(orchestrator, message('bob', '@MRIIOT hello'));
+            
+            assert.equal((await fake.calls()).length, 1);
+            assert.deepEqual(platform.sent, []);
+        });
+    });
+    
+    describe('access control', () => {
+        it('ignores blocked users without running the agent', async () => {
+            const orchestrator = createOrchestrator({ accessBlocklist: ['mallory'] });
+            
+            await deliver(orchestrator, message('mallory', 'Hello'));
+            
+            assert.deepEqual(await fake.calls(), []);
+            assert.deepEqual(platform.sent, []);
+        });
+        
+        it('refuses blocked users when set to reply', async () => {
+            const orchestrator = createOrchestrator({ accessBlocklist: ['mallory'], accessDeniedAction: 'reply' });
+            
+            await deliver(orchestrator, message('mallory', 'Hello'));
+            
+            assert.deepEqual(await fake.calls(), []);
+            assert.deepEqual(platform.sent.map(sent => sent.text), ["@mallory ⛔ Sorry, you don't have access to this bot."]);
+        });
+        
+        it('only refuses mentions and commands when filtering mentions', async () => {
+            const orchestrator = createOrchestrator({
+                accessBlocklist: ['mallory'],
+                accessDeniedAction: 'reply',
+                filterMentions: 'MRIIOT'
+            });
+            
+            await deliver(orchestrator,
+                message('mallory', 'lunch anyone?'),
+                message('mallory', '@MRIIOT hello'),
+                message('mallory', '!status'));
+            
+            assert.deepEqual(await fake.calls(), []);
+            assert.deepEqual(platform.sent.map(sent => sent.text), [
+                "@mallory ⛔ Sorry, you don't have access to this bot.",
+                "@mallory ⛔ Sorry, you don't have access to this bot."
+            ]);
+        });
+    });
+    
+    describe('sandbox profiles', () => {
+        let profilesFile;
+        
+        beforeEach(async () => {
+            // Everyone gets the "web" profile, which runs in its own folder
+            profilesFile = path.join(workDir, 'profiles.json');
+            await fs.writeFile(profilesFile, JSON.stringify({
+                profiles: { web: { allowedTools: ['WebSearch'], workingDir: './web' } },
+                rules: [{ profile: 'web' }]
+            }), 'utf8');
+        });
+        
+        it("runs Claude with the profile's folder and shows it in !status", async () => {
+            await fake.script({ result: 'Answer', sessionId: 'session-web' });
+            const orchestrator = createOrchestrator({ sandboxProfilesFile: profilesFile });
+            await orchestrator.initialize();
+            
+            await deliver(orchestrator, message('alice', 'Hello'));
+            await deliver(orchestrator, message('alice', '!status'));
+            await deliver(orchestrator, message('alice', '!reset'));
+            const [call] = await fake.calls();
+            
+            assert.equal(call.cwd, await fs.realpath(path.join(workDir, 'web')));
+            assert.match(platform.sent[1].text, /Session: session-web\nProfile: web \(/);
+            assert.equal(platform.sent[2].text, '@alice 🔄 Conversation reset, the next message starts a new session.');
+            assert.equal(orchestrator.aiAgent.getSessionId(CHANNEL, orchestrator.getProfile(message('alice', ''))), null);
+        });
+        
+        it('gives no profile to agents that do not support them, so !status and !reset match their sessions', async () => {
+            const gemini = await installFakeGemini();
+            try {
+                await gemini.script({ response: 'Answer', sessionId: 'session-1' });
+                const agent = new GeminiAgent({ outboxDir: path.join(workDir, 'outbox'), sessionFile: path.join(workDir, 'gemini-sessions.json') });
+                agent.logger = silentLogger();
+                const orchestrator = new ChatOrchestrator(platform, agent, silentLogger(), { coalesceWindow: 0, sandboxProfilesFile: profilesFile });
+                await orchestrator.initialize();
+                
+                await deliver(orchestrator, message('alice', 'Hello'));
+                await deliver(orchestrator, message('alice', '!status'));
+                await deliver(orchestrator, message('alice', '!reset'));
+                const [call] = await gemini.calls();
+                
+                assert.equal(orchestrator.getProfile(message('alice', 'Hello')), null);
+                assert.equal(call.cwd, await fs.realpath(workDir));
+                assert.match(platform.sent[1].text, /Session: session-1\nProfile: none \(not supported by this agent\)/);
+                assert.equal(platform.sent[2].text, '@alice 🔄 Conversation reset, the next message starts a new session.');
+                assert.equal(agent.getSessionId(CHANNEL), null);
+            } finally {
+                await gemini.restore();
+            }
+        });
+    });
+    
+    describe('admin commands', () => {
+        it('switches the model for the next requests', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ commandAdmins: ['alice'] });
+            
+            await deliver(orchestrator, message('alice', '!model claude-opus-4.1:latest'));
+            await deliver(orchestrator, message('alice', 'Hello'));
+            const [call] = await fake.calls();
+            
+            assert.equal(platform.sent[0].text, '@alice 🧠 Model switched to claude-opus-4.1:latest (until restart).');
+            assert.deepEqual(call.args.slice(2, 4), ['--model', 'claude-opus-4.1:latest']);
+        });
+        
+        it('refuses model names that are not a plain name', async () => {
+            const orchestrator = createOrchestrator({ commandAdmins: ['alice'] });
+            
+            await deliver(orchestrator, message('alice', '!model sonnet;touch${IFS}pwned'));
+            await deliver(orchestrator, message('alice', '!model $(id)'));
+            
+            assert.equal(orchestrator.aiAgent.model, 'sonnet');
+            assert.ok(platform.sent.every(sent => sent.text.includes('Invalid model name')));
+        });
+        
+        it('sets the max turns used in conversation mode too', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ commandAdmins: ['alice'] });
+            
+            await deliver(orchestrator, message('alice', '!turns 3'));
+            await deliver(orchestrator, message('alice', 'Hello'));
+            const [call] = await fake.calls();
+            
+            assert.ok(call.args.join(' ').includes('--max-turns 3'));
+        });
+        
+        it('keeps the default level of commands given an unknown permission', async () => {
+            const orchestrator = createOrchestrator({
+                commandAdmins: ['alice'],
+                commandPermissions: { model: 'admins', Turns: 'everyone' }
+            });
+            
+            await deliver(orchestrator, message('bob', '!model opus'), message('bob', '!turns 3'));
+            
+            assert.equal(orchestrator.aiAgent.model, 'sonnet');
+            assert.equal(platform.sent[0].text, '@bob ⛔ !model is only available to admins.');
+            assert.equal(orchestrator.aiAgent.maxTurns, 3);
+        });
+    });
+    
+    describe('streaming progress', () => {
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        
+        beforeEach(() => {
+            platform.edits = [];
+            platform.editMessage = async function(messageId, text, channel) {
+                this.edits.push({ messageId: messageId, text: text, channel: channel });
+            };
+        });
+        
+        it('edits the working message into the answer', async () => {
+            await fake.script({
+                result: 'Fixed the typo.',
+                cost: 0.25,
+                events: [{ type: 'assistant', message: { content: [{ type: 'tool_use', name: 'Edit' }] } }]
+            });
+            const orchestrator = createOrchestrator({ streamEditInterval: 10 }, { claudeStreaming: true });
+            
+            await deliver(orchestrator, message('alice', 'Fix the typo'));
+            
+            assert.deepEqual(platform.sent.map(sent => sent.text), ['⏳ Working…']);
+            assert.deepEqual(platform.edits[platform.edits.length - 1], {
+                messageId: 'sent-1',
+                text: '@alice [$0.25] Fixed the typo.',
+                channel: CHANNEL
+            });
+            assert.equal(orchestrator.history[0].status, 'sent');
+        });
+        
+        it('edits the working message with the latest progress at most once per interval', async () => {
+            const orchestrator = createOrchestrator({ streamEditInterval: 200 }, { claudeStreaming: true });
+            const progress = await orchestrator.startProgress(message('alice', 'Hello'));
+            
+            progress.update({ text: 'Looking', tools: [] });
+            progress.update({ text: 'Looking around', tools: ['Read'] });
+            await wait(20);
+            progress.update({ text: 'Looking around more', tools: ['Read', 'Read'] });
+            await wait(20);
+            const beforeInterval = platform.edits.map(edit => edit.text);
+            await wait(250);
+            progress.update({ text: 'Too late', tools: [] });
+            await progress.finish();
+            await wait(20);
+            
+            assert.equal(progress.messageId, 'sent-1');
+            assert.deepEqual(beforeInterval, ['⏳ Working…\n🔧 Read\n\nLooking around']);
+            assert.deepEqual(platform.edits.map(edit => edit.text), [
+                '⏳ Working…\n🔧 Read\n\nLooking around',
+                '⏳ Working…\n🔧 Read ×2\n\nLooking around more'
+            ]);
+        });
+        
+        it('renders tool counts and the tail of long text, closing an open code block', () => {
+            const orchestrator = createOrchestrator();
+            
+            const text = orchestrator.renderProgress({ text: 'x'.repeat(20) + '\n```js\nconst a = 1;', tools: ['Read', 'Bash', 'Read'] }, 20);
+            
+            assert.equal(text, '⏳ Working…\n🔧 Read ×2, Bash\n\n…x\n```js\nconst a = 1;\n```');
+        });
+        
+        it('shows no progress for messages whose answer is not sent', async () => {
+            await fake.script({ result: 'Answer' });
+            const orchestrator = createOrchestrator({ filterMentions: 'MRIIOT' }, { claudeStreaming: true });
+            
+            await deliver(orchestrator, message('alice', 'Just chatting'));
+            
+            assert.deepEqual(platform.sent, []);
+            assert.deepEqual(platform.edits, []);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Checkpoints = require('../Checkpoints');
+const silentLogger = require('./helpers/silentLogger');
+
+const CHANNEL = 'https://discord.com/channels/1/2';
+
+describe('Checkpoints', () => {
+    let workDir;
+    let checkpointFile;
+    
+    before(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-checkpoints-test-'));
+        checkpointFile = path.join(workDir, 'checkpoints.json');
+    });
+    
+    after(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    beforeEach(async () => {
+        await fs.rm(checkpointFile, { force: true });
+    });
+    
+    /**
+     * Checkpoints read back from the file, as after a restart
+     */
+    async function reload() {
+        const checkpoints = new Checkpoints({ checkpointFile: checkpointFile }, silentLogger());
+        await checkpoints.load();
+        return checkpoints;
+    }
+    
+    it('starts empty without a file', async () => {
+        const checkpoints = await reload();
+        
+        assert.equal(checkpoints.getLastMessageId(CHANNEL), null);
+        assert.equal(checkpoints.isHandled({ id: 'message-content-1', channel: CHANNEL }), false);
+    });
+    
+    it('starts empty from an unreadable file', async () => {
+        await fs.writeFile(checkpointFile, '{"channels": ', 'utf8');
+        
+        const checkpoints = await reload();
+        
+        assert.deepEqual(checkpoints.channels, {});
+    });
+    
+    it('keeps answered messages and the checkpoint across a restart', async () => {
+        const checkpoints = await reload();
+        
+        await checkpoints.markHandled({ id: 'message-content-10', channel: CHANNEL });
+        await checkpoints.advance({ id: 'message-content-10', channel: CHANNEL });
+        const restarted = await reload();
+        
+        assert.equal(restarted.isHandled({ id: 'message-content-10', channel: CHANNEL }), true);
+        assert.equal(restarted.isHandled({ id: 'message-content-10', channel: 'https://discord.com/channels/1/4' }), false);
+        assert.equal(restarted.getLastMessageId(CHANNEL), 'message-content-10');
+        assert.deepEqual(await fs.readdir(workDir), ['checkpoints.json']);
+    });
+    
+    it('treats a merged message as answered when any of its fragments was', async () => {
+        const checkpoints = await reload();
+        
+        await checkpoints.markHandled({ id: 'message-content-12', fragmentIds: ['message-content-11', 'message-content-12'], channel: CHANNEL });
+        
+        assert.equal(checkpoints.isHandled({ id: 'message-content-11', channel: CHANNEL }), true);
+        assert.equal(checkpoints.isHandled({ id: 'message-content-13', fragmentIds: ['message-content-12', 'message-content-13'], channel: CHANNEL }), true);
+    });
+    
+    it('only keeps the most recent answered messages', async () => {
+        const checkpoints = await reload();
+        
+        for (let id = 1; id <= 501; id++) {
+            checkpoints.getState(CHANNEL).handled.push(`message-content-${id}`);
+        }
+        await checkpoints.markHandled({ id: 'message-content-502', channel: CHANNEL });
+        
+        assert.equal(checkpoints.channels[CHANNEL].handled.length, 500);
+        assert.equal(checkpoints.isHandled({ id: 'message-content-2', channel: CHANNEL }), false);
+        assert.equal(checkpoints.isHandled({ id: 'message-content-502', channel: CHANNEL }), true);
+    });
+    
+    describe('advance()', () => {
+        it('moves to the newest fragment of a merged message, whatever their order', async () => {
+            const checkpoints = await reload();
+            
+            await checkpoints.advance({ id: 'message-content-20', fragmentIds: ['message-content-21', 'message-content-100', 'message-content-20'], channel: CHANNEL });
+            
+            assert.equal(checkpoints.getLastMessageId(CHANNEL), 'message-content-100');
+        });
+        
+        it('never moves back to an older message', async () => {
+            const checkpoints = await reload();
+            
+            await checkpoints.advance({ id: 'message-content-100', channel: CHANNEL });
+            await checkpoints.advance({ id: 'message-content-99', channel: CHANNEL });
+            
+            assert.equal(checkpoints.getLastMessageId(CHANNEL), 'message-content-100');
+        });
+        
+        it('compares snowflakes as numbers, not text', async () => {
+            const checkpoints = await reload();
+            
+            await checkpoints.advance({ id: 'message-content-999999999999999999', channel: CHANNEL });
+            await checkpoints.advance({ id: 'message-content-1000000000000000000', channel: CHANNEL });
+            
+            assert.equal(checkpoints.getLastMessageId(CHANNEL), 'message-content-1000000000000000000');
+        });
+        
+        it('ignores messages without an ID', async () => {
+            const checkpoints = await reload();
+            
+            await checkpoints.advance({ id: null, channel: CHANNEL });
+            
+            assert.deepEqual(checkpoints.channels, {});
+        });
+    });
+});
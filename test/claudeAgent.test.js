@@ -0,0 +1,335 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ClaudeAgent = require('../agents/ClaudeAgent');
+const { installFakeClaude } = require('./helpers/fakeClaude');
+const silentLogger = require('./helpers/silentLogger');
+
+// ClaudeAgent runs its real command line against the fake claude CLI, inside a scratch
+// folder so claude-sessions.json and agent.log never touch the checkout.
+
+const CHANNEL = 'https://discord.com/channels/1/2';
+const CHANNEL_KEY = 'https___discord_com_channels_1_2';
+
+function message(content, channel = CHANNEL) {
+    return { id: 'message-content-1', author: 'alice', content: content, channel: channel };
+}
+
+describe('ClaudeAgent', () => {
+    let originalCwd;
+    let workDir;
+    let fake;
+    
+    before(async () => {
+        originalCwd = process.cwd();
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-claude-test-'));
+        process.chdir(workDir);
+    });
+    
+    after(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    beforeEach(async () => {
+        await fs.rm(path.join(workDir, 'claude-sessions.json'), { force: true });
+        fake = await installFakeClaude();
+    });
+    
+    afterEach(async () => {
+        await fake.restore();
+    });
+    
+    function createAgent(config = {}) {
+        const agent = new ClaudeAgent({ outboxDir: path.join(workDir, 'outbox'), ...config });
+        agent.logger = silentLogger();
+        return agent;
+    }
+    
+    describe('processMessage()', () => {
+        it('returns the result, cost and session of JSON output', async () => {
+            await fake.script({ result: 'Hi alice', sessionId: 'session-1', cost: 0.25 });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.result, 'Hi alice');
+            assert.equal(response.cost, 0.25);
+            assert.equal(response.sessionId, 'session-1');
+            assert.equal(response.isError, false);
+            assert.deepEqual(response.files, []);
+        });
+        
+        it('sends the prompt on stdin with the model and JSON output flags', async () => {
+            await fake.script({ result: 'ok' });
+            const agent = createAgent({ claudeModel: 'opus' });
+            
+            await agent.processMessage(message('What is 2 + 2?'));
+            const [call] = await fake.calls();
+            
+            assert.ok(call.prompt.startsWith('[Discord message from alice]: What is 2 + 2?'));
+            assert.deepEqual(call.args.slice(0, 6), ['-p', '-', '--model', 'opus', '--max-turns', '5']);
+            assert.ok(call.args.join(' ').includes('--output-format json'));
+        });
+        
+        it('returns output that is not JSON as is', async () => {
+            await fake.script({ stdout: 'Plain text answer\n' });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.deepEqual(response, { result: 'Plain text answer', cost: 0, isError: false });
+        });
+        
+        it('reports a result marked is_error as an error', async () => {
+            await fake.script({ result: 'Credit balance is too low', isError: true });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.isError, true);
+            assert.equal(response.result, 'Credit balance is too low');
+        });
+        
+        it('reports stderr when stdout is empty', async () => {
+            await fake.script({ stdout: '', stderr: 'API overloaded' });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.deepEqual(response, { result: 'Error from Claude: API overloaded', cost: 0, isError: true });
+        });
+        
+        it('returns null when Claude prints nothing at all', async () => {
+            await fake.script({ stdout: '' });
+            const agent = createAgent();
+            
+            assert.equal(await agent.processMessage(message('Hello')), null);
+        });
+        
+        it('gives up when Claude takes longer than the timeout', async () => {
+            await fake.script({ result: 'too late', delay: 10000 });
+            const agent = createAgent({ claudeTimeout: 300 });
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.isError, true);
+            assert.equal(response.result, 'Claude request timed out. The query might be too complex.');
+        });
+        
+        it('explains when the claude CLI is not installed', async () => {
+            await fake.withoutCli();
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.isError, true);
+            assert.equal(response.result, 'Claude CLI not found. Please check installation.');
+        });
+        
+        it('passes the exit error on when the CLI fails otherwise', async () => {
+            await fake.script({ stdout: '', stderr: 'Rate limited', exitCode: 2 });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.isError, true);
+            assert.match(response.result, /Command failed: .*\nRate limited/s);
+        });
+    });
+    
+    describe('streaming', () => {
+        function assistant(...content) {
+            return { type: 'assistant', message: { content: content } };
+        }
+        
+        it('reports text and tool calls as events arrive, then answers with the result event', async () => {
+            await fake.script({
+                result: 'All tests pass.',
+                sessionId: 'session-1',
+                cost: 0.1,
+                events: [
+                    { type: 'system', subtype: 'init' },
+                    assistant({ type: 'text', text: 'Running the tests.' }, { type: 'tool_use', name: 'Bash' }),
+                    { type: 'user', message: { content: [{ type: 'tool_result' }] } },
+                    assistant({ type: 'tool_use', name: 'Read' }, { type: 'text', text: 'They pass.' })
+                ]
+            });
+            const agent = createAgent({ claudeStreaming: true });
+            const updates = [];
+            
+            const response = await agent.processMessage(message('Run the tests'), { onProgress: update => updates.push(update) });
+            const [call] = await fake.calls();
+            
+            assert.ok(call.args.join(' ').includes('--output-format stream-json --verbose'));
+            assert.deepEqual(updates, [
+                { text: 'Running the tests.', tools: ['Bash'] },
+                { text: 'Running the tests.\n\nThey pass.', tools: ['Bash', 'Read'] }
+            ]);
+            assert.equal(response.result, 'All tests pass.');
+            assert.equal(response.cost, 0.1);
+            assert.equal(agent.getSessionId(CHANNEL), 'session-1');
+        });
+        
+        it('skips lines that are not JSON', async () => {
+            const lines = [
+                'Warning: something the CLI printed',
+                JSON.stringify(assistant({ type: 'text', text: 'Thinking' })),
+                JSON.stringify({ type: 'result', is_error: false, result: 'Done', session_id: 'session-1' })
+            ];
+            await fake.script({ stdout: lines.join('\n') + '\n' });
+            const agent = createAgent({ claudeStreaming: true });
+            const updates = [];
+            
+            const response = await agent.processMessage(message('Hello'), { onProgress: update => updates.push(update) });
+            
+            assert.deepEqual(updates, [{ text: 'Thinking', tools: [] }]);
+            assert.equal(response.result, 'Done');
+        });
+        
+        it('still answers when the progress callback throws', async () => {
+            await fake.script({ result: 'Done', events: [assistant({ type: 'text', text: 'Thinking' })] });
+            const agent = createAgent({ claudeStreaming: true });
+            
+            const response = await agent.processMessage(message('Hello'), {
+                onProgress: () => {
+                    throw new Error('edit failed');
+                }
+            });
+            
+            assert.equal(response.isError, false);
+            assert.equal(response.result, 'Done');
+        });
+    });
+    
+    describe('tools', () => {
+        const profile = {
+            name: 'ops',
+            allowedTools: ['Read', 'Bash(git diff:*)'],
+            disallowedTools: ['Write'],
+            permissionMode: 'bypassPermissions',
+            workingDir: null
+        };
+        
+        it("passes the profile's tools and permission mode", async () => {
+            await fake.script({ result: 'ok' });
+            const agent = createAgent();
+            
+            await agent.processMessage(message('Hello'), { profile: profile });
+            const [call] = await fake.calls();
+            
+            const args = call.args.join(' ');
+            assert.ok(args.includes('--allowedTools Read,Bash(git diff:*)'));
+            assert.ok(args.includes('--disallowedTools Write'));
+            assert.ok(args.includes('--permission-mode bypassPermissions'));
+        });
+        
+        it('offers no tools at all to authors who may not use them, whatever the profile allows', async () => {
+            await fake.script({ result: 'ok' });
+            const agent = createAgent();
+            
+            await agent.processMessage(message('Hello'), { profile: profile, allowTools: false });
+            const [call] = await fake.calls();
+            
+            assert.equal(call.args[call.args.indexOf('--tools') + 1], '');
+            assert.ok(call.args.includes('--strict-mcp-config'));
+            assert.ok(!call.args.includes('--allowedTools'));
+            assert.ok(!call.args.includes('--permission-mode'));
+        });
+    });
+    
+    describe('sessions', () => {
+        it('saves the session ID to claude-sessions.json, keyed by channel', async () => {
+            await fake.script({ sessionId: 'session-1' });
+            const agent = createAgent();
+            
+            await agent.processMessage(message('Hello'));
+            const saved = JSON.parse(await fs.readFile(path.join(workDir, 'claude-sessions.json'), 'utf8'));
+            
+            assert.deepEqual(saved, { [CHANNEL_KEY]: 'session-1' });
+        });
+        
+        it('resumes the saved session on the next message, also after a restart', async () => {
+            await fake.script({ sessionId: 'session-1' }, {});
+            await createAgent().processMessage(message('Hello'));
+            
+            const restarted = createAgent();
+            await restarted.loadSessions();
+            await restarted.processMessage(message('And again'));
+            const calls = await fake.calls();
+            
+            assert.equal(restarted.getSessionId(CHANNEL), 'session-1');
+            assert.ok(!calls[0].args.includes('-r'));
+            assert.deepEqual(calls[1].args.slice(0, 2), ['-r', 'session-1']);
+        });
+        
+        it('keeps a separate session for each channel', async () => {
+            await fake.script({ sessionId: 'session-general' }, { sessionId: 'session-random' });
+            const agent = createAgent();
+            
+            await agent.processMessage(message('Hello'));
+            await agent.processMessage(message('Hello', 'https://discord.com/channels/1/4'));
+            
+            assert.equal(agent.getSessionId(CHANNEL), 'session-general');
+            assert.equal(agent.getSessionId('https://discord.com/channels/1/4'), 'session-random');
+        });
+        
+        it('keeps a separate session for each sandbox profile in a channel', async () => {
+            const adminProfile = { name: 'project', allowedTools: [], disallowedTools: [], permissionMode: null, workingDir: path.join(workDir, 'project') };
+            const userProfile = { name: 'web', allowedTools: [], disallowedTools: [], permissionMode: null, workingDir: path.join(workDir, 'web') };
+            await fs.mkdir(adminProfile.workingDir, { recursive: true });
+            await fs.mkdir(userProfile.workingDir, { recursive: true });
+            await fake.script({ sessionId: 'session-admin' }, { sessionId: 'session-user' }, {}, {});
+            const agent = createAgent();
+            
+            await agent.processMessage(message('Hello'), { profile: adminProfile });
+            await agent.processMessage(message('Hello'), { profile: userProfile });
+            await agent.processMessage(message('Again'), { profile: adminProfile });
+            await agent.processMessage(message('Again'), { profile: userProfile });
+            const calls = await fake.calls();
+            
+            assert.ok(!calls[1].args.includes('-r'));
+            assert.deepEqual(calls[2].args.slice(0, 2), ['-r', 'session-admin']);
+            assert.equal(calls[2].cwd, await fs.realpath(adminProfile.workingDir));
+            assert.deepEqual(calls[3].args.slice(0, 2), ['-r', 'session-user']);
+            assert.equal(calls[3].cwd, await fs.realpath(userProfile.workingDir));
+            
+            await agent.clearSession(CHANNEL);
+            assert.equal(agent.getSessionId(CHANNEL, adminProfile), null);
+            assert.equal(agent.getSessionId(CHANNEL, userProfile), null);
+        });
+        
+        it('does not resume sessions in one-shot mode', async () => {
+            await fake.script({ sessionId: 'session-1' });
+            const agent = createAgent({ useConversationMode: false, claudeMaxTurns: 2 });
+            await agent.setSessionId(CHANNEL, 'session-0');
+            
+            await agent.processMessage(message('Hello'));
+            const [call] = await fake.calls();
+            
+            assert.ok(!call.args.includes('-r'));
+            assert.ok(call.args.join(' ').includes('--max-turns 2'));
+        });
+        
+        it('starts a new session when the saved one is no longer valid', async () => {
+            await fake.script(
+                { stdout: '', stderr: 'No conversation found with session ID: session-old', exitCode: 1 },
+                { result: 'Fresh start', sessionId: 'session-new' }
+            );
+            const agent = createAgent();
+            await agent.setSessionId(CHANNEL, 'session-old');
+            
+            const response = await agent.processMessage(message('Hello'));
+            const calls = await fake.calls();
+            const saved = JSON.parse(await fs.readFile(path.join(workDir, 'claude-sessions.json'), 'utf8'));
+            
+            assert.equal(response.result, 'Fresh start');
+            assert.equal(calls.length, 2);
+            assert.deepEqual(calls[0].args.slice(0, 2), ['-r', 'session-old']);
+            assert.ok(!calls[1].args.includes('-r'));
+            assert.deepEqual(saved, { [CHANNEL_KEY]: 'session-new' });
+        });
+    });
+});
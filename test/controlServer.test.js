@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ControlServer = require('../ControlServer');
+const ChatOrchestrator = require('../ChatOrchestrator');
+const ClaudeAgent = require('../agents/ClaudeAgent');
+const silentLogger = require('./helpers/silentLogger');
+
+// ControlServer on a free local port, in front of a real orchestrator with an in-memory
+// chat platform. The agent is never run, so no CLI is needed.
+
+const CHANNEL = 'https://discord.com/channels/1/2';
+const TOKEN = 'secret-token';
+
+describe('ControlServer', () => {
+    let originalCwd;
+    let workDir;
+    let platform;
+    let orchestrator;
+    let server;
+    let baseUrl;
+    
+    before(async () => {
+        originalCwd = process.cwd();
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-control-test-'));
+        process.chdir(workDir);
+    });
+    
+    after(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    beforeEach(async () => {
+        platform = {
+            sent: [],
+            async sendMessage(text, channel) {
+                this.sent.push({ channel: channel, text: text });
+                return `sent-${this.sent.length}`;
+            }
+        };
+        const agent = new ClaudeAgent({ sessionFile: path.join(workDir, 'claude-sessions.json') });
+        agent.logger = silentLogger();
+        orchestrator = new ChatOrchestrator(platform, agent, silentLogger(), {});
+        server = await startServer({ controlToken: TOKEN });
+    });
+    
+    afterEach(async () => {
+        await server.stop();
+    });
+    
+    async function startServer(config) {
+        const control = new ControlServer(orchestrator, { controlPort: 0, ...config }, silentLogger());
+        await control.start();
+        baseUrl = `http://127.0.0.1:${control.server.address().port}`;
+        return control;
+    }
+    
+    /**
+     * Call the API with the token, as JSON unless other headers are given
+     */
+    async function request(method, pathname, body = undefined, headers = { 'Content-Type': 'application/json' }) {
+        const response = await fetch(baseUrl + pathname, {
+            method: method,
+            headers: { Authorization: `Bearer ${TOKEN}`, ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+    
+    describe('authorization', () => {
+        it('refuses requests without the token or with a wrong one', async () => {
+            const missing = await fetch(`${baseUrl}/api/state`);
+            const wrong = await fetch(`${baseUrl}/api/state`, { headers: { Authorization: 'Bearer guess' } });
+            
+            assert.equal(missing.status, 401);
+            assert.equal(wrong.status, 401);
+            assert.deepEqual(await wrong.json(), { error: 'Missing or wrong token' });
+        });
+        
+        it('accepts the token as a bearer header or a query parameter', async () => {
+            const header = await request('GET', '/api/state');
+            const query = await fetch(`${baseUrl}/api/history?token=${TOKEN}`);
+            
+            assert.equal(header.status, 200);
+            assert.equal(header.body.testingMode, false);
+            assert.equal(query.status, 200);
+            assert.deepEqual(await query.json(), []);
+        });
+        
+        it('protects /metrics too', async () => {
+            const missing = await fetch(`${baseUrl}/metrics`);
+            const allowed = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+            
+            assert.equal(missing.status, 401);
+            assert.equal(allowed.status, 200);
+            assert.match(allowed.headers.get('content-type'), /^text\/plain/);
+        });
+        
+        it('needs no token when none is configured', async () => {
+            await server.stop();
+            server = await startServer({});
+            
+            const response = await fetch(`${baseUrl}/api/state`);
+            
+            assert.equal(response.status, 200);
+        });
+        
+        it('answers unknown routes with 404', async () => {
+            const response = await request('GET', '/api/nothing');
+            
+            assert.equal(response.status, 404);
+            assert.deepEqual(response.body, { error: 'No route for GET /api/nothing' });
+        });
+    });
+    
+    describe('POST bodies', () => {
+        it('refuses bodies that are not JSON with 415, without acting on them', async () => {
+            const response = await request('POST', '/api/pause', {}, { 'Content-Type': 'text/plain' });
+            
+            assert.equal(response.status, 415);
+            assert.deepEqual(response.body, { error: 'POST bodies must be application/json' });
+            assert.equal(orchestrator.workQueue.paused, false);
+        });
+        
+        it('refuses invalid JSON with 400', async () => {
+            const response = await fetch(`${baseUrl}/api/testing-mode`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+                body: '{"enabled": tru'
+            });
+            
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).error, /^Invalid JSON/);
+        });
+    });
+    
+    describe('actions', () => {
+        it('pauses and resumes processing', async () => {
+            const paused = await request('POST', '/api/pause', {});
+            assert.deepEqual(paused.body, { paused: true });
+            assert.equal(orchestrator.workQueue.paused, true);
+            
+            const resumed = await request('POST', '/api/resume', {});
+            assert.deepEqual(resumed.body, { paused: false });
+            assert.equal(orchestrator.workQueue.paused, false);
+        });
+        
+        it('switches testing mode on and off', async () => {
+            const on = await request('POST', '/api/testing-mode', { enabled: true });
+            assert.deepEqual(on.body, { testingMode: true });
+            assert.equal(orchestrator.testingMode, true);
+            
+            const off = await request('POST', '/api/testing-mode', { enabled: false });
+            assert.deepEqual(off.body, { testingMode: false });
+            assert.equal(orchestrator.testingMode, false);
+        });
+        
+        it("resets a channel's session", async () => {
+            await orchestrator.aiAgent.setSessionId(CHANNEL, 'session-1');
+            
+            const response = await request('POST', '/api/sessions/reset', { channel: CHANNEL });
+            
+            assert.deepEqual(response, { status: 200, body: { reset: CHANNEL } });
+            assert.equal(orchestrator.aiAgent.getSessionId(CHANNEL), null);
+        });
+        
+        it('needs a channel to reset', async () => {
+            const response = await request('POST', '/api/sessions/reset', {});
+            
+            assert.deepEqual(response, { status: 400, body: { error: 'Missing "channel"' } });
+        });
+        
+        it('sends a message to a channel', async () => {
+            const response = await request('POST', '/api/messages', { text: 'Back in five minutes', channel: CHANNEL });
+            
+            assert.deepEqual(response, { status: 200, body: { sent: true, messageId: 'sent-1' } });
+            assert.deepEqual(platform.sent, [{ channel: CHANNEL, text: 'Back in five minutes' }]);
+        });
+        
+        it('needs text to send', async () => {
+            const response = await request('POST', '/api/messages', { channel: CHANNEL });
+            
+            assert.deepEqual(response, { status: 400, body: { error: 'Missing "text"' } });
+            assert.deepEqual(platform.sent, []);
+        });
+    });
+});
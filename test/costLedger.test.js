@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CostLedger = require('../CostLedger');
+const silentLogger = require('./helpers/silentLogger');
+
+// CostLedger keeps its ledger file in a scratch folder. Period boundaries are checked
+// against fixed dates; 2026-03-04 is a Wednesday.
+
+const GENERAL = 'https://discord.com/channels/1/2';
+const RANDOM = 'https://discord.com/channels/1/4';
+
+function at(time) {
+    return new Date(`${time}Z`);
+}
+
+describe('CostLedger', () => {
+    let workDir;
+    
+    before(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-costs-test-'));
+    });
+    
+    after(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    function createLedger(config = {}) {
+        const ledgerFile = path.join(workDir, `ledger-${Date.now()}-${Math.random()}.json`);
+        return new CostLedger({ costLedgerFile: ledgerFile, ...config }, silentLogger());
+    }
+    
+    describe('record()', () => {
+        it('totals cost by user, channel and session, and keeps it across a restart', async () => {
+            const ledger = createLedger();
+            
+            await ledger.record({ user: 'alice', channel: GENERAL, sessionId: 'session-1', cost: 0.25 });
+            await ledger.record({ user: 'alice', channel: RANDOM, sessionId: 'session-2', cost: 0.5 });
+            await ledger.record({ user: 'bob', channel: GENERAL, sessionId: 'session-1', cost: 1 });
+            const restarted = new CostLedger({ costLedgerFile: ledger.ledgerFile }, silentLogger());
+            await restarted.load();
+            const totals = restarted.getTotals();
+            
+            assert.equal(totals.since, restarted.today());
+            assert.equal(totals.total, 1.75);
+            assert.deepEqual(totals.users, { alice: 0.75, bob: 1 });
+            assert.deepEqual(totals.channels, { [GENERAL]: 1.25, [RANDOM]: 0.5 });
+            assert.deepEqual(totals.sessions, { 'session-1': 1.25, 'session-2': 0.5 });
+        });
+        
+        it('only counts the days of the current period', async () => {
+            const ledger = createLedger();
+            ledger.days['2000-01-01'] = { total: 50, users: { alice: 50 }, channels: { [GENERAL]: 50 }, sessions: {} };
+            
+            await ledger.record({ user: 'alice', channel: GENERAL, cost: 0.25 });
+            
+            assert.equal(ledger.getTotals().total, 0.25);
+            assert.deepEqual(ledger.getTotals().users, { alice: 0.25 });
+        });
+    });
+    
+    describe('checkBudget()', () => {
+        it('allows everything without caps', async () => {
+            const ledger = createLedger();
+            await ledger.record({ user: 'alice', channel: GENERAL, cost: 100 });
+            
+            assert.equal(ledger.checkBudget('alice', GENERAL), null);
+        });
+        
+        it('stops a user once their cap is reached, in every channel', async () => {
+            const ledger = createLedger({ costCapUser: 1 });
+            await ledger.record({ user: 'alice', channel: GENERAL, cost: 0.6 });
+            
+            assert.equal(ledger.checkBudget('alice', GENERAL), null);
+            await ledger.record({ user: 'alice', channel: GENERAL, cost: 0.4 });
+            
+            assert.deepEqual(ledger.checkBudget('alice', RANDOM), { scope: 'user', spent: 1, cap: 1 });
+            assert.equal(ledger.checkBudget('bob', GENERAL), null);
+        });
+        
+        it('stops everyone in a channel once its cap is reached', async () => {
+            const ledger = createLedger({ costCapChannel: 2 });
+            await ledger.record({ user: 'alice', channel: GENERAL, cost: 1.5 });
+            await ledger.record({ user: 'bob', channel: GENERAL, cost: 1 });
+            
+            assert.deepEqual(ledger.checkBudget('carol', GENERAL), { scope: 'channel', spent: 2.5, cap: 2 });
+            assert.equal(ledger.checkBudget('carol', RANDOM), null);
+        });
+        
+        it('stops everyone everywhere once the total cap is reached', async () => {
+            const ledger = createLedger({ costCapUser: 10, costCapTotal: 3 });
+            await ledger.record({ user: 'alice', channel: GENERAL, cost: 2 });
+            await ledger.record({ user: 'bob', channel: RANDOM, cost: 1 });
+            
+            assert.deepEqual(ledger.checkBudget('carol', 'https://discord.com/channels/1/6'), { scope: 'total', spent: 3, cap: 3 });
+        });
+    });
+    
+    describe('periodStart() and nextReset()', () => {
+        it('starts daily periods at midnight UTC', () => {
+            const ledger = createLedger({ costResetPeriod: 'daily' });
+            
+            assert.equal(ledger.periodStart(at('2026-03-04T23:59:59')), '2026-03-04');
+            assert.deepEqual(ledger.nextReset(at('2026-03-04T23:59:59')), at('2026-03-05T00:00:00'));
+            assert.deepEqual(ledger.nextReset(at('2026-12-31T08:00:00')), at('2027-01-01T00:00:00'));
+        });
+        
+        it('starts weekly periods on Monday', () => {
+            const ledger = createLedger({ costResetPeriod: 'weekly' });
+            
+            assert.equal(ledger.periodStart(at('2026-03-02T00:00:00')), '2026-03-02');
+            assert.equal(ledger.periodStart(at('2026-03-04T10:00:00')), '2026-03-02');
+            assert.equal(ledger.periodStart(at('2026-03-08T23:00:00')), '2026-03-02');
+            assert.equal(ledger.periodStart(at('2026-03-01T10:00:00')), '2026-02-23');
+            assert.deepEqual(ledger.nextReset(at('2026-03-04T10:00:00')), at('2026-03-09T00:00:00'));
+        });
+        
+        it('starts monthly periods on the first of the month', () => {
+            const ledger = createLedger({ costResetPeriod: 'monthly' });
+            
+            assert.equal(ledger.periodStart(at('2026-03-31T23:00:00')), '2026-03-01');
+            assert.deepEqual(ledger.nextReset(at('2026-01-31T10:00:00')), at('2026-02-01T00:00:00'));
+            assert.deepEqual(ledger.nextReset(at('2026-12-15T10:00:00')), at('2027-01-01T00:00:00'));
+        });
+        
+        it('never resets a budget that is not periodic', () => {
+            const ledger = createLedger({ costResetPeriod: 'never' });
+            
+            assert.equal(ledger.periodStart(at('2026-03-04T10:00:00')), '0000-00-00');
+            assert.equal(ledger.nextReset(at('2026-03-04T10:00:00')), null);
+        });
+        
+        it('uses daily periods for an unknown reset period', () => {
+            const ledger = createLedger({ costResetPeriod: 'hourly' });
+            
+            assert.equal(ledger.resetPeriod, 'daily');
+        });
+    });
+    
+    describe('prune()', () => {
+        function bucket(total) {
+            return { total: total, users: {}, channels: {}, sessions: {} };
+        }
+        
+        it('drops days older than the retention', () => {
+            const ledger = createLedger({ costRetentionDays: 30 });
+            ledger.days = { '2026-01-01': bucket(1), '2026-02-10': bucket(2), '2026-03-04': bucket(3) };
+            
+            ledger.prune(at('2026-03-04T10:00:00'));
+            
+            assert.deepEqual(Object.keys(ledger.days), ['2026-02-10', '2026-03-04']);
+        });
+        
+        it('keeps the days the current period still counts', () => {
+            const ledger = createLedger({ costRetentionDays: 1, costResetPeriod: 'monthly' });
+            ledger.days = { '2026-02-28': bucket(1), '2026-03-01': bucket(2), '2026-03-04': bucket(3) };
+            
+            ledger.prune(at('2026-03-04T10:00:00'));
+            
+            assert.deepEqual(Object.keys(ledger.days), ['2026-03-01', '2026-03-04']);
+        });
+    });
+    
+    describe('formatRefusal()', () => {
+        it('names whose budget was used up and when it resets', () => {
+            const ledger = createLedger({ costResetPeriod: 'weekly' });
+            const reset = ledger.nextReset().toISOString().replace('T', ' ').substring(0, 16);
+            
+            const text = ledger.formatRefusal({ scope: 'channel', spent: 5.5, cap: 5 });
+            
+            assert.equal(text, `💸 Sorry, this channel's weekly budget of $5.00 has been used up ($5.50 spent), so I can't take more requests until ${reset} UTC.`);
+        });
+        
+        it('leaves out the reset for a budget that never resets', () => {
+            const ledger = createLedger({ costResetPeriod: 'never' });
+            
+            const text = ledger.formatRefusal({ scope: 'user', spent: 1, cap: 1 });
+            
+            assert.equal(text, "💸 Sorry, your budget of $1.00 has been used up ($1.00 spent), so I can't take more requests.");
+        });
+    });
+});
@@ -0,0 +1,353 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    startFixtureServer,
+    launchBrowser,
+    createContext,
+    createAgent,
+    listExpectedFixtures,
+    summarizeMessage
+} = require('./helpers/discordFixtures');
+const DiscordAgent = require('../DiscordAgent');
+const silentLogger = require('./helpers/silentLogger');
+
+// DiscordAgent against saved Discord pages. When Discord changes its markup, save the new
+// page under test/fixtures/discord, map its URL in routes.json and add the messages it
+// should produce under expected/; the scrape test below then shows what no longer matches.
+
+describe('DiscordAgent with Discord fixtures', () => {
+    let server;
+    let browser;
+    let launchError;
+    let context;
+    let page;
+    let attachmentDir;
+    
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser().catch(error => {
+            launchError = error;
+            return null;
+        });
+    });
+    
+    after(async () => {
+        if (browser) {
+            await browser.close();
+        }
+        await server.close();
+    });
+    
+    beforeEach(async t => {
+        if (!browser) {
+            t.skip(`Chromium did not start (run \`npx playwright install chromium\` or set CHROMIUM_PATH): ${launchError.message.split('\n')[0]}`);
+            return;
+        }
+        context = await createContext(browser, server, 'ClaudeAgent');
+        page = await context.newPage();
+        attachmentDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-test-'));
+    });
+    
+    afterEach(async () => {
+        if (context) {
+            await context.close();
+            context = null;
+        }
+        if (attachmentDir) {
+            await fs.rm(attachmentDir, { recursive: true, force: true });
+        }
+    });
+    
+    describe('getNewMessages()', () => {
+        it('reads every fixture as expected', async t => {
+            if (!browser) return;
+            
+            for (const fixture of await listExpectedFixtures()) {
+                await t.test(fixture.name, async () => {
+                    assert.ok(fixture.url, `${fixture.name}.html has no route in routes.json`);
+                    await page.goto(fixture.url);
+                    const agent = createAgent(context, page, fixture.url, { attachmentDir: attachmentDir });
+                    
+                    const messages = await agent.getNewMessages();
+                    
+                    assert.deepEqual(messages.map(summarizeMessage), fixture.expected);
+                    for (const message of messages) {
+                        assert.equal(message.channel, fixture.url);
+                    }
+                });
+            }
+        });
+        
+        it('downloads attachments through the browser session', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = createAgent(context, page, 'https://discord.com/channels/1/2', { attachmentDir: attachmentDir });
+            
+            const messages = await agent.getNewMessages();
+            const attachment = messages.find(message => message.attachments.length > 0).attachments[0];
+            
+            assert.equal(await fs.readFile(attachment.path, 'utf8'), 'contents of deploy.log\n');
+        });
+        
+        it('returns only messages newer than the last one read', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = createAgent(context, page, 'https://discord.com/channels/1/2', { attachmentDir: attachmentDir });
+            await agent.getNewMessages();
+            await agent.markStartupComplete();
+            
+            await page.evaluate(() => {
+                const item = document.querySelector('[id="chat-messages-2-1000000000000001001"]').cloneNode(true);
+                item.id = 'chat-messages-2-1000000000000001999';
+                item.querySelector('[id^="message-username-"]').id = 'message-username-1000000000000001999';
+                const content = item.querySelector('[id="message-content-1000000000000001001"]');
+                content.id = 'message-content-1000000000000001999';
+                content.textContent = 'One more thing';
+                document.querySelector('[data-list-id="chat-messages"]').appendChild(item);
+            });
+            const messages = await agent.getNewMessages();
+            
+            assert.deepEqual(messages.map(message => [message.author, message.content]), [['alice', 'One more thing']]);
+        });
+        
+        it('applies the startup message limit', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = createAgent(context, page, 'https://discord.com/channels/1/2', {
+                attachmentDir: attachmentDir,
+                startupMessageLimit: 2
+            });
+            
+            const messages = await agent.getNewMessages();
+            
+            assert.deepEqual(messages.map(message => message.id), [
+                'message-content-1000000000000001006',
+                'message-content-1000000000000001007'
+            ]);
+        });
+        
+        it('resumes after the checkpoint, or applies the startup limit when it is not loaded', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const checkpointAt = id => ({ getLastMessageId: () => id });
+            const resumed = createAgent(context, page, 'https://discord.com/channels/1/2', {
+                attachmentDir: attachmentDir,
+                startupMessageLimit: 2,
+                checkpoints: checkpointAt('message-content-1000000000000001005')
+            });
+            const missing = createAgent(context, page, 'https://discord.com/channels/1/2', {
+                attachmentDir: attachmentDir,
+                startupMessageLimit: 1,
+                checkpoints: checkpointAt('message-content-1000000000000000500')
+            });
+            
+            const afterCheckpoint = await resumed.getNewMessages();
+            const withoutCheckpoint = await missing.getNewMessages();
+            
+            assert.deepEqual(afterCheckpoint.map(message => message.id), [
+                'message-content-1000000000000001006',
+                'message-content-1000000000000001007'
+            ]);
+            assert.deepEqual(withoutCheckpoint.map(message => message.id), ['message-content-1000000000000001007']);
+        });
+    });
+    
+    describe('navigateToChannel()', () => {
+        it('opens a channel by URL', async () => {
+            if (!browser) return;
+            const target = `${server.url}/channel-general.html`;
+            const agent = createAgent(context, page, target);
+            
+            await agent.navigateToChannel();
+            
+            assert.equal(page.url(), target);
+            assert.equal(await page.getAttribute('[role="textbox"]', 'aria-label'), 'Message #general');
+        });
+        
+        it('opens a server channel by name from the channel list', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = createAgent(context, page, 'random');
+            
+            await agent.navigateToChannel();
+            
+            assert.equal(page.url(), 'https://discord.com/channels/1/4');
+            assert.equal(await page.getAttribute('[role="textbox"]', 'aria-label'), 'Message #random');
+        });
+        
+        it('opens a direct message thread by @name', async () => {
+            if (!browser) return;
+            const agent = createAgent(context, page, '@bob');
+            
+            await agent.navigateToChannel();
+            
+            assert.equal(page.url(), 'https://discord.com/channels/@me/3');
+            assert.equal(await page.getAttribute('[role="textbox"]', 'aria-label'), 'Message @bob');
+        });
+        
+        it('fails for a channel that does not exist', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = createAgent(context, page, 'no-such-channel');
+            
+            await assert.rejects(agent.navigateToChannel(), /Could not find channel: no-such-channel/);
+        });
+    });
+    
+    describe('selector profiles', () => {
+        async function agentWithProfile(target, roles) {
+            const profileFile = path.join(attachmentDir, 'profile.json');
+            await fs.writeFile(profileFile, JSON.stringify({ name: 'test', version: '1', roles: roles }));
+            const agent = createAgent(context, page, target, {
+                attachmentDir: attachmentDir,
+                selectorProfileFile: profileFile,
+                diagnosticsDir: path.join(attachmentDir, 'diagnostics')
+            });
+            await agent.selectors.load();
+            return agent;
+        }
+        
+        it('passes the self-test on a server channel and a direct message', async () => {
+            if (!browser) return;
+            for (const url of ['https://discord.com/channels/1/2', 'https://discord.com/channels/@me/3']) {
+                await page.goto(url);
+                const agent = createAgent(context, page, url);
+                
+                const result = await agent.checkSelectors(agent.channels[0]);
+                
+                assert.deepEqual(result.failed, [], url);
+                assert.deepEqual(result.fallbacks, [], url);
+                assert.equal(result.messagesShown, true);
+                assert.equal(agent.getChannelStates()[0].selectorsOk, true);
+            }
+        });
+        
+        it('still reads authors when only a fallback username selector matches', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = await agentWithProfile('https://discord.com/channels/1/2', {
+                username: ['.username_renamed', '[id^="message-username-"] [class*="username_"]']
+            });
+            
+            const result = await agent.checkSelectors(agent.channels[0]);
+            const messages = await agent.getNewMessages();
+            
+            assert.equal(result.ok, true);
+            assert.deepEqual(result.fallbacks, ['username']);
+            assert.ok(messages.length > 0);
+            assert.ok(messages.every(message => message.author !== 'Unknown'));
+        });
+        
+        it('writes a report with a screenshot and the DOM when roles match nothing', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = await agentWithProfile('https://discord.com/channels/1/2', {
+                username: ['.username_renamed'],
+                messageBox: ['[data-editor="slate-v2"]']
+            });
+            
+            const result = await agent.checkSelectors(agent.channels[0]);
+            
+            assert.equal(result.ok, false);
+            assert.deepEqual(result.failed.map(check => check.role), ['username', 'messageBox']);
+            assert.equal(agent.getChannelStates()[0].selectorsOk, false);
+            const [reportDir] = await fs.readdir(path.join(attachmentDir, 'diagnostics'));
+            const files = path.join(attachmentDir, 'diagnostics', reportDir);
+            assert.deepEqual((await fs.readdir(files)).sort(), ['dom.html', 'report.json', 'screenshot.png']);
+            assert.match(await fs.readFile(path.join(files, 'dom.html'), 'utf8'), /data-list-id="chat-messages"/);
+            assert.equal(JSON.parse(await fs.readFile(path.join(files, 'report.json'), 'utf8')).profile, 'test@1');
+        });
+    });
+    
+    describe('sendMessage()', () => {
+        it('posts the text and returns the new message ID', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = createAgent(context, page, 'https://discord.com/channels/1/2');
+            
+            const messageId = await agent.sendMessage('Hello from the bot');
+            
+            assert.equal(messageId, 'message-content-1000000000000001008');
+            assert.equal(await page.textContent(`[id="${messageId}"]`), 'Hello from the bot');
+        });
+        
+        it('splits long text into several messages and returns the first one', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = createAgent(context, page, 'https://discord.com/channels/1/2');
+            const paragraphs = Array.from({ length: 3 }, (_, i) => `Paragraph ${i + 1} ${'word '.repeat(180)}`.trim());
+            
+            const messageId = await agent.sendMessage(paragraphs.join('\n\n'));
+            const sent = await page.$$eval('[id^="message-content-"]', elements =>
+                elements.slice(-2).map(element => ({ id: element.id, text: element.textContent })));
+            
+            assert.equal(messageId, 'message-content-1000000000000001008');
+            assert.equal(sent.length, 2);
+            assert.ok(sent[0].text.startsWith('Paragraph 1'));
+            assert.ok(sent[1].text.startsWith('Paragraph 3'));
+        });
+        
+        it('does not read its own messages back as new ones', async () => {
+            if (!browser) return;
+            await page.goto('https://discord.com/channels/1/2');
+            const agent = createAgent(context, page, 'https://discord.com/channels/1/2', { attachmentDir: attachmentDir });
+            await agent.getNewMessages();
+            await agent.markStartupComplete();
+            
+            await agent.sendMessage('Hello from the bot');
+            
+            assert.deepEqual(await agent.getNewMessages(), []);
+        });
+    });
+});
+
+describe('DiscordAgent uploads without a browser', () => {
+    /**
+     * Page where no upload button is visible and the file chooser never opens, keeping
+     * the files given to the hidden input and the keys pressed
+     */
+    function pageWithoutUploadButton() {
+        const page = {
+            inputFiles: [],
+            pressed: [],
+            waitForTimeout: async () => {},
+            waitForEvent: () => new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timeout 5000ms exceeded')), 20)),
+            locator: () => ({
+                first: () => ({
+                    isVisible: async () => false,
+                    setInputFiles: async file => page.inputFiles.push(file),
+                    fill: async () => {},
+                    press: async key => page.pressed.push(key)
+                })
+            })
+        };
+        return page;
+    }
+    
+    it('falls back to the file input without leaving the chooser wait unhandled', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-upload-test-'));
+        const file = path.join(dir, 'report.md');
+        await fs.writeFile(file, '# Report');
+        const agent = new DiscordAgent({ channels: ['https://discord.com/channels/1/2'], botName: 'ClaudeAgent' }, silentLogger());
+        const page = pageWithoutUploadButton();
+        agent.channels[0].page = page;
+        const unhandled = [];
+        const onUnhandled = error => unhandled.push(error);
+        process.on('unhandledRejection', onUnhandled);
+        
+        try {
+            await agent.sendFile(file);
+            await new Promise(resolve => setTimeout(resolve, 50));
+        } finally {
+            process.off('unhandledRejection', onUnhandled);
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+        
+        assert.deepEqual(page.inputFiles, [file]);
+        assert.deepEqual(page.pressed, ['Enter']);
+        assert.deepEqual(unhandled, []);
+    });
+});
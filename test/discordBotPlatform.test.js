@@ -0,0 +1,416 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DiscordBotPlatform = require('../DiscordBotPlatform');
+const ChatOrchestrator = require('../ChatOrchestrator');
+const Checkpoints = require('../Checkpoints');
+const { startMockDiscordBot } = require('./helpers/mockDiscordBot');
+const silentLogger = require('./helpers/silentLogger');
+
+const GENERAL = '700000000000000001';
+const RANDOM = '700000000000000002';
+const ALICE = { id: '600000000000000001', username: 'alice' };
+const BOB = { id: '600000000000000002', username: 'bob' };
+
+function createPlatform(server, config = {}) {
+    return new DiscordBotPlatform({
+        discordBotToken: server.token,
+        discordApiUrl: server.apiUrl,
+        discordBotChannels: [GENERAL, RANDOM],
+        discordBotReconnectDelay: 20,
+        discordBotConnectTimeout: 2000,
+        startupMessageLimit: 0,
+        ...config
+    }, silentLogger());
+}
+
+/**
+ * Store a message in the mock's history and deliver it over the Gateway, as Discord does
+ */
+function post(server, fields) {
+    const message = server.createMessage(fields);
+    server.dispatch('MESSAGE_CREATE', message);
+    return message;
+}
+
+/**
+ * Wait until the platform has received this many messages, then take them
+ */
+async function receive(platform, count) {
+    const deadline = Date.now() + 2000;
+    while (platform.receivedMessages.length < count && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return await platform.getNewMessages();
+}
+
+describe('DiscordBotPlatform', () => {
+    let server;
+    let platform;
+    let workDir;
+    
+    beforeEach(async () => {
+        server = await startMockDiscordBot();
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-bot-test-'));
+    });
+    
+    afterEach(async () => {
+        if (platform) {
+            await platform.cleanup();
+            platform = null;
+        }
+        await server.close();
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    describe('connecting', () => {
+        it('finds the Gateway through the API and identifies with the token and intents', async () => {
+            platform = createPlatform(server);
+            
+            await platform.initialize();
+            const identify = server.payloads.find(payload => payload.op === 2);
+            
+            assert.deepEqual(server.requests[0].path, '/api/v10/gateway/bot');
+            assert.equal(identify.d.token, server.token);
+            assert.equal(identify.d.intents, 512 | 4096 | 32768);
+            assert.deepEqual(platform.user, server.botUser);
+            assert.deepEqual(platform.getChannelStates().map(state => [state.target, state.connected]), [[GENERAL, true], [RANDOM, true]]);
+        });
+        
+        it('fails to start with a token Discord rejects', async () => {
+            platform = createPlatform(server, { discordBotToken: 'wrong' });
+            await assert.rejects(platform.initialize(), /GET \/gateway\/bot failed with 401/);
+            
+            // Without the API lookup the Gateway itself closes the connection with 4004
+            platform = createPlatform(server, { discordBotToken: 'wrong', discordGatewayUrl: server.apiUrl.replace('http', 'ws').replace('/api/v10', '/gateway') });
+            await assert.rejects(platform.initialize(), /bot token was rejected/);
+            assert.equal(server.connectionCount(), 1);
+        });
+        
+        it('sends heartbeats at the interval Discord asks for', async () => {
+            await server.close();
+            server = await startMockDiscordBot({ heartbeatInterval: 30 });
+            platform = createPlatform(server);
+            await platform.initialize();
+            
+            await server.waitFor(() => server.payloads.filter(payload => payload.op === 1).length >= 3);
+            
+            // Heartbeats carry the last sequence number, and acknowledged ones keep the connection open
+            assert.equal(server.payloads.find(payload => payload.op === 1).d, platform.sequence);
+            assert.equal(server.connectionCount(), 1);
+        });
+    });
+    
+    describe('receiving', () => {
+        beforeEach(async () => {
+            platform = createPlatform(server, { attachmentDir: path.join(workDir, 'attachments') });
+            await platform.initialize();
+        });
+        
+        it('turns MESSAGE_CREATE events into messages', async () => {
+            const sent = post(server, {
+                channel_id: GENERAL,
+                author: ALICE,
+                content: '<@600000000000000002> <@!900000000000000001> can you check the deploy? <:party:123456>',
+                mentions: [BOB, server.botUser]
+            });
+            
+            const [message] = await receive(platform, 1);
+            
+            assert.deepEqual(message, {
+                id: sent.id,
+                author: 'alice',
+                authorId: ALICE.id,
+                content: '@bob @DiscoBot can you check the deploy? :party:',
+                channel: GENERAL,
+                timestamp: sent.timestamp,
+                attachments: [],
+                embeds: []
+            });
+        });
+        
+        it('skips its own messages, system messages and unmonitored channels', async () => {
+            post(server, { channel_id: GENERAL, author: server.botUser, content: 'My earlier answer' });
+            post(server, { channel_id: GENERAL, author: ALICE, type: 7, content: '' });
+            post(server, { channel_id: '700000000000000099', author: ALICE, content: 'Elsewhere' });
+            post(server, { channel_id: '700000000000000098', guild_id: undefined, author: ALICE, content: 'Private question' });
+            post(server, { channel_id: RANDOM, author: BOB, content: 'Here' });
+            
+            const messages = await receive(platform, 1);
+            
+            assert.deepEqual(messages.map(message => message.content), ['Here']);
+            assert.ok(platform.isOwnMessage({ author: 'DiscoBot', authorId: server.botUser.id }));
+        });
+        
+        it('downloads attachments and keeps the text of embeds', async () => {
+            post(server, {
+                channel_id: GENERAL,
+                author: ALICE,
+                content: '',
+                attachments: [{ filename: 'error log.txt', content: 'Stack trace' }],
+                embeds: [{ title: 'Build failed', description: 'main #42', fields: [{ name: 'Step', value: 'test' }] }]
+            });
+            
+            const [message] = await receive(platform, 1);
+            
+            assert.deepEqual(message.embeds, ['Build failed\nmain #42\nStep\ntest']);
+            assert.equal(message.attachments[0].filename, 'error log.txt');
+            assert.equal(await fs.readFile(message.attachments[0].path, 'utf8'), 'Stack trace');
+            
+            await platform.releaseMessage(message);
+            await assert.rejects(fs.access(message.attachments[0].path));
+        });
+        
+        it('does not download attachments over the size limit', async () => {
+            platform.maxAttachmentBytes = 4;
+            post(server, { channel_id: GENERAL, author: ALICE, content: 'See log', attachments: [{ filename: 'big.txt', content: 'Too large' }] });
+            
+            const [message] = await receive(platform, 1);
+            
+            assert.equal(message.attachments[0].path, undefined);
+            assert.equal(message.content, 'See log');
+            assert.equal(server.requests.filter(request => request.path.startsWith('/attachments/')).length, 0);
+        });
+        
+        it('streams messages as they arrive', async () => {
+            const stream = platform.messageStream();
+            assert.deepEqual((await stream.next()).value, []);
+            const next = stream.next();
+            
+            post(server, { channel_id: GENERAL, author: ALICE, content: 'Hello' });
+            const { value } = await next;
+            platform.stopMessageStream();
+            
+            assert.deepEqual(value.map(message => message.content), ['Hello']);
+            assert.equal((await stream.next()).done, true);
+        });
+    });
+    
+    describe('direct messages', () => {
+        it('answers direct messages in their own conversation when enabled', async () => {
+            platform = createPlatform(server, { discordBotDirectMessages: true });
+            await platform.initialize();
+            
+            post(server, { channel_id: '700000000000000098', guild_id: undefined, author: ALICE, content: 'Private question' });
+            const [message] = await receive(platform, 1);
+            await platform.sendMessage('Private answer', message.channel);
+            
+            assert.equal(message.channel, '700000000000000098');
+            assert.equal(server.requests.at(-1).path, '/api/v10/channels/700000000000000098/messages');
+            assert.equal(platform.getChannelStates().find(state => state.target === message.channel).direct, true);
+        });
+    });
+    
+    describe('startup', () => {
+        it('processes the last STARTUP_MESSAGE_LIMIT messages from history', async () => {
+            ['one', 'two', 'three'].forEach(content => server.createMessage({ channel_id: GENERAL, author: ALICE, content: content }));
+            platform = createPlatform(server, { startupMessageLimit: 2 });
+            
+            await platform.initialize();
+            
+            assert.deepEqual((await platform.getNewMessages()).map(message => message.content), ['two', 'three']);
+        });
+        
+        it('skips history with a limit of 0 but catches up from the newest message later', async () => {
+            server.createMessage({ channel_id: GENERAL, author: ALICE, content: 'old' });
+            platform = createPlatform(server);
+            await platform.initialize();
+            
+            assert.deepEqual(await platform.getNewMessages(), []);
+            assert.equal(platform.getChannelStates()[0].lastMessageId, server.messages[GENERAL][0].id);
+        });
+        
+        it('resumes after the checkpoint of each channel', async () => {
+            const checkpoints = new Checkpoints({ checkpointFile: path.join(workDir, 'checkpoints.json') }, silentLogger());
+            const processed = server.createMessage({ channel_id: GENERAL, author: ALICE, content: 'already answered' });
+            server.createMessage({ channel_id: GENERAL, author: ALICE, content: 'sent while the bot was down' });
+            await checkpoints.advance({ id: processed.id, channel: GENERAL });
+            platform = createPlatform(server, { checkpoints: checkpoints, startupMessageLimit: -1 });
+            
+            await platform.initialize();
+            
+            assert.deepEqual((await platform.getNewMessages()).map(message => message.content), ['sent while the bot was down']);
+            assert.equal(server.requests.find(request => request.path.endsWith(`${GENERAL}/messages`)).query.after, processed.id);
+        });
+    });
+    
+    describe('sending', () => {
+        beforeEach(async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+        });
+        
+        const sends = () => server.requests.filter(request => request.method === 'POST');
+        
+        it('sends long text in chunks of at most 2000 characters and returns the first ID', async () => {
+            const text = Array.from({ length: 60 }, (_, i) => `Paragraph ${i} ${'words '.repeat(10)}`).join('\n\n');
+            
+            const messageId = await platform.sendMessage(text, RANDOM);
+            
+            assert.ok(sends().length > 1);
+            assert.ok(sends().every(request => request.path === `/api/v10/channels/${RANDOM}/messages` && request.body.content.length <= 2000));
+            assert.equal(messageId, server.messages[RANDOM][0].id);
+        });
+        
+        it('sends to the first channel without a target and refuses unknown channels', async () => {
+            await platform.sendMessage('Hello');
+            
+            assert.equal(sends()[0].path, `/api/v10/channels/${GENERAL}/messages`);
+            await assert.rejects(platform.sendMessage('Hello', '123'), /Not monitoring channel: 123/);
+        });
+        
+        it('replies natively with the first chunk only', async () => {
+            const question = server.createMessage({ channel_id: GENERAL, author: ALICE, content: 'Question' });
+            platform.replyPing = false;
+            
+            await platform.replyTo(question.id, `${'a'.repeat(1500)}\n\n${'b'.repeat(1500)}`, GENERAL);
+            
+            assert.equal(sends().length, 2);
+            assert.deepEqual(sends()[0].body.message_reference, { message_id: question.id, fail_if_not_exists: false });
+            assert.equal(sends()[0].body.allowed_mentions.replied_user, false);
+            assert.equal(sends()[1].body.message_reference, undefined);
+        });
+        
+        it('only lets user mentions ping, in every chunk, edit and upload', async () => {
+            const file = path.join(workDir, 'notes.md');
+            await fs.writeFile(file, '# Notes');
+            const text = `@everyone ${'a'.repeat(1500)}\n\n@here <@&42> ${'b'.repeat(1500)}`;
+            
+            const messageId = await platform.sendMessage(text, GENERAL);
+            await platform.editMessage(messageId, '@everyone done', GENERAL);
+            await platform.sendFile(file, '@here notes', GENERAL);
+            
+            const writes = server.requests.filter(request => request.method === 'POST' || request.method === 'PATCH');
+            assert.equal(writes.length, 4);
+            for (const request of writes) {
+                assert.deepEqual(request.body.allowed_mentions, { parse: ['users'] });
+            }
+        });
+        
+        it('edits its own messages', async () => {
+            const messageId = await platform.sendMessage('⏳ Working...', GENERAL);
+            
+            await platform.editMessage(messageId, 'Done', GENERAL);
+            
+            assert.equal(server.messages[GENERAL][0].content, 'Done');
+            await assert.rejects(platform.editMessage('1', 'Done', GENERAL), /failed with 404: Unknown Message/);
+        });
+        
+        it('uploads files with a caption', async () => {
+            const file = path.join(workDir, 'report.md');
+            await fs.writeFile(file, '# Report');
+            
+            await platform.sendFile(file, '📎 report.md', GENERAL);
+            
+            assert.equal(sends()[0].body.content, '📎 report.md');
+            assert.deepEqual(sends()[0].uploads, [{ field: 'files[0]', filename: 'report.md', content: '# Report' }]);
+        });
+        
+        it('refuses files over the upload limit', async () => {
+            const file = path.join(workDir, 'big.bin');
+            await fs.writeFile(file, 'x'.repeat(100));
+            platform.maxUploadBytes = 10;
+            
+            await assert.rejects(platform.sendFile(file, '', GENERAL), /over the upload limit/);
+            assert.equal(sends().length, 0);
+        });
+        
+        it('waits out rate limits and retries', async () => {
+            server.rateLimitNext(0.05, 0.05);
+            const startedAt = Date.now();
+            
+            await platform.sendMessage('Hello', GENERAL);
+            
+            assert.equal(sends().length, 3);
+            assert.equal(server.messages[GENERAL].length, 1);
+            assert.ok(Date.now() - startedAt >= 100);
+        });
+        
+        it('keeps chunks of concurrent messages together', async () => {
+            await Promise.all([
+                platform.sendMessage(`${'a'.repeat(1500)}\n\n${'a'.repeat(1500)}`, GENERAL),
+                platform.sendMessage('b', GENERAL)
+            ]);
+            
+            assert.deepEqual(server.messages[GENERAL].map(message => message.content[0]), ['a', 'a', 'b']);
+        });
+    });
+    
+    describe('reconnecting', () => {
+        it('resumes the session after the connection drops', async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+            
+            server.dropConnections();
+            await server.waitFor(() => server.payloads.some(payload => payload.op === 6));
+            await platform.waitUntilReady();
+            post(server, { channel_id: GENERAL, author: ALICE, content: 'Still there?' });
+            
+            const resume = server.payloads.find(payload => payload.op === 6);
+            assert.equal(resume.d.session_id, platform.sessionId);
+            assert.equal(server.payloads.filter(payload => payload.op === 2).length, 1);
+            assert.deepEqual((await receive(platform, 1)).map(message => message.content), ['Still there?']);
+            assert.equal(platform.reconnectAttempts, 0);
+        });
+        
+        it('identifies again when the session cannot be resumed and reads what it missed', async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+            post(server, { channel_id: GENERAL, author: ALICE, content: 'Before' });
+            await receive(platform, 1);
+            
+            server.forgetSessions();
+            server.dropConnections();
+            server.createMessage({ channel_id: GENERAL, author: BOB, content: 'While away' });
+            await server.waitFor(() => server.payloads.filter(payload => payload.op === 2).length === 2);
+            
+            assert.deepEqual((await receive(platform, 1)).map(message => message.content), ['While away']);
+        });
+        
+        it('does not reconnect when Discord refuses the intents', async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+            
+            server.closeGateway(4014, 'Disallowed intent(s).');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            assert.equal(server.connectionCount(), 1);
+            assert.match(platform.fatalError.message, /Message Content intent/);
+        });
+        
+        it('doubles the wait after every failed attempt, up to the maximum', () => {
+            const backoff = createPlatform(server, { discordBotReconnectDelay: 1000, discordBotMaxReconnectDelay: 30000 });
+            
+            const delays = [0, 1, 2, 3, 4, 5, 6].map(attempts => {
+                backoff.reconnectAttempts = attempts;
+                return backoff.getReconnectDelay();
+            });
+            
+            assert.deepEqual(delays, [1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+        });
+    });
+    
+    it('answers messages through the orchestrator with a native reply', async () => {
+        platform = createPlatform(server);
+        await platform.initialize();
+        const agent = {
+            async loadSessions() {},
+            async processMessage(message) {
+                return { result: `You said: ${message.content}`, cost: 0 };
+            },
+            formatResponse: (author, cost, result) => result,
+            formatError: (author, error) => `${author}: ${error}`
+        };
+        const orchestrator = new ChatOrchestrator(platform, agent, silentLogger(), { coalesceWindow: 0 });
+        
+        const question = post(server, { channel_id: RANDOM, author: ALICE, content: 'ping?' });
+        await orchestrator.handleMessages(await receive(platform, 1));
+        await orchestrator.workQueue.onIdle();
+        
+        const answer = server.messages[RANDOM].at(-1);
+        assert.equal(answer.content, 'You said: ping?');
+        assert.equal(answer.message_reference.message_id, question.id);
+    });
+});
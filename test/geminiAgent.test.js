@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const GeminiAgent = require('../agents/GeminiAgent');
+const { installFakeGemini } = require('./helpers/fakeClaude');
+const silentLogger = require('./helpers/silentLogger');
+
+// GeminiAgent runs its real command line against the fake gemini CLI, inside a scratch
+// folder so gemini-sessions.json and agent.log never touch the checkout.
+
+const CHANNEL = 'https://discord.com/channels/1/2';
+const CHANNEL_KEY = 'https___discord_com_channels_1_2';
+
+function message(content, channel = CHANNEL) {
+    return { id: 'message-content-1', author: 'alice', content: content, channel: channel };
+}
+
+function resumedSession(call) {
+    return call.args.includes('--resume') ? call.args[call.args.indexOf('--resume') + 1] : null;
+}
+
+describe('GeminiAgent', () => {
+    let originalCwd;
+    let workDir;
+    let fake;
+    
+    before(async () => {
+        originalCwd = process.cwd();
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-gemini-test-'));
+        process.chdir(workDir);
+    });
+    
+    after(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    beforeEach(async () => {
+        await fs.rm(path.join(workDir, 'gemini-sessions.json'), { force: true });
+        fake = await installFakeGemini();
+    });
+    
+    afterEach(async () => {
+        await fake.restore();
+    });
+    
+    function createAgent(config = {}) {
+        const agent = new GeminiAgent({ outboxDir: path.join(workDir, 'outbox'), ...config });
+        agent.logger = silentLogger();
+        return agent;
+    }
+    
+    describe('processMessage()', () => {
+        it('returns the response and session of JSON output', async () => {
+            await fake.script({ response: 'Hi alice', sessionId: 'session-1' });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.deepEqual(response, { result: 'Hi alice', cost: 0, sessionId: 'session-1', files: [], isError: false });
+        });
+        
+        it('sends the prompt on stdin with the model, approval mode and JSON output flags', async () => {
+            await fake.script({});
+            const agent = createAgent({ geminiModel: 'gemini-2.5-flash', geminiApprovalMode: 'auto_edit' });
+            
+            await agent.processMessage(message('What is 2 + 2?'));
+            const [call] = await fake.calls();
+            
+            assert.ok(call.prompt.startsWith('[Discord message from alice]: What is 2 + 2?'));
+            assert.deepEqual(call.args.slice(0, 2), ['--model', 'gemini-2.5-flash']);
+            const args = call.args.join(' ');
+            assert.ok(args.includes('--output-format json'));
+            assert.ok(args.includes('--approval-mode auto_edit'));
+        });
+        
+        it('reports a JSON error as an error', async () => {
+            await fake.script({ error: 'Quota exceeded' });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.deepEqual(response, { result: 'Quota exceeded', cost: 0, isError: true });
+        });
+        
+        it('reports stderr when stdout is empty', async () => {
+            await fake.script({ stdout: '', stderr: 'API overloaded' });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.deepEqual(response, { result: 'Error from Gemini: API overloaded', cost: 0, isError: true });
+        });
+        
+        it('returns output that is not JSON as is', async () => {
+            await fake.script({ stdout: 'Plain text answer\n' });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.deepEqual(response, { result: 'Plain text answer', cost: 0, isError: false });
+        });
+        
+        it('gives up when Gemini takes longer than the timeout', async () => {
+            await fake.script({ response: 'too late', delay: 10000 });
+            const agent = createAgent({ geminiTimeout: 300 });
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.isError, true);
+            assert.equal(response.result, 'Gemini request timed out. The query might be too complex.');
+        });
+        
+        it('explains when the gemini CLI is not installed', async () => {
+            await fake.withoutCli();
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.isError, true);
+            assert.equal(response.result, 'Gemini CLI not found. Please check installation.');
+        });
+        
+        it('refuses authors who may not use tools without running the CLI', async () => {
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'), { allowTools: false });
+            
+            assert.equal(response.isError, true);
+            assert.match(response.result, /may not use tools/);
+            assert.deepEqual(await fake.calls(), []);
+        });
+    });
+    
+    describe('sessions', () => {
+        it('resumes the saved session on the next message, also after a restart', async () => {
+            await fake.script({ sessionId: 'session-1' }, {});
+            await createAgent().processMessage(message('Hello'));
+            
+            const restarted = createAgent();
+            await restarted.loadSessions();
+            await restarted.processMessage(message('And again'));
+            const calls = await fake.calls();
+            const saved = JSON.parse(await fs.readFile(path.join(workDir, 'gemini-sessions.json'), 'utf8'));
+            
+            assert.equal(resumedSession(calls[0]), null);
+            assert.equal(resumedSession(calls[1]), 'session-1');
+            assert.deepEqual(saved, { [CHANNEL_KEY]: 'session-1' });
+        });
+        
+        it('does not resume or save sessions in one-shot mode', async () => {
+            await fake.script({ sessionId: 'session-1' });
+            const agent = createAgent({ useConversationMode: false });
+            
+            await agent.processMessage(message('Hello'));
+            await agent.processMessage(message('Hello again'));
+            const calls = await fake.calls();
+            
+            assert.equal(resumedSession(calls[1]), null);
+            assert.equal(agent.getSessionId(CHANNEL), null);
+        });
+        
+        it('starts a new session when the saved one is no longer valid', async () => {
+            await fake.script(
+                { stdout: '', stderr: 'Error resuming session: session-old not found', exitCode: 1 },
+                { response: 'Fresh start', sessionId: 'session-new' }
+            );
+            const agent = createAgent();
+            await agent.setSessionId(CHANNEL, 'session-old');
+            
+            const response = await agent.processMessage(message('Hello'));
+            const calls = await fake.calls();
+            
+            assert.equal(response.result, 'Fresh start');
+            assert.equal(calls.length, 2);
+            assert.equal(resumedSession(calls[0]), 'session-old');
+            assert.equal(resumedSession(calls[1]), null);
+            assert.equal(agent.getSessionId(CHANNEL), 'session-new');
+        });
+    });
+});
@@ -0,0 +1 @@
+@node "%~dp0gemini" %*
@@ -0,0 +1,179 @@
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { chromium } = require('playwright');
+const DiscordAgent = require('../../DiscordAgent');
+const silentLogger = require('./silentLogger');
+
+// Offline stand-in for Discord: saved channel pages served by a local static server, with
+// discord.com and the attachment CDN routed to it so DiscordAgent runs unchanged.
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'discord');
+const DISCORD_HOSTS = /^https:\/\/(discord\.com|cdn\.discordapp\.com|media\.discordapp\.net)\//;
+
+// Fixture server each browser context is routed to
+const contextServers = new WeakMap();
+
+/**
+ * Runs inside fixture pages. Pressing Enter in the message box appends the text to the
+ * message list as a new message from the bot, the way Discord echoes a sent message.
+ */
+function fakeDiscordSend(botName) {
+    document.addEventListener('keydown', event => {
+        const box = event.target.closest && event.target.closest('[role="textbox"]');
+        if (!box || event.key !== 'Enter' || event.shiftKey) {
+            return;
+        }
+        event.preventDefault();
+        
+        const text = box.textContent;
+        box.textContent = '';
+        if (!text.trim()) {
+            return;
+        }
+        
+        const list = document.querySelector('[data-list-id="chat-messages"]');
+        const ids = [...document.querySelectorAll('[id^="message-content-"]')]
+            .map(element => BigInt(element.id.replace('message-content-', '')));
+        const id = (ids.reduce((max, value) => value > max ? value : max, 0n) + 1n).toString();
+        
+        const item = document.createElement('li');
+        item.id = `chat-messages-0-${id}`;
+        item.className = 'messageListItem__5126c';
+        item.innerHTML = `
+            <div class="message__5126c cozyMessage__5126c groupStart__5126c wrapper_c19a55 cozy_c19a55" role="article">
+              <div class="contents_c19a55">
+                <h3 class="header_c19a55">
+                  <span id="message-username-${id}" class="headerText_c19a55"><span class="username_c19a55"></span></span>
+                  <span class="timestamp_c19a55"><time id="message-timestamp-${id}" datetime="${new Date().toISOString()}"></time></span>
+                </h3>
+                <div id="message-content-${id}" class="markup__75297 messageContent_c19a55"></div>
+              </div>
+            </div>`;
+        item.querySelector('.username_c19a55').textContent = botName;
+        item.querySelector(`[id="message-content-${id}"]`).textContent = text;
+        list.appendChild(item);
+    }, true);
+}
+
+/**
+ * Serve the fixture pages, plus a small text body for any /attachments/ URL
+ * @returns {Promise<Object>} { url, close() }
+ */
+async function startFixtureServer() {
+    const routes = JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, 'routes.json'), 'utf8'));
+    
+    const server = http.createServer(async (req, res) => {
+        const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        if (pathname.startsWith('/attachments/')) {
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            res.end(`contents of ${path.basename(pathname)}\n`);
+            return;
+        }
+        
+        const file = routes[pathname] || path.basename(pathname);
+        try {
+            const html = await fs.readFile(path.join(FIXTURE_DIR, file));
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(html);
+        } catch (error) {
+            res.writeHead(404);
+            res.end(`No fixture for ${pathname}`);
+        }
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Launch Chromium. Set CHROMIUM_PATH to use an existing Chrome or Chromium instead of
+ * Playwright's own download.
+ */
+async function launchBrowser() {
+    return await chromium.launch({ headless: true, executablePath: process.env.CHROMIUM_PATH || undefined });
+}
+
+/**
+ * New browser context whose Discord and CDN requests are answered by the fixture server,
+ * and whose message box posts messages like Discord does when Enter is pressed
+ */
+async function createContext(browser, server, botName) {
+    const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
+    await context.route(DISCORD_HOSTS, async route => {
+        const url = new URL(route.request().url());
+        const response = await context.request.get(server.url + url.pathname);
+        await route.fulfill({ response: response });
+    });
+    await context.addInitScript(fakeDiscordSend, botName);
+    contextServers.set(context, server);
+    return context;
+}
+
+/**
+ * DiscordAgent watching one target through an already open page, as initialize() would leave it.
+ * Attachment downloads use context.request, which routes do not apply to, so they are sent to
+ * the fixture server directly.
+ */
+function createAgent(context, page, target, config = {}) {
+    const agent = new DiscordAgent({
+        channels: [target],
+        botName: 'ClaudeAgent',
+        responseDelay: 1,
+        startupMessageLimit: -1,
+        ...config
+    }, silentLogger());
+    const server = contextServers.get(context);
+    agent.browser = {
+        request: { get: url => context.request.get(server.url + new URL(url).pathname) },
+        close: () => context.close()
+    };
+    agent.page = page;
+    agent.channels[0].page = page;
+    return agent;
+}
+
+/**
+ * Fixtures that have an expected result, with the Discord URL each one is served at
+ * @returns {Promise<Object[]>} { name, url, expected }
+ */
+async function listExpectedFixtures() {
+    const routes = JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, 'routes.json'), 'utf8'));
+    const files = (await fs.readdir(path.join(FIXTURE_DIR, 'expected'))).filter(file => file.endsWith('.json'));
+    
+    return await Promise.all(files.map(async file => {
+        const name = path.basename(file, '.json');
+        const route = Object.keys(routes).find(pathname => routes[pathname] === `${name}.html`);
+        return {
+            name: name,
+            url: route ? `https://discord.com${route}` : null,
+            expected: JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, 'expected', file), 'utf8'))
+        };
+    }));
+}
+
+/**
+ * The parts of a scraped message that fixtures pin down
+ */
+function summarizeMessage(message) {
+    return {
+        id: message.id,
+        author: message.author,
+        content: message.content,
+        timestamp: message.timestamp,
+        attachments: message.attachments.map(attachment => attachment.filename),
+        embeds: message.embeds
+    };
+}
+
+module.exports = {
+    startFixtureServer,
+    launchBrowser,
+    createContext,
+    createAgent,
+    listExpectedFixtures,
+    summarizeMessage
+};
@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Puts the stand-in claude and gemini CLIs from ./bin first on PATH, so ClaudeAgent and
+// GeminiAgent run their real command lines against canned answers. See ./bin/claude and
+// ./bin/gemini for what a step can contain.
+
+const BIN_DIR = path.join(__dirname, 'bin');
+
+/**
+ * Install a fake CLI for the current process and the commands it starts
+ * @param {string} name - 'claude' or 'gemini'
+ * @returns {Promise<Object>} { dir, script(steps), calls(), withoutCli(), restore() }
+ */
+async function installFakeCli(name) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), `discoagent-fake-${name}-`));
+    const scriptFile = path.join(dir, 'script.json');
+    const callsFile = path.join(dir, 'calls.jsonl');
+    const scriptVar = `FAKE_${name.toUpperCase()}_SCRIPT`;
+    const callsVar = `FAKE_${name.toUpperCase()}_CALLS`;
+    const saved = {
+        PATH: process.env.PATH,
+        [scriptVar]: process.env[scriptVar],
+        [callsVar]: process.env[callsVar]
+    };
+    
+    process.env.PATH = BIN_DIR + path.delimiter + saved.PATH;
+    process.env[scriptVar] = scriptFile;
+    process.env[callsVar] = callsFile;
+    
+    return {
+        dir: dir,
+        
+        /**
+         * Answer the next runs with these steps, forgetting earlier calls
+         */
+        async script(...steps) {
+            await fs.writeFile(scriptFile, JSON.stringify(steps), 'utf8');
+            await fs.rm(callsFile, { force: true });
+        },
+        
+        /**
+         * Runs so far, oldest first, as { args, prompt, cwd }
+         */
+        async calls() {
+            try {
+                const lines = (await fs.readFile(callsFile, 'utf8')).split('\n').filter(Boolean);
+                return lines.map(line => JSON.parse(line));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+        },
+        
+        /**
+         * Leave only `cat` on PATH, as on a machine without the CLI installed
+         */
+        async withoutCli() {
+            const emptyBin = path.join(dir, `no-${name}`);
+            await fs.mkdir(emptyBin, { recursive: true });
+            await fs.symlink('/bin/cat', path.join(emptyBin, 'cat')).catch(() => {});
+            process.env.PATH = emptyBin;
+        },
+        
+        async restore() {
+            for (const [name, value] of Object.entries(saved)) {
+                if (value === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = value;
+                }
+            }
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+function installFakeClaude() {
+    return installFakeCli('claude');
+}
+
+function installFakeGemini() {
+    return installFakeCli('gemini');
+}
+
+module.exports = {
+    installFakeClaude,
+    installFakeGemini
+};
@@ -0,0 +1,288 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+// Just enough of Discord's bot API for DiscordBotPlatform: the Gateway (HELLO, IDENTIFY,
+// RESUME, heartbeats and dispatches) and the REST routes for gateway discovery, channel
+// history, sending, editing and uploads, plus attachment downloads. Every REST request and
+// Gateway payload the client sends is kept so tests can check them.
+
+const TOKEN = 'test-bot-token';
+const BOT_USER = { id: '900000000000000001', username: 'DiscoBot', bot: true };
+// Discord's epoch; snowflakes hold the milliseconds since it in their upper bits
+const DISCORD_EPOCH = 1420070400000n;
+
+/**
+ * @param {Object} [options] - heartbeatInterval for HELLO (ms)
+ * @returns {Promise<Object>} { token, botUser, apiUrl, requests, payloads, messages, connectionCount(),
+ *                            createMessage(fields), dispatch(type, data), rateLimitNext(...seconds), waitFor(predicate),
+ *                            dropConnections(), closeGateway(code), forgetSessions(), close() }
+ */
+async function startMockDiscordBot(options = {}) {
+    const requests = [];
+    const payloads = [];
+    const messages = {};  // Channel ID -> messages, oldest first
+    const files = {};  // Attachment path -> content
+    const sockets = new Set();
+    const waiters = [];
+    const sessions = new Set();
+    let connectionCount = 0;
+    let sequence = 0;
+    let rateLimited = [];
+    let lastId = (BigInt(Date.now()) - DISCORD_EPOCH) << 22n;
+    
+    const nextId = () => {
+        lastId += 1n;
+        return lastId.toString();
+    };
+    const notify = () => waiters.slice().forEach(waiter => waiter.check());
+    const channelMessages = channelId => {
+        messages[channelId] = messages[channelId] || [];
+        return messages[channelId];
+    };
+    
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const raw = Buffer.concat(chunks);
+        const url = new URL(req.url, 'http://127.0.0.1');
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(body === undefined ? '' : JSON.stringify(body));
+            notify();
+        };
+        
+        // Uploads are multipart: the message is in payload_json, the files next to it
+        let body = null;
+        const uploads = [];
+        if ((req.headers['content-type'] || '').startsWith('multipart/form-data')) {
+            const form = await new Response(raw, { headers: { 'Content-Type': req.headers['content-type'] } }).formData();
+            body = JSON.parse(form.get('payload_json'));
+            for (const [name, value] of form.entries()) {
+                if (name.startsWith('files[')) {
+                    uploads.push({ field: name, filename: value.name, content: Buffer.from(await value.arrayBuffer()).toString() });
+                }
+            }
+        } else if (raw.length > 0) {
+            body = JSON.parse(raw.toString());
+        }
+        
+        const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body: body, uploads: uploads };
+        requests.push(request);
+        notify();
+        
+        // Attachment URLs are signed by Discord, so they download without the token
+        if (req.method === 'GET' && files[url.pathname]) {
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            res.end(files[url.pathname]);
+            return;
+        }
+        if (req.headers.authorization !== `Bot ${TOKEN}`) {
+            reply(401, { message: '401: Unauthorized', code: 0 });
+            return;
+        }
+        if (rateLimited.length > 0 && req.method !== 'GET') {
+            reply(429, { message: 'You are being rate limited.', retry_after: rateLimited.shift(), global: false });
+            return;
+        }
+        
+        const route = url.pathname.replace(/^\/api\/v10/, '');
+        let match;
+        if (req.method === 'GET' && route === '/gateway/bot') {
+            reply(200, { url: `ws://127.0.0.1:${server.address().port}/gateway`, shards: 1 });
+        } else if ((match = /^\/channels\/(\d+)\/messages$/.exec(route)) && req.method === 'GET') {
+            // Newest first, like Discord
+            const after = url.searchParams.get('after');
+            const limit = parseInt(url.searchParams.get('limit')) || 50;
+            let history = channelMessages(match[1]);
+            if (after) {
+                history = history.filter(message => BigInt(message.id) > BigInt(after)).slice(0, limit);
+            } else {
+                history = history.slice(-limit);
+            }
+            reply(200, history.slice().reverse());
+        } else if ((match = /^\/channels\/(\d+)\/messages$/.exec(route)) && req.method === 'POST') {
+            const message = {
+                id: nextId(),
+                type: body.message_reference ? 19 : 0,
+                channel_id: match[1],
+                author: BOT_USER,
+                content: body.content || '',
+                timestamp: new Date().toISOString(),
+                attachments: uploads.map((upload, i) => ({ id: nextId(), filename: upload.filename, size: upload.content.length, url: `http://127.0.0.1/uploads/${i}` })),
+                embeds: [],
+                mentions: [],
+                message_reference: body.message_reference
+            };
+            channelMessages(match[1]).push(message);
+            reply(200, message);
+        } else if ((match = /^\/channels\/(\d+)\/messages\/(\d+)$/.exec(route)) && req.method === 'PATCH') {
+            const message = channelMessages(match[1]).find(other => other.id === match[2]);
+            if (!message) {
+                reply(404, { message: 'Unknown Message', code: 10008 });
+                return;
+            }
+            message.content = body.content;
+            reply(200, message);
+        } else {
+            reply(404, { message: '404: Not Found', code: 0 });
+        }
+    });
+    
+    const gateway = new WebSocketServer({ server: server, path: '/gateway' });
+    gateway.on('connection', socket => {
+        connectionCount++;
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        const send = payload => socket.send(JSON.stringify(payload));
+        
+        socket.on('message', data => {
+            const payload = JSON.parse(data.toString());
+            payloads.push(payload);
+            notify();
+            
+            if (payload.op === 1) {
+                send({ op: 11 });
+            } else if (payload.op === 2) {
+                if (payload.d.token !== TOKEN) {
+                    socket.close(4004, 'Authentication failed.');
+                    return;
+                }
+                const sessionId = `session-${connectionCount}`;
+                sessions.add(sessionId);
+                send({
+                    op: 0,
+                    s: ++sequence,
+                    t: 'READY',
+                    d: {
+                        v: 10,
+                        user: BOT_USER,
+                        session_id: sessionId,
+                        resume_gateway_url: `ws://127.0.0.1:${server.address().port}/gateway`
+                    }
+                });
+            } else if (payload.op === 6) {
+                if (sessions.has(payload.d.session_id)) {
+                    send({ op: 0, s: ++sequence, t: 'RESUMED', d: null });
+                } else {
+                    send({ op: 9, d: false });
+                }
+            }
+        });
+        
+        send({ op: 10, d: { heartbeat_interval: options.heartbeatInterval || 45000 } });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    
+    return {
+        token: TOKEN,
+        botUser: BOT_USER,
+        apiUrl: `${baseUrl}/api/v10`,
+        requests: requests,
+        payloads: payloads,
+        messages: messages,
+        
+        connectionCount: () => connectionCount,
+        
+        /**
+         * Store a message in a channel's history, with Discord's defaults for the missing
+         * fields. Attachments given as { filename, content } are served for download.
+         * @returns {Object} The Discord message object
+         */
+        createMessage(fields) {
+            const id = nextId();
+            const attachments = (fields.attachments || []).map(attachment => {
+                const filePath = `/attachments/${fields.channel_id}/${id}/${encodeURIComponent(attachment.filename)}`;
+                files[filePath] = attachment.content;
+                return { id: nextId(), filename: attachment.filename, size: attachment.size || Buffer.byteLength(attachment.content), url: `${baseUrl}${filePath}` };
+            });
+            const message = {
+                type: 0,
+                content: '',
+                timestamp: new Date().toISOString(),
+                embeds: [],
+                mentions: [],
+                guild_id: '800000000000000001',
+                ...fields,
+                id: id,
+                attachments: attachments
+            };
+            channelMessages(message.channel_id).push(message);
+            return message;
+        },
+        
+        /**
+         * Send a dispatch event to every connected client
+         */
+        dispatch(type, data) {
+            sockets.forEach(socket => socket.send(JSON.stringify({ op: 0, s: ++sequence, t: type, d: data })));
+        },
+        
+        /**
+         * Answer the next sends with 429 and these retry_after values (seconds)
+         */
+        rateLimitNext(...seconds) {
+            rateLimited = seconds;
+        },
+        
+        /**
+         * Resolves once the predicate holds for the recorded requests and payloads
+         */
+        waitFor(predicate, timeout = 2000) {
+            if (predicate()) {
+                return Promise.resolve();
+            }
+            
+            return new Promise((resolve, reject) => {
+                const waiter = {
+                    check: () => {
+                        if (predicate()) {
+                            clearTimeout(timer);
+                            waiters.splice(waiters.indexOf(waiter), 1);
+                            resolve();
+                        }
+                    }
+                };
+                const timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(new Error(`Condition not met within ${timeout}ms`));
+                }, timeout);
+                waiters.push(waiter);
+            });
+        },
+        
+        /**
+         * Cut every Gateway connection without a close frame, as a network failure would
+         */
+        dropConnections() {
+            sockets.forEach(socket => socket.terminate());
+        },
+        
+        /**
+         * Close every Gateway connection with a close code, as Discord does on errors
+         */
+        closeGateway(code, reason = '') {
+            sockets.forEach(socket => socket.close(code, reason));
+        },
+        
+        /**
+         * Forget the Gateway sessions, so resuming fails and clients have to identify again
+         */
+        forgetSessions() {
+            sessions.clear();
+        },
+        
+        close() {
+            sockets.forEach(socket => socket.terminate());
+            gateway.close();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    startMockDiscordBot
+};
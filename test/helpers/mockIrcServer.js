@@ -0,0 +1,145 @@
+const net = require('net');
+
+// Just enough of an IRC server for IrcPlatform: registration (with nicks that can be
+// taken and capabilities to request), JOIN and PING. Everything clients send is kept in
+// `lines` so tests can check it, and `send()` plays server lines to the connected client.
+
+/**
+ * @param {Object} [options] - takenNicks the server refuses with 433, capabilities it grants
+ * @returns {Promise<Object>} { port, lines, connectionCount(), send(line), waitFor(pattern), waitForLines(count),
+ *                            dropConnections(), close() }
+ */
+async function startMockIrcServer(options = {}) {
+    const takenNicks = new Set((options.takenNicks || []).map(nick => nick.toLowerCase()));
+    const capabilities = options.capabilities || [];
+    const lines = [];
+    const sockets = new Set();
+    const lineWaiters = [];
+    let connectionCount = 0;
+    
+    const server = net.createServer(socket => {
+        connectionCount++;
+        sockets.add(socket);
+        socket.setEncoding('utf8');
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+        
+        const client = { nick: null, user: false, negotiating: false, welcomed: false };
+        const reply = line => socket.write(`${line}\r\n`);
+        let buffer = '';
+        
+        socket.on('data', data => {
+            buffer += data;
+            const received = buffer.split('\r\n');
+            buffer = received.pop();
+            
+            for (const line of received) {
+                lines.push(line);
+                lineWaiters.slice().forEach(waiter => waiter.check(line));
+                
+                const [command, ...params] = line.split(' ');
+                if (command === 'NICK') {
+                    if (takenNicks.has(params[0].toLowerCase())) {
+                        reply(`:mock.irc 433 ${client.nick || '*'} ${params[0]} :Nickname is already in use`);
+                        continue;
+                    }
+                    client.nick = params[0];
+                } else if (command === 'USER') {
+                    client.user = true;
+                } else if (command === 'CAP' && params[0] === 'REQ') {
+                    // Registration waits for CAP END once capabilities are negotiated
+                    const requested = params.slice(1).join(' ').replace(/^:/, '');
+                    const granted = requested.split(' ').every(capability => capabilities.includes(capability));
+                    client.negotiating = true;
+                    reply(`:mock.irc CAP ${client.nick || '*'} ${granted ? 'ACK' : 'NAK'} :${requested}`);
+                } else if (command === 'CAP' && params[0] === 'END') {
+                    client.negotiating = false;
+                } else if (command === 'JOIN') {
+                    for (const channel of params[0].split(',')) {
+                        reply(`:${client.nick}!~discoagent@127.0.0.1 JOIN ${channel}`);
+                    }
+                } else if (command === 'PING') {
+                    reply(`:mock.irc PONG mock.irc ${params.join(' ')}`);
+                }
+                
+                if (client.nick && client.user && !client.negotiating && !client.welcomed) {
+                    client.welcomed = true;
+                    reply(`:mock.irc 001 ${client.nick} :Welcome to the mock IRC network ${client.nick}`);
+                }
+            }
+        });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        port: server.address().port,
+        lines: lines,
+        
+        connectionCount: () => connectionCount,
+        
+        /**
+         * Send a raw line to every connected client
+         */
+        send(line) {
+            sockets.forEach(socket => socket.write(`${line}\r\n`));
+        },
+        
+        /**
+         * Resolves with the first received line (past or future) matching the pattern
+         */
+        waitFor(pattern, timeout = 2000) {
+            const match = lines.find(line => pattern.test(line));
+            if (match) {
+                return Promise.resolve(match);
+            }
+            
+            return new Promise((resolve, reject) => {
+                const waiter = {
+                    check: line => {
+                        if (pattern.test(line)) {
+                            clearTimeout(timer);
+                            lineWaiters.splice(lineWaiters.indexOf(waiter), 1);
+                            resolve(line);
+                        }
+                    }
+                };
+                const timer = setTimeout(() => {
+                    lineWaiters.splice(lineWaiters.indexOf(waiter), 1);
+                    reject(new Error(`No line matching ${pattern} within ${timeout}ms`));
+                }, timeout);
+                lineWaiters.push(waiter);
+            });
+        },
+        
+        /**
+         * Resolves once at least `count` lines were received, for lines still on their way
+         */
+        async waitForLines(count, timeout = 2000) {
+            const deadline = Date.now() + timeout;
+            while (lines.length < count) {
+                if (Date.now() > deadline) {
+                    throw new Error(`Received ${lines.length} of ${count} lines within ${timeout}ms`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            return lines;
+        },
+        
+        /**
+         * Cut every client connection, as a server restart or network failure would
+         */
+        dropConnections() {
+            sockets.forEach(socket => socket.destroy());
+        },
+        
+        close() {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    startMockIrcServer
+};
@@ -0,0 +1,79 @@
+const http = require('http');
+
+// Just enough of an OpenAI-compatible chat completions server for OpenAICompatibleAgent.
+// Every request body is kept in `requests`; answers are scripted with reply() and
+// default to echoing the last user message with a small token usage.
+
+/**
+ * @returns {Promise<Object>} { baseUrl, requests, reply({ status, body, content, usage, delay }), close() }
+ */
+async function startMockModelServer() {
+    const requests = [];
+    const replies = [];
+    const sockets = new Set();
+    
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString()) : null;
+        requests.push({ method: req.method, path: req.url, headers: req.headers, body: body });
+        
+        if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: `No route for ${req.method} ${req.url}` } }));
+            return;
+        }
+        
+        const lastUserMessage = body.messages.filter(message => message.role === 'user').pop();
+        const reply = replies.shift() || {};
+        if (reply.delay) {
+            await new Promise(resolve => setTimeout(resolve, reply.delay));
+        }
+        if (res.destroyed) {
+            return;
+        }
+        
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+        res.end(reply.body !== undefined ? reply.body : JSON.stringify({
+            id: `chatcmpl-${requests.length}`,
+            object: 'chat.completion',
+            model: body.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: reply.content || `Echo: ${lastUserMessage.content}` },
+                finish_reason: 'stop'
+            }],
+            usage: reply.usage || { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+        }));
+    });
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        requests: requests,
+        
+        /**
+         * Script the next answer: an HTTP status with a raw body, or the content and usage
+         * of a normal completion, optionally after a delay (ms)
+         */
+        reply(answer) {
+            replies.push(answer);
+        },
+        
+        close() {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    startMockModelServer
+};
@@ -0,0 +1,9 @@
+/**
+ * Logger that drops everything, for the components that take one
+ */
+function silentLogger() {
+    const noop = () => {};
+    return { info: noop, warn: noop, error: noop, debug: noop };
+}
+
+module.exports = silentLogger;
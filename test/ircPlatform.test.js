@@ -0,0 +1,329 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const IrcPlatform = require('../IrcPlatform');
+const ChatOrchestrator = require('../ChatOrchestrator');
+const { startMockIrcServer } = require('./helpers/mockIrcServer');
+const silentLogger = require('./helpers/silentLogger');
+
+function createPlatform(server, config = {}) {
+    return new IrcPlatform({
+        ircServer: '127.0.0.1',
+        ircPort: server.port,
+        ircNick: 'DiscoBot',
+        ircChannels: ['#general', '#random'],
+        ircLineDelay: 0,
+        ircReconnectDelay: 20,
+        ircConnectTimeout: 2000,
+        ...config
+    }, silentLogger());
+}
+
+/**
+ * Wait until the platform has received this many messages, then take them
+ */
+async function receive(platform, count) {
+    const deadline = Date.now() + 2000;
+    while (platform.receivedMessages.length < count && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return await platform.getNewMessages();
+}
+
+describe('IrcPlatform', () => {
+    let server;
+    let platform;
+    
+    beforeEach(async () => {
+        server = await startMockIrcServer({ takenNicks: ['TakenBot'] });
+    });
+    
+    afterEach(async () => {
+        if (platform) {
+            await platform.cleanup();
+            platform = null;
+        }
+        await server.close();
+    });
+    
+    describe('connecting', () => {
+        it('registers and joins every configured channel', async () => {
+            platform = createPlatform(server, { ircPassword: 'secret' });
+            
+            await platform.initialize();
+            await server.waitFor(/^JOIN/);
+            
+            assert.deepEqual(server.lines.slice(0, 4), [
+                'PASS secret',
+                'NICK DiscoBot',
+                'USER discoagent 0 * :DiscoAgent',
+                'JOIN #general,#random'
+            ]);
+            assert.deepEqual(platform.getChannelStates().map(state => state.target), ['#general', '#random']);
+        });
+        
+        it('picks another nick when the preferred one is taken', async () => {
+            platform = createPlatform(server, { ircNick: 'TakenBot' });
+            
+            await platform.initialize();
+            
+            assert.equal(platform.nick, 'TakenBot_');
+            assert.ok(platform.isOwnMessage({ author: 'takenbot_' }));
+            assert.ok(!platform.isOwnMessage({ author: 'TakenBot' }));
+        });
+        
+        it('answers server pings', async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+            
+            server.send('PING :mock.irc-1234');
+            
+            assert.equal(await server.waitFor(/^PONG/), 'PONG :mock.irc-1234');
+        });
+        
+        it('fails to start when no server answers', async () => {
+            const port = server.port;
+            await server.close();
+            platform = new IrcPlatform({ ircServer: '127.0.0.1', ircPort: port, ircChannels: ['#general'], ircReconnectDelay: 20, ircConnectTimeout: 300 }, silentLogger());
+            
+            await assert.rejects(platform.initialize(), /Not connected to IRC server 127\.0\.0\.1/);
+            assert.ok(platform.reconnectAttempts > 0);
+            server = await startMockIrcServer();
+        });
+    });
+    
+    describe('receiving', () => {
+        beforeEach(async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+        });
+        
+        it('turns channel PRIVMSGs into messages', async () => {
+            server.send(':alice!~alice@example.com PRIVMSG #general :Can someone help with the deploy?');
+            server.send('@time=2026-10-19T08:30:00.000Z :bob!~bob@example.com PRIVMSG #RANDOM :\x02Lunch\x02 at \x0304noon\x03?');
+            
+            const messages = await receive(platform, 2);
+            
+            assert.deepEqual(messages.map(({ author, content, channel }) => ({ author, content, channel })), [
+                { author: 'alice', content: 'Can someone help with the deploy?', channel: '#general' },
+                { author: 'bob', content: 'Lunch at noon?', channel: '#random' }
+            ]);
+            assert.match(messages[0].id, /^irc-\d+$/);
+            assert.ok(BigInt(messages[1].id.replace('irc-', '')) > BigInt(messages[0].id.replace('irc-', '')));
+            assert.ok(!Number.isNaN(Date.parse(messages[0].timestamp)));
+            assert.equal(messages[1].timestamp, '2026-10-19T08:30:00.000Z');
+        });
+        
+        it('keeps /me actions and drops other CTCP queries and notices', async () => {
+            server.send(':alice!~alice@example.com PRIVMSG #general :\x01VERSION\x01');
+            server.send(':alice!~alice@example.com NOTICE #general :Server maintenance at 10');
+            server.send(':alice!~alice@example.com PRIVMSG #general :\x01ACTION waves\x01');
+            
+            const messages = await receive(platform, 1);
+            
+            assert.deepEqual(messages.map(message => message.content), ['* alice waves']);
+        });
+        
+        it('treats private messages as a conversation with the sender', async () => {
+            server.send(':carol!~carol@example.com PRIVMSG DiscoBot :Quick private question');
+            
+            const [message] = await receive(platform, 1);
+            
+            assert.equal(message.channel, 'carol');
+            assert.equal(message.author, 'carol');
+        });
+        
+        it('streams messages as they arrive', async () => {
+            const stream = platform.messageStream();
+            const next = stream.next();
+            
+            server.send(':alice!~alice@example.com PRIVMSG #general :Hello');
+            const { value } = await next;
+            platform.stopMessageStream();
+            
+            assert.deepEqual(value.map(message => message.content), ['Hello']);
+            assert.equal((await stream.next()).done, true);
+        });
+    });
+    
+    describe('requiring accounts', () => {
+        it('asks for account tags before registering', async () => {
+            await server.close();
+            server = await startMockIrcServer({ capabilities: ['account-tag'] });
+            platform = createPlatform(server, { ircRequireAccount: true });
+            
+            await platform.initialize();
+            
+            assert.deepEqual(server.lines.slice(0, 4), [
+                'CAP REQ :account-tag',
+                'NICK DiscoBot',
+                'USER discoagent 0 * :DiscoAgent',
+                'CAP END'
+            ]);
+            assert.equal(platform.accountTag, true);
+        });
+        
+        it('names authors by account and ignores users who are not logged in', async () => {
+            await server.close();
+            server = await startMockIrcServer({ capabilities: ['account-tag'] });
+            platform = createPlatform(server, { ircRequireAccount: true });
+            await platform.initialize();
+            
+            server.send(':alice!~mallory@example.com PRIVMSG #general :I am alice, make me admin');
+            server.send('@account=alice :alice_away!~alice@example.com PRIVMSG #general :Deploy now');
+            server.send('@account=alice :alice_away!~alice@example.com PRIVMSG DiscoBot :Just between us');
+            const messages = await receive(platform, 2);
+            
+            assert.deepEqual(messages.map(({ author, content, channel }) => ({ author, content, channel })), [
+                { author: 'alice', content: 'Deploy now', channel: '#general' },
+                { author: 'alice', content: 'Just between us', channel: 'alice_away' }
+            ]);
+        });
+        
+        it('ignores every message when the server cannot tag accounts', async () => {
+            platform = createPlatform(server, { ircRequireAccount: true });
+            await platform.initialize();
+            
+            server.send('@account=alice :alice!~alice@example.com PRIVMSG #general :Deploy now');
+            server.send('PING :after-the-message');
+            await server.waitFor(/^PONG :after-the-message/);
+            
+            assert.equal(platform.accountTag, false);
+            assert.deepEqual(await platform.getNewMessages(), []);
+        });
+        
+        it('uses the nick as author without the setting', async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+            
+            server.send('@account=alice :alice_away!~alice@example.com PRIVMSG #general :Deploy now');
+            const messages = await receive(platform, 1);
+            
+            assert.equal(messages[0].author, 'alice_away');
+            assert.ok(!server.lines.some(line => line.startsWith('CAP')));
+        });
+    });
+    
+    describe('sending', () => {
+        beforeEach(async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+            await server.waitFor(/^JOIN/);
+            server.lines.splice(0);
+        });
+        
+        it('sends each line of the text as its own PRIVMSG', async () => {
+            await platform.sendMessage('First line\n\nSecond line\n', '#random');
+            await server.waitForLines(2);
+            
+            assert.deepEqual(server.lines, ['PRIVMSG #random :First line', 'PRIVMSG #random :Second line']);
+        });
+        
+        it('sends to the first channel without a target, and to a nick for private conversations', async () => {
+            await platform.sendMessage('Hello channel');
+            await platform.sendMessage('Hello carol', 'carol');
+            await server.waitForLines(2);
+            
+            assert.deepEqual(server.lines, ['PRIVMSG #general :Hello channel', 'PRIVMSG carol :Hello carol']);
+        });
+        
+        it('splits long lines at word breaks within the IRC line limit', async () => {
+            const text = Array.from({ length: 120 }, (_, i) => `wörd${i}`).join(' ') + ' ' + '🙂'.repeat(150);
+            
+            await platform.sendMessage(text, '#general');
+            await server.waitFor(/🙂$/);
+            const relayPrefix = `:DiscoBot!~discoagent@${'h'.repeat(63)} `;
+            
+            assert.ok(server.lines.length > 2);
+            for (const line of server.lines) {
+                assert.ok(Buffer.byteLength(relayPrefix + line + '\r\n') <= 512, `too long: ${line.length} characters`);
+                assert.ok(!line.includes('�'));
+            }
+            const sent = server.lines.map(line => line.replace('PRIVMSG #general :', ''));
+            assert.equal(sent.join('').replace(/ /g, ''), text.replace(/ /g, ''));
+            assert.match(sent[0], / wörd\d+$/);
+            assert.match(sent[1], /^wörd\d+ /);
+        });
+        
+        it('keeps lines of concurrent messages together', async () => {
+            await Promise.all([
+                platform.sendMessage('a1\na2\na3', '#general'),
+                platform.sendMessage('b1\nb2', '#general')
+            ]);
+            await server.waitForLines(5);
+            
+            assert.deepEqual(server.lines.map(line => line.split(':')[1]), ['a1', 'a2', 'a3', 'b1', 'b2']);
+        });
+        
+        it('paces lines to stay under flood limits', async () => {
+            platform.lineDelay = 100;
+            const startedAt = Date.now();
+            
+            await platform.sendMessage('one\ntwo\nthree', '#general');
+            
+            assert.ok(Date.now() - startedAt >= 200);
+        });
+    });
+    
+    describe('reconnecting', () => {
+        it('reconnects and rejoins after the connection drops', async () => {
+            platform = createPlatform(server);
+            await platform.initialize();
+            await server.waitFor(/^JOIN/);
+            server.lines.splice(0);
+            
+            server.dropConnections();
+            await server.waitFor(/^JOIN/);
+            server.send(':alice!~alice@example.com PRIVMSG #general :Still there?');
+            
+            assert.equal(server.connectionCount(), 2);
+            assert.deepEqual((await receive(platform, 1)).map(message => message.content), ['Still there?']);
+            assert.equal(platform.reconnectAttempts, 0);
+        });
+        
+        it('sends queued replies once reconnected', async () => {
+            platform = createPlatform(server, { ircReconnectDelay: 200 });
+            await platform.initialize();
+            await server.waitFor(/^JOIN/);
+            
+            server.dropConnections();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await platform.sendMessage('Sorry, I was away', '#general');
+            await server.waitFor(/^PRIVMSG/);
+            
+            assert.equal(server.connectionCount(), 2);
+        });
+        
+        it('doubles the wait after every failed attempt, up to the maximum', () => {
+            platform = null;
+            const backoff = createPlatform(server, { ircReconnectDelay: 1000, ircMaxReconnectDelay: 30000 });
+            
+            const delays = [0, 1, 2, 3, 4, 5, 6].map(attempts => {
+                backoff.reconnectAttempts = attempts;
+                return backoff.getReconnectDelay();
+            });
+            
+            assert.deepEqual(delays, [1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+        });
+    });
+    
+    it('answers channel messages through the orchestrator', async () => {
+        platform = createPlatform(server);
+        await platform.initialize();
+        await server.waitFor(/^JOIN/);
+        const agent = {
+            async loadSessions() {},
+            async processMessage(message) {
+                return { result: `You said: ${message.content}`, cost: 0 };
+            },
+            formatResponse: (author, cost, result) => `${author}: ${result}`,
+            formatError: (author, error) => `${author}: ${error}`
+        };
+        const orchestrator = new ChatOrchestrator(platform, agent, silentLogger(), { coalesceWindow: 0 });
+        
+        server.send(':alice!~alice@example.com PRIVMSG #random :ping?');
+        await orchestrator.handleMessages(await receive(platform, 1));
+        await orchestrator.workQueue.onIdle();
+        
+        assert.equal(await server.waitFor(/^PRIVMSG #random/), 'PRIVMSG #random :alice: You said: ping?');
+    });
+});
@@ -0,0 +1,185 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MessageSplitter = require('../MessageSplitter');
+
+function codeBlock(language, lineCount) {
+    const lines = Array.from({ length: lineCount }, (_, i) => `const value${i} = compute(${i});`);
+    return ['```' + language, ...lines, '```'].join('\n');
+}
+
+function assertWithinLimit(chunks, maxLength) {
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= maxLength, `chunk of ${chunk.length} characters`);
+    }
+}
+
+describe('MessageSplitter', () => {
+    it('returns short text as it is', () => {
+        assert.deepEqual(MessageSplitter.split('Hello **there**'), ['Hello **there**']);
+    });
+    
+    it('keeps paragraphs whole and starts a new chunk when the next one does not fit', () => {
+        const first = 'a'.repeat(120);
+        const second = 'b'.repeat(120);
+        
+        const chunks = MessageSplitter.split(`${first}\n\n${second}`, { maxLength: 200 });
+        
+        assert.deepEqual(chunks, [first, second]);
+    });
+    
+    describe('code blocks', () => {
+        it('closes the fence in each chunk and reopens it with the language tag', () => {
+            const block = codeBlock('javascript', 200);
+            
+            const chunks = MessageSplitter.split(block);
+            
+            assert.ok(chunks.length > 2);
+            assertWithinLimit(chunks, 2000);
+            for (const chunk of chunks) {
+                assert.ok(chunk.startsWith('```javascript\n'), chunk.substring(0, 20));
+                assert.ok(chunk.endsWith('\n```'));
+            }
+            const code = chunks.map(chunk => chunk.replace(/^```javascript\n/, '').replace(/\n```$/, '')).join('\n');
+            assert.equal(code, block.split('\n').slice(1, -1).join('\n'));
+        });
+        
+        it('reopens ~~~ fences and unclosed fences too', () => {
+            const tilde = ['~~~python', ...Array.from({ length: 40 }, (_, i) => `print(${i})`), '~~~'].join('\n');
+            const unclosed = ['```sh', ...Array.from({ length: 40 }, (_, i) => `echo ${i}`)].join('\n');
+            
+            const tildeChunks = MessageSplitter.split(tilde, { maxLength: 200 });
+            const unclosedChunks = MessageSplitter.split(unclosed, { maxLength: 200 });
+            
+            assert.ok(tildeChunks.every(chunk => chunk.startsWith('~~~python\n') && chunk.endsWith('\n~~~')));
+            assert.ok(unclosedChunks.every(chunk => chunk.startsWith('```sh\n') && chunk.endsWith('\n```')));
+        });
+        
+        it('starts a long code block in the chunk holding the text before it', () => {
+            const block = codeBlock('js', 200);
+            
+            const chunks = MessageSplitter.split(`intro\n\n${block}`);
+            
+            assert.ok(chunks[0].startsWith('intro\n\n```js\nconst value0'));
+            assert.ok(chunks[0].endsWith('\n```'));
+            assertWithinLimit(chunks, 2000);
+            assert.ok(chunks.slice(0, -1).every(chunk => chunk.length > 1900));
+        });
+        
+        it('splits a block whose opening line is longer than a chunk as plain text', () => {
+            const text = '```' + 'x'.repeat(2018) + '\n ';
+            
+            const chunks = MessageSplitter.split(text);
+            
+            assertWithinLimit(chunks, 2000);
+            assert.equal(chunks.join(''), text);
+            assert.ok(chunks[0].startsWith('```xxx'));
+        });
+        
+        it('does not treat ```inline``` code on one line as a fence', () => {
+            const text = `Run \`\`\`npm test\`\`\` first.\n\n${'word '.repeat(60).trim()}`;
+            
+            const chunks = MessageSplitter.split(text, { maxLength: 200 });
+            
+            assert.ok(chunks[0].startsWith('Run ```npm test``` first.\n\nword'));
+            assert.ok(chunks.every(chunk => !chunk.endsWith('```')));
+        });
+    });
+    
+    describe('lists and quotes', () => {
+        it('keeps a list together in the next chunk when it fits there', () => {
+            const intro = 'x'.repeat(150);
+            const list = ['- first item', '- second item', '  continued', '1. numbered', '2) also numbered'].join('\n');
+            
+            const chunks = MessageSplitter.split(`${intro}\n${list}`, { maxLength: 200 });
+            
+            assert.deepEqual(chunks, [intro, list]);
+        });
+        
+        it('splits a list longer than a chunk between items', () => {
+            const items = Array.from({ length: 30 }, (_, i) => `- item number ${i}`);
+            
+            const chunks = MessageSplitter.split(items.join('\n'), { maxLength: 100 });
+            
+            assertWithinLimit(chunks, 100);
+            assert.ok(chunks.every(chunk => chunk.split('\n').every(line => /^- item number \d+$/.test(line))));
+            assert.equal(chunks.join('\n'), items.join('\n'));
+        });
+        
+        it('keeps > quotes together', () => {
+            const intro = 'y'.repeat(180);
+            const quote = ['> quoted one', '> quoted two'].join('\n');
+            
+            const chunks = MessageSplitter.split(`${intro}\n${quote}`, { maxLength: 200 });
+            
+            assert.deepEqual(chunks, [intro, quote]);
+        });
+        
+        it('repeats >>> at the start of every chunk of a block quote', () => {
+            const lines = Array.from({ length: 40 }, (_, i) => `quoted line ${i}`);
+            
+            const chunks = MessageSplitter.split(`>>> ${lines.join('\n')}`, { maxLength: 200 });
+            
+            assert.ok(chunks.length > 1);
+            assertWithinLimit(chunks, 200);
+            assert.ok(chunks.every(chunk => chunk.startsWith('>>> ')));
+        });
+    });
+    
+    describe('long lines', () => {
+        it('wraps at word boundaries without losing text', () => {
+            const line = Array.from({ length: 100 }, (_, i) => `word${i}`).join(' ');
+            
+            const chunks = MessageSplitter.split(line, { maxLength: 100 });
+            
+            assertWithinLimit(chunks, 100);
+            assert.equal(chunks.join(''), line);
+            for (const chunk of chunks.slice(0, -1)) {
+                assert.match(chunk, /word\d+ $/);
+            }
+        });
+        
+        it('starts wrapping right after the text before the line', () => {
+            const line = 'word '.repeat(100).trim();
+            
+            const chunks = MessageSplitter.split(`intro\n\n${line}`, { maxLength: 200 });
+            
+            assert.ok(chunks[0].startsWith('intro\n\nword word'));
+            assert.ok(chunks[0].length > 190);
+            assert.equal(chunks.join(''), `intro\n\n${line}`);
+        });
+        
+        it('cuts words longer than a chunk without splitting surrogate pairs', () => {
+            const line = '🙂'.repeat(150);
+            
+            const chunks = MessageSplitter.split(line, { maxLength: 101 });
+            
+            assertWithinLimit(chunks, 101);
+            assert.equal(chunks.join(''), line);
+            assert.ok(chunks.every(chunk => !/[\uD800-\uDBFF]$/.test(chunk)));
+        });
+    });
+    
+    describe('wrapLine()', () => {
+        it('refuses a limit too small to make progress', () => {
+            assert.throws(() => MessageSplitter.wrapLine('some text', 0), RangeError);
+            assert.throws(() => MessageSplitter.wrapLine('some text', -5), RangeError);
+            assert.throws(() => MessageSplitter.wrapLine('🙂🙂', 1), RangeError);
+        });
+    });
+    
+    describe('markers', () => {
+        it('numbers the chunks and still fits the limit', () => {
+            const text = Array.from({ length: 3 }, (_, i) => `Paragraph ${i + 1} ${'word '.repeat(50).trim()}`).join('\n\n');
+            
+            const chunks = MessageSplitter.split(text, { maxLength: 300, markers: true });
+            
+            assert.equal(chunks.length, 3);
+            assertWithinLimit(chunks, 300);
+            assert.deepEqual(chunks.map(chunk => chunk.split('\n').pop()), ['(1/3)', '(2/3)', '(3/3)']);
+        });
+        
+        it('leaves a single chunk unmarked', () => {
+            assert.deepEqual(MessageSplitter.split('Short answer', { markers: true }), ['Short answer']);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Metrics = require('../Metrics');
+
+/**
+ * Sample lines of one metric, without its HELP and TYPE comments
+ */
+function samples(metrics, name) {
+    return metrics.render().split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `) || line.startsWith(`${name}_`));
+}
+
+describe('Metrics', () => {
+    describe('render()', () => {
+        it('declares every metric, even before anything has happened', () => {
+            const text = new Metrics().render();
+            
+            assert.ok(text.endsWith('\n'));
+            assert.ok(text.includes('# HELP discoagent_messages_scraped_total New messages read from the chat platform\n'));
+            assert.ok(text.includes('# TYPE discoagent_messages_scraped_total counter\n'));
+            assert.ok(text.includes('# TYPE discoagent_agent_duration_seconds histogram\n'));
+        });
+        
+        it('shows unlabeled counters at zero, but no labeled series until they are counted', () => {
+            const metrics = new Metrics();
+            
+            assert.deepEqual(samples(metrics, 'discoagent_chunks_sent_total'), ['discoagent_chunks_sent_total 0']);
+            assert.deepEqual(samples(metrics, 'discoagent_loop_errors_total'), ['discoagent_loop_errors_total 0']);
+            assert.deepEqual(samples(metrics, 'discoagent_messages_skipped_total'), []);
+        });
+        
+        it('adds up counters per label set, with labels in declaration order', () => {
+            const metrics = new Metrics();
+            
+            metrics.inc('discoagent_messages_skipped_total', { reason: 'own' });
+            metrics.inc('discoagent_messages_skipped_total', { reason: 'filtered' });
+            metrics.inc('discoagent_messages_skipped_total', { reason: 'own' });
+            metrics.inc('discoagent_agent_errors_total', { type: 'timeout', agent: 'claude' });
+            metrics.inc('discoagent_cost_usd_total', { channel: 'general' }, 0.25);
+            metrics.inc('discoagent_cost_usd_total', { channel: 'general' }, 0.5);
+            metrics.inc('discoagent_chunks_sent_total', {}, 3);
+            
+            assert.deepEqual(samples(metrics, 'discoagent_messages_skipped_total'), [
+                'discoagent_messages_skipped_total{reason="own"} 2',
+                'discoagent_messages_skipped_total{reason="filtered"} 1'
+            ]);
+            assert.deepEqual(samples(metrics, 'discoagent_agent_errors_total'), [
+                'discoagent_agent_errors_total{agent="claude",type="timeout"} 1'
+            ]);
+            assert.deepEqual(samples(metrics, 'discoagent_cost_usd_total'), ['discoagent_cost_usd_total{channel="general"} 0.75']);
+            assert.deepEqual(samples(metrics, 'discoagent_chunks_sent_total'), ['discoagent_chunks_sent_total 3']);
+        });
+        
+        it('renders histograms as cumulative buckets with sum and count', () => {
+            const metrics = new Metrics();
+            
+            metrics.observe('discoagent_agent_duration_seconds', 0.5, { agent: 'claude' });
+            metrics.observe('discoagent_agent_duration_seconds', 3, { agent: 'claude' });
+            metrics.observe('discoagent_agent_duration_seconds', 700, { agent: 'claude' });
+            
+            assert.deepEqual(samples(metrics, 'discoagent_agent_duration_seconds'), [
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="1"} 1',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="2"} 1',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="5"} 2',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="10"} 2',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="30"} 2',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="60"} 2',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="120"} 2',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="300"} 2',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="600"} 2',
+                'discoagent_agent_duration_seconds_bucket{agent="claude",le="+Inf"} 3',
+                'discoagent_agent_duration_seconds_sum{agent="claude"} 703.5',
+                'discoagent_agent_duration_seconds_count{agent="claude"} 3'
+            ]);
+        });
+        
+        it('escapes backslashes, quotes and newlines in label values', () => {
+            const metrics = new Metrics();
+            
+            metrics.inc('discoagent_messages_scraped_total', { channel: 'C:\\chat "main"\nsecond line' });
+            
+            assert.deepEqual(samples(metrics, 'discoagent_messages_scraped_total'), [
+                'discoagent_messages_scraped_total{channel="C:\\\\chat \\"main\\"\\nsecond line"} 1'
+            ]);
+        });
+        
+        it('renders missing label values as empty strings', () => {
+            const metrics = new Metrics();
+            
+            metrics.inc('discoagent_agent_errors_total', { agent: 'gemini' });
+            
+            assert.deepEqual(samples(metrics, 'discoagent_agent_errors_total'), ['discoagent_agent_errors_total{agent="gemini",type=""} 1']);
+        });
+    });
+    
+    it('refuses metrics that are not declared or of another type', () => {
+        const metrics = new Metrics();
+        
+        assert.throws(() => metrics.inc('discoagent_unknown_total'), /Unknown counter metric: discoagent_unknown_total/);
+        assert.throws(() => metrics.observe('discoagent_chunks_sent_total', 1), /Unknown histogram metric: discoagent_chunks_sent_total/);
+    });
+});
@@ -0,0 +1,195 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const OpenAICompatibleAgent = require('../agents/OpenAICompatibleAgent');
+const { startMockModelServer } = require('./helpers/mockModelServer');
+const silentLogger = require('./helpers/silentLogger');
+
+// OpenAICompatibleAgent talks to a real HTTP server on a free local port, inside a scratch
+// folder so agent.log and the session file never touch the checkout.
+
+const CHANNEL = 'https://discord.com/channels/1/2';
+const CHANNEL_KEY = 'https___discord_com_channels_1_2';
+const OTHER_CHANNEL = 'https://discord.com/channels/1/3';
+
+function message(content, channel = CHANNEL) {
+    return { id: 'message-content-1', author: 'alice', content: content, channel: channel };
+}
+
+describe('OpenAICompatibleAgent', () => {
+    let originalCwd;
+    let workDir;
+    let server;
+    
+    before(async () => {
+        originalCwd = process.cwd();
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-openai-test-'));
+        process.chdir(workDir);
+    });
+    
+    after(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    beforeEach(async () => {
+        await fs.rm(path.join(workDir, 'sessions.json'), { force: true });
+        server = await startMockModelServer();
+    });
+    
+    afterEach(async () => {
+        await server.close();
+    });
+    
+    function createAgent(config = {}) {
+        const agent = new OpenAICompatibleAgent({
+            openaiBaseUrl: server.baseUrl,
+            openaiModel: 'test-model',
+            sessionFile: path.join(workDir, 'sessions.json'),
+            outboxDir: path.join(workDir, 'outbox'),
+            ...config
+        });
+        agent.logger = silentLogger();
+        return agent;
+    }
+    
+    describe('processMessage()', () => {
+        it('posts the model, the system prompt and the message to /chat/completions', async () => {
+            const agent = createAgent({ openaiSystemPrompt: 'You are terse.', openaiApiKey: 'secret' });
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(server.requests.length, 1);
+            const request = server.requests[0];
+            assert.equal(request.headers.authorization, 'Bearer secret');
+            assert.equal(request.body.model, 'test-model');
+            assert.deepEqual(request.body.messages.map(entry => entry.role), ['system', 'user']);
+            assert.equal(request.body.messages[0].content, 'You are terse.');
+            assert.match(request.body.messages[1].content, /Hello/);
+            assert.equal(response.isError, false);
+            assert.match(response.result, /^Echo: .*Hello/s);
+        });
+        
+        it('calculates the cost from the token usage', async () => {
+            server.reply({ content: 'Priced', usage: { prompt_tokens: 2000, completion_tokens: 500 } });
+            const agent = createAgent({ openaiPromptPrice: 3, openaiCompletionPrice: 15 });
+            
+            const response = await agent.processMessage(message('How much?'));
+            
+            assert.equal(response.result, 'Priced');
+            assert.equal(response.cost, (2000 * 3 + 500 * 15) / 1000000);
+        });
+        
+        it('returns an error with the status and body of a failed request', async () => {
+            server.reply({ status: 503, body: 'model is loading' });
+            const agent = createAgent();
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.isError, true);
+            assert.equal(response.cost, 0);
+            assert.equal(response.result, 'Model server returned HTTP 503: model is loading');
+            assert.equal(agent.getSessionId(CHANNEL), null);
+        });
+        
+        it('gives up on a server that answers too slowly', async () => {
+            server.reply({ delay: 1000 });
+            const agent = createAgent({ openaiTimeout: 50 });
+            
+            const response = await agent.processMessage(message('Hello'));
+            
+            assert.equal(response.isError, true);
+            assert.equal(response.result, 'Model request timed out. The query might be too complex.');
+        });
+    });
+    
+    describe('conversation history', () => {
+        it('sends earlier turns of the same channel only', async () => {
+            const agent = createAgent({ openaiSystemPrompt: 'System' });
+            
+            await agent.processMessage(message('First'));
+            await agent.processMessage(message('Elsewhere', OTHER_CHANNEL));
+            await agent.processMessage(message('Second'));
+            
+            const roles = server.requests.map(request => request.body.messages.map(entry => entry.role));
+            assert.deepEqual(roles, [
+                ['system', 'user'],
+                ['system', 'user'],
+                ['system', 'user', 'assistant', 'user']
+            ]);
+            const third = server.requests[2].body.messages;
+            assert.match(third[1].content, /First/);
+            assert.match(third[2].content, /^Echo: .*First/s);
+            assert.ok(third.every(entry => !entry.content.includes('Elsewhere')));
+            assert.notEqual(agent.getSessionId(CHANNEL), agent.getSessionId(OTHER_CHANNEL));
+        });
+        
+        it('keeps only the last maxHistory messages', async () => {
+            const agent = createAgent({ openaiMaxHistory: 4 });
+            
+            for (const content of ['One', 'Two', 'Three', 'Four']) {
+                await agent.processMessage(message(content));
+            }
+            
+            const history = agent.sessions[CHANNEL_KEY].messages;
+            assert.equal(history.length, 4);
+            assert.match(history[0].content, /Three/);
+            assert.match(history[3].content, /^Echo: .*Four/s);
+            // The last request carried the four messages kept after the third turn plus the new one
+            assert.equal(server.requests[3].body.messages.length, 5);
+            assert.match(server.requests[3].body.messages[0].content, /Two/);
+        });
+        
+        it('saves the history to the session file and loads it again', async () => {
+            const agent = createAgent();
+            await agent.processMessage(message('Remember me'));
+            await agent.saving;
+            
+            const saved = JSON.parse(await fs.readFile(path.join(workDir, 'sessions.json'), 'utf8'));
+            assert.equal(saved[CHANNEL_KEY].id, agent.getSessionId(CHANNEL));
+            assert.equal(saved[CHANNEL_KEY].messages.length, 2);
+            
+            const restarted = createAgent();
+            await restarted.loadSessions();
+            await restarted.processMessage(message('Who am I?'));
+            
+            assert.equal(restarted.getSessionId(CHANNEL), agent.getSessionId(CHANNEL));
+            assert.match(server.requests[1].body.messages[0].content, /Remember me/);
+        });
+        
+        it('forgets the conversation when its session is cleared', async () => {
+            const agent = createAgent();
+            await agent.processMessage(message('Remember me'));
+            
+            await agent.clearSession(CHANNEL);
+            await agent.processMessage(message('Who am I?'));
+            
+            assert.equal(server.requests[1].body.messages.length, 1);
+            assert.deepEqual(Object.keys(agent.sessions), [CHANNEL_KEY]);
+        });
+        
+        it('keeps one conversation per channel whatever sandbox profile it is given', async () => {
+            const agent = createAgent();
+            const profile = { name: 'web', allowedTools: [], disallowedTools: [], permissionMode: null, workingDir: null };
+            
+            await agent.processMessage(message('Hello'), { profile: profile });
+            
+            assert.equal(agent.supportsProfiles, false);
+            assert.deepEqual(Object.keys(agent.sessions), [CHANNEL_KEY]);
+            assert.equal(agent.getSessionId(CHANNEL, profile), null);
+            assert.equal(typeof agent.getSessionId(CHANNEL), 'string');
+        });
+        
+        it('starts fresh for every message without conversation mode', async () => {
+            const agent = createAgent({ useConversationMode: false });
+            
+            await agent.processMessage(message('First'));
+            await agent.processMessage(message('Second'));
+            
+            assert.equal(server.requests[1].body.messages.length, 1);
+            assert.equal(agent.getSessionId(CHANNEL), null);
+        });
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SelectorProfile = require('../SelectorProfile');
+const silentLogger = require('./helpers/silentLogger');
+
+/**
+ * Just the parts of a Playwright page selfTest() and writeDiagnostics() use, answering
+ * locator counts from a selector -> count map. Selectors not in the map match nothing.
+ */
+function fakePage(url, counts, { messagesShown = true } = {}) {
+    return {
+        url: () => url,
+        evaluate: async () => messagesShown,
+        locator: selector => ({
+            count: async () => {
+                if (selector.includes('!!')) {
+                    throw new Error(`Unexpected token "!!" while parsing selector "${selector}"`);
+                }
+                return counts[selector] || 0;
+            }
+        }),
+        content: async () => '<html><body>saved page</body></html>',
+        screenshot: async ({ path: file }) => fs.writeFile(file, 'png')
+    };
+}
+
+// What the default profile's first selectors match on a server channel with messages
+const HEALTHY_CHANNEL = {
+    '[data-list-id="chat-messages"]': 1,
+    'li[id^="chat-messages-"]': 7,
+    '[id^="message-content-"]': 7,
+    '[id^="chat-messages-"]': 14,
+    '[id^="message-username-"]': 5,
+    '.username_c19a55': 5,
+    'time': 7,
+    '[data-slate-editor="true"]': 1,
+    '[data-list-id="channels"]': 1
+};
+
+describe('SelectorProfile', () => {
+    let dir;
+    
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-selectors-'));
+    });
+    
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+    
+    async function loadProfile(data) {
+        const file = path.join(dir, 'profile.json');
+        await fs.writeFile(file, typeof data === 'string' ? data : JSON.stringify(data));
+        const profile = new SelectorProfile({ selectorProfileFile: file, diagnosticsDir: path.join(dir, 'diagnostics') }, silentLogger());
+        await profile.load();
+        return profile;
+    }
+    
+    describe('load()', () => {
+        it('uses the built-in profile without a file', async () => {
+            const profile = new SelectorProfile({}, silentLogger());
+            await profile.load();
+            
+            assert.equal(profile.label(), 'discord-default@2026.10');
+            assert.deepEqual(profile.get('username'), ['.username_c19a55', '[id^="message-username-"] [class*="username_"]']);
+        });
+        
+        it('overrides only the roles in the file and keeps their expectations', async () => {
+            const profile = await loadProfile({
+                name: 'discord-next',
+                version: '2026.11',
+                roles: {
+                    username: ['.username_abc123'],
+                    replyPreview: { selectors: ['.repliedMessage_abc123'], expect: 'withMessages' }
+                }
+            });
+            
+            assert.equal(profile.label(), 'discord-next@2026.11');
+            assert.deepEqual(profile.roles.username, { selectors: ['.username_abc123'], expect: 'withMessages' });
+            assert.deepEqual(profile.roles.replyPreview, { selectors: ['.repliedMessage_abc123'], expect: 'withMessages' });
+            assert.deepEqual(profile.get('messageContent'), ['[id^="message-content-"]']);
+        });
+        
+        it('names an unnamed profile after its file', async () => {
+            const profile = await loadProfile({ roles: {} });
+            
+            assert.equal(profile.label(), 'profile@unversioned');
+        });
+        
+        it('rejects unknown roles, empty selector lists and unknown expectations', async () => {
+            await assert.rejects(loadProfile({ roles: { userName: ['.username'] } }), /unknown role "userName"/);
+            await assert.rejects(loadProfile({ roles: { username: [] } }), /role "username" needs a non-empty list/);
+            await assert.rejects(loadProfile({ roles: { username: ['.username', 42] } }), /role "username" needs a non-empty list/);
+            await assert.rejects(loadProfile({ roles: { username: { selectors: ['.a'], expect: 'sometimes' } } }), /unknown expect "sometimes"/);
+            await assert.rejects(loadProfile('{ "roles": '), SyntaxError);
+        });
+    });
+    
+    describe('selectors', () => {
+        it('fills placeholders and combines a role into one selector list', () => {
+            const profile = new SelectorProfile({}, silentLogger());
+            
+            assert.equal(profile.get('channelLink', { name: 'general' })[0], '[aria-label*="general" i]');
+            assert.equal(profile.any('replyPreviewContent'), '.repliedTextContent_c19a55, [class*="repliedTextContent_"]');
+            assert.equal(profile.not('replyPreviewContent'), ':not(.repliedTextContent_c19a55, [class*="repliedTextContent_"])');
+            assert.throws(() => profile.get('nope'), /Unknown selector role: nope/);
+        });
+        
+        it('gives the page every role', () => {
+            const profile = new SelectorProfile({}, silentLogger());
+            
+            const roles = profile.pageRoles();
+            
+            assert.deepEqual(Object.keys(roles), Object.keys(profile.roles));
+            assert.deepEqual(roles.messageContent, ['[id^="message-content-"]']);
+        });
+    });
+    
+    describe('selfTest()', () => {
+        it('passes when every expected role matches', async () => {
+            const profile = new SelectorProfile({}, silentLogger());
+            
+            const result = await profile.selfTest(fakePage('https://discord.com/channels/1/2', HEALTHY_CHANNEL));
+            
+            assert.equal(result.ok, true);
+            assert.equal(result.profile, 'discord-default@2026.10');
+            assert.deepEqual(result.failed, []);
+            assert.deepEqual(result.fallbacks, []);
+            assert.deepEqual(result.skipped, ['directMessageList']);
+            assert.deepEqual(result.passed.find(check => check.role === 'username'), {
+                role: 'username',
+                selectors: profile.get('username'),
+                counts: [5, 0],
+                selector: '.username_c19a55'
+            });
+        });
+        
+        it('lists roles that only matched a fallback selector', async () => {
+            const profile = new SelectorProfile({}, silentLogger());
+            const counts = { ...HEALTHY_CHANNEL, '.username_c19a55': 0, '[id^="message-username-"] [class*="username_"]': 5 };
+            
+            const result = await profile.selfTest(fakePage('https://discord.com/channels/1/2', counts));
+            
+            assert.equal(result.ok, true);
+            assert.deepEqual(result.fallbacks, ['username']);
+        });
+        
+        it('fails roles that match nothing, counting invalid selectors as no match', async () => {
+            const profile = await loadProfile({ roles: { username: ['.username_gone', 'span!!'], timestamp: ['.gone'] } });
+            
+            const result = await profile.selfTest(fakePage('https://discord.com/channels/1/2', HEALTHY_CHANNEL));
+            
+            assert.equal(result.ok, false);
+            assert.deepEqual(result.failed.map(check => check.role), ['username', 'timestamp']);
+            assert.equal(result.failed[0].counts[0], 0);
+            assert.match(result.failed[0].counts[1], /^invalid selector: Unexpected token/);
+        });
+        
+        it('only checks message roles when messages are shown, and channel lists for the kind of channel', async () => {
+            const profile = await loadProfile({ roles: { username: ['.username_gone'] } });
+            const counts = { '[data-list-id="chat-messages"]': 1, '[data-slate-editor="true"]': 1, '[aria-label*="Direct Messages" i]': 1 };
+            
+            const result = await profile.selfTest(fakePage('https://discord.com/channels/@me/3', counts, { messagesShown: false }));
+            
+            assert.equal(result.ok, true);
+            assert.equal(result.directMessage, true);
+            assert.deepEqual(result.passed.map(check => check.role), ['messageList', 'messageBox', 'directMessageList']);
+            assert.ok(result.skipped.includes('username'));
+            assert.ok(result.skipped.includes('channelList'));
+        });
+    });
+    
+    describe('writeDiagnostics()', () => {
+        it('saves a screenshot, the DOM and the report in a folder per check', async () => {
+            const profile = await loadProfile({ roles: { username: ['.username_gone'] } });
+            const page = fakePage('https://discord.com/channels/1/2', HEALTHY_CHANNEL);
+            const result = await profile.selfTest(page);
+            
+            const reportDir = await profile.writeDiagnostics(page, result, 'https://discord.com/channels/1/2');
+            
+            assert.equal(path.dirname(reportDir), path.join(dir, 'diagnostics'));
+            assert.match(path.basename(reportDir), /^\d{4}-\d\d-\d\dT[\d-]+Z-discord-com-channels-1-2$/);
+            assert.deepEqual((await fs.readdir(reportDir)).sort(), ['dom.html', 'report.json', 'screenshot.png']);
+            const report = JSON.parse(await fs.readFile(path.join(reportDir, 'report.json'), 'utf8'));
+            assert.equal(report.target, 'https://discord.com/channels/1/2');
+            assert.deepEqual(report.failed.map(check => check.role), ['username']);
+            assert.equal(await fs.readFile(path.join(reportDir, 'dom.html'), 'utf8'), '<html><body>saved page</body></html>');
+        });
+    });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const TerminalPlatform = require('../TerminalPlatform');
+const ChatOrchestrator = require('../ChatOrchestrator');
+const ClaudeAgent = require('../agents/ClaudeAgent');
+const { installFakeClaude } = require('./helpers/fakeClaude');
+const silentLogger = require('./helpers/silentLogger');
+
+/**
+ * TerminalPlatform on in-memory streams, with everything printed collected in `printed()`
+ */
+async function createTerminal(config = {}) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let printed = '';
+    output.on('data', data => { printed += data.toString(); });
+    
+    const platform = new TerminalPlatform({ terminalAuthor: 'alice', input: input, output: output, ...config }, silentLogger());
+    await platform.initialize();
+    return { platform, input, printed: () => printed };
+}
+
+describe('TerminalPlatform', () => {
+    let terminal;
+    
+    beforeEach(async () => {
+        terminal = await createTerminal();
+    });
+    
+    afterEach(async () => {
+        await terminal.platform.cleanup();
+    });
+    
+    it('turns each typed line into a message from the configured author', async () => {
+        terminal.input.write('Hello\n\n   \nSecond line\n');
+        await new Promise(resolve => setImmediate(resolve));
+        
+        const messages = await terminal.platform.getNewMessages();
+        
+        assert.deepEqual(messages.map(message => [message.author, message.channel, message.content]), [
+            ['alice', 'terminal', 'Hello'],
+            ['alice', 'terminal', 'Second line']
+        ]);
+        assert.notEqual(messages[0].id, messages[1].id);
+        assert.deepEqual(await terminal.platform.getNewMessages(), []);
+    });
+    
+    it('streams lines as they are typed', async () => {
+        const stream = terminal.platform.messageStream();
+        const next = stream.next();
+        
+        terminal.input.write('Are you there?\n');
+        const { value } = await next;
+        
+        assert.deepEqual(value.map(message => message.content), ['Are you there?']);
+        terminal.platform.stopMessageStream();
+        assert.equal((await stream.next()).done, true);
+    });
+    
+    it('prints what the bot sends', async () => {
+        const messageId = await terminal.platform.sendMessage('@alice [$0.00] Hi!');
+        
+        assert.ok(messageId);
+        assert.ok(terminal.printed().endsWith('ClaudeAgent: @alice [$0.00] Hi!\n'));
+    });
+    
+    it('uses the configured channel and bot name', async () => {
+        const custom = await createTerminal({ terminalChannel: 'prompts', botName: 'Helper' });
+        custom.input.write('Hello\n');
+        await new Promise(resolve => setImmediate(resolve));
+        
+        const [message] = await custom.platform.getNewMessages();
+        await custom.platform.sendMessage('Hi');
+        await custom.platform.cleanup();
+        
+        assert.equal(message.channel, 'prompts');
+        assert.ok(custom.printed().includes('Helper: Hi\n'));
+        assert.equal(custom.platform.isOwnMessage({ author: 'Helper' }), true);
+    });
+});
+
+describe('TerminalPlatform with the orchestrator', () => {
+    let originalCwd;
+    let workDir;
+    let fake;
+    
+    before(async () => {
+        originalCwd = process.cwd();
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-terminal-test-'));
+        process.chdir(workDir);
+    });
+    
+    after(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    beforeEach(async () => {
+        fake = await installFakeClaude();
+    });
+    
+    afterEach(async () => {
+        await fake.restore();
+    });
+    
+    async function chat(lines, config = {}) {
+        const terminal = await createTerminal();
+        const agent = new ClaudeAgent({ outboxDir: path.join(workDir, 'outbox') });
+        agent.logger = silentLogger();
+        const orchestrator = new ChatOrchestrator(terminal.platform, agent, silentLogger(), { coalesceWindow: 0, ...config });
+        
+        terminal.input.write(lines.map(line => `${line}\n`).join(''));
+        await new Promise(resolve => setImmediate(resolve));
+        const { value } = await terminal.platform.messageStream().next();
+        await orchestrator.handleMessages(value);
+        await orchestrator.workQueue.onIdle();
+        await terminal.platform.cleanup();
+        
+        return { printed: terminal.printed(), orchestrator };
+    }
+    
+    it('answers typed questions with the agent, in one session', async () => {
+        await fake.script({ result: 'First answer', sessionId: 'session-1' }, { result: 'Second answer' });
+        
+        const { printed } = await chat(['What is DiscoAgent?', 'And how do I run it?']);
+        const calls = await fake.calls();
+        
+        assert.ok(printed.includes('ClaudeAgent: @alice [$0.00] First answer\n'));
+        assert.ok(printed.includes('ClaudeAgent: @alice [$0.00] Second answer\n'));
+        assert.deepEqual(calls[1].args.slice(0, 2), ['-r', 'session-1']);
+    });
+    
+    it('runs chat commands', async () => {
+        const { printed } = await chat(['!help']);
+        
+        assert.ok(printed.includes('ClaudeAgent: @alice **Commands**'));
+        assert.deepEqual(await fake.calls(), []);
+    });
+    
+    it('applies the mention filter', async () => {
+        await fake.script({ result: 'Answer' });
+        
+        const { printed } = await chat(['no mention here', 'hey @MRIIOT'], { filterMentions: 'MRIIOT' });
+        
+        assert.equal(printed.match(/ClaudeAgent: /g).length, 1);
+        assert.equal((await fake.calls()).length, 2);
+    });
+});
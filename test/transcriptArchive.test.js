@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TranscriptArchive = require('../TranscriptArchive');
+const silentLogger = require('./helpers/silentLogger');
+
+// TranscriptArchive writes to a scratch file. Entries are written with fixed times so the
+// date filters can be checked exactly.
+
+const GENERAL = 'https://discord.com/channels/1/2';
+const RANDOM = 'https://discord.com/channels/1/4';
+
+describe('TranscriptArchive', () => {
+    let workDir;
+    let archive;
+    
+    before(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discoagent-transcripts-test-'));
+    });
+    
+    after(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+    
+    beforeEach(async () => {
+        const transcriptFile = path.join(workDir, 'transcripts.jsonl');
+        await fs.rm(transcriptFile, { force: true });
+        archive = new TranscriptArchive({ transcriptFile: transcriptFile }, silentLogger());
+    });
+    
+    function message(id, author, content, timestamp, channel = GENERAL) {
+        return { id: `message-content-${id}`, author: author, content: content, timestamp: timestamp, channel: channel };
+    }
+    
+    /**
+     * Alice and Bob over two days, in two channels
+     */
+    async function recordConversation() {
+        await archive.recordMessage(message(1, 'alice', 'When is the deploy?', '2026-10-18T09:00:00.000Z'));
+        await archive.recordMessage(message(2, 'Bob', 'Lunch at noon', '2026-10-18T23:30:00.000Z', RANDOM));
+        await archive.recordMessage(message(3, 'alice', 'Is the DEPLOY done?', '2026-10-19T08:00:00.000Z'));
+        await archive.recordMessage(message(4, 'ClaudeAgent', 'Deploy finished', '2026-10-19T08:01:00.000Z'), 'own');
+    }
+    
+    describe('recordMessage() and recordResponse()', () => {
+        it('appends one JSON line per message and response', async () => {
+            const question = { ...message(1, 'alice', 'Hello', '2026-10-19T08:00:00.000Z'), attachments: [{ filename: 'log.txt', path: '/tmp/log.txt' }] };
+            
+            await archive.recordMessage(question);
+            await archive.recordResponse(question, { text: '@alice Hi', files: [], cost: 0.25, sessionId: 'session-1', latencyMs: 1200 }, 'sent');
+            const lines = (await fs.readFile(archive.archiveFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+            
+            assert.deepEqual(lines[0], {
+                type: 'message',
+                time: '2026-10-19T08:00:00.000Z',
+                channel: GENERAL,
+                author: 'alice',
+                messageId: '1',
+                content: 'Hello',
+                attachments: ['log.txt'],
+                skipped: null
+            });
+            assert.equal(lines[1].type, 'response');
+            assert.equal(lines[1].messageId, '1');
+            assert.equal(lines[1].status, 'sent');
+            assert.equal(lines[1].latencyMs, 1200);
+            assert.equal(lines[1].content, '@alice Hi');
+        });
+        
+        it('keeps why a message was skipped', async () => {
+            await recordConversation();
+            
+            const [own] = await archive.search({ user: 'claudeagent' });
+            
+            assert.equal(own.skipped, 'own');
+        });
+    });
+    
+    describe('search()', () => {
+        it('returns nothing before anything was archived', async () => {
+            assert.deepEqual(await archive.search({ user: 'alice' }), []);
+        });
+        
+        it('matches part of the user, channel and text, ignoring case', async () => {
+            await recordConversation();
+            
+            const byUser = await archive.search({ user: 'BOB' });
+            const byChannel = await archive.search({ channel: 'channels/1/4' });
+            const byText = await archive.search({ text: 'deploy' });
+            const combined = await archive.search({ user: 'alice', text: 'done' });
+            
+            assert.deepEqual(byUser.map(entry => entry.messageId), ['2']);
+            assert.deepEqual(byChannel.map(entry => entry.messageId), ['2']);
+            assert.deepEqual(byText.map(entry => entry.messageId), ['1', '3', '4']);
+            assert.deepEqual(combined.map(entry => entry.messageId), ['3']);
+        });
+        
+        it('filters by time, with a plain until date including that whole day', async () => {
+            await recordConversation();
+            
+            const day = await archive.search({ since: '2026-10-18', until: '2026-10-18' });
+            const morning = await archive.search({ since: '2026-10-19T07:00:00Z', until: '2026-10-19T08:00:30Z' });
+            
+            assert.deepEqual(day.map(entry => entry.messageId), ['1', '2']);
+            assert.deepEqual(morning.map(entry => entry.messageId), ['3']);
+        });
+        
+        it('returns the most recent entries within the limit, oldest first', async () => {
+            await recordConversation();
+            
+            const entries = await archive.search({ limit: 2 });
+            
+            assert.deepEqual(entries.map(entry => entry.messageId), ['3', '4']);
+        });
+        
+        it('skips lines that are not JSON', async () => {
+            await recordConversation();
+            await fs.appendFile(archive.archiveFile, '{"type": "message", "tim\n\n', 'utf8');
+            await archive.recordMessage(message(5, 'alice', 'Still there?', '2026-10-19T09:00:00.000Z'));
+            
+            const entries = await archive.search({ user: 'alice' });
+            
+            assert.deepEqual(entries.map(entry => entry.messageId), ['1', '3', '5']);
+        });
+        
+        it('refuses dates it cannot read', async () => {
+            await recordConversation();
+            
+            await assert.rejects(archive.search({ since: 'last tuesday' }), /Invalid date: last tuesday/);
+        });
+    });
+    
+    describe('parseDate()', () => {
+        it('reads dates and times', () => {
+            assert.equal(TranscriptArchive.parseDate('2026-10-19', false), Date.parse('2026-10-19T00:00:00Z'));
+            assert.equal(TranscriptArchive.parseDate('2026-10-19T08:30:00Z', false), Date.parse('2026-10-19T08:30:00Z'));
+        });
+        
+        it('moves a plain date used as an upper bound to the end of that day', () => {
+            assert.equal(TranscriptArchive.parseDate('2026-10-19', true), Date.parse('2026-10-20T00:00:00Z'));
+            assert.equal(TranscriptArchive.parseDate('2026-10-19T08:30:00Z', true), Date.parse('2026-10-19T08:30:00Z'));
+        });
+        
+        it('throws on anything else', () => {
+            assert.throws(() => TranscriptArchive.parseDate('yesterday', false), /Invalid date: yesterday/);
+        });
+    });
+    
+    describe('format()', () => {
+        const entries = [
+            { type: 'message', time: '2026-10-19T08:00:00.000Z', channel: GENERAL, author: 'alice', content: 'Hello', skipped: null },
+            { type: 'message', time: '2026-10-19T08:00:01.000Z', channel: GENERAL, author: 'mriiot', content: 'Echo', skipped: 'feedback-loop' },
+            { type: 'response', time: '2026-10-19T08:00:05.000Z', channel: GENERAL, author: 'alice', content: null, status: 'no response', cost: 0.5, latencyMs: 4000, sessionId: 'session-1' }
+        ];
+        
+        it('renders one line per entry as text', () => {
+            assert.equal(TranscriptArchive.format(entries), [
+                `[2026-10-19T08:00:00.000Z] [${GENERAL}] alice: Hello`,
+                `[2026-10-19T08:00:01.000Z] [${GENERAL}] mriiot (skipped: feedback-loop): Echo`,
+                `[2026-10-19T08:00:05.000Z] [${GENERAL}] bot → alice (no response, $0.50, 4.0s, session session-1): (no text)`
+            ].join('\n'));
+        });
+        
+        it('renders a block per entry as markdown', () => {
+            const text = TranscriptArchive.format(entries.slice(0, 1), 'markdown');
+            
+            assert.equal(text, `**alice** · 2026-10-19T08:00:00.000Z · ${GENERAL}\n\nHello\n`);
+        });
+    });
+});
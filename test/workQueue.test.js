@@ -0,0 +1,210 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const WorkQueue = require('../WorkQueue');
+const silentLogger = require('./helpers/silentLogger');
+
+// Jobs are strings such as "a1", the first job of conversation "a". Each one runs until
+// the test finishes it, and Date.now() is stubbed so wait times are exact.
+
+/**
+ * Let the queue start the jobs it can, which happens a tick after push() or a finished job
+ */
+function tick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('WorkQueue', () => {
+    let now;
+    let started;
+    let running;
+    
+    beforeEach(() => {
+        now = 1000;
+        started = [];
+        running = new Map();
+        mock.method(Date, 'now', () => now);
+    });
+    
+    afterEach(() => {
+        mock.restoreAll();
+    });
+    
+    function createQueue(options = {}) {
+        const worker = item => new Promise((resolve, reject) => {
+            started.push(item);
+            running.set(item, { resolve, reject });
+        });
+        return new WorkQueue(worker, { logger: silentLogger(), ...options });
+    }
+    
+    async function finish(item, error = null) {
+        const job = running.get(item);
+        running.delete(item);
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve();
+        }
+        await tick();
+    }
+    
+    async function push(queue, ...items) {
+        items.forEach(item => queue.push(item[0], item));
+        await tick();
+    }
+    
+    it('runs the jobs of one conversation one at a time, in order', async () => {
+        const queue = createQueue({ concurrency: 3 });
+        
+        await push(queue, 'a1', 'a2', 'a3');
+        assert.deepEqual(started, ['a1']);
+        
+        await finish('a1');
+        assert.deepEqual(started, ['a1', 'a2']);
+        
+        await finish('a2');
+        await finish('a3');
+        assert.deepEqual(started, ['a1', 'a2', 'a3']);
+    });
+    
+    it('works on at most concurrency conversations at once, oldest waiting first', async () => {
+        const queue = createQueue({ concurrency: 2 });
+        
+        await push(queue, 'a1', 'b1', 'c1', 'a2');
+        assert.deepEqual(started, ['a1', 'b1']);
+        assert.deepEqual(queue.getStats().activeKeys, ['a', 'b']);
+        
+        await finish('a1');
+        assert.deepEqual(started, ['a1', 'b1', 'c1']);
+        
+        await finish('b1');
+        assert.deepEqual(started, ['a1', 'b1', 'c1', 'a2']);
+    });
+    
+    it('sends a conversation with more waiting jobs to the back of the line', async () => {
+        const queue = createQueue({ concurrency: 1 });
+        
+        await push(queue, 'x1', 'a1', 'a2', 'b1');
+        await finish('x1');
+        await finish('a1');
+        await finish('b1');
+        
+        assert.deepEqual(started, ['x1', 'a1', 'b1', 'a2']);
+    });
+    
+    it('goes on with the next job when one fails', async () => {
+        const errors = [];
+        const queue = createQueue({ logger: { ...silentLogger(), error: text => errors.push(text) } });
+        
+        await push(queue, 'a1', 'a2');
+        await finish('a1', new Error('agent crashed'));
+        
+        assert.deepEqual(started, ['a1', 'a2']);
+        assert.deepEqual(errors, ['[a] Job failed: agent crashed']);
+    });
+    
+    describe('pause() and resume()', () => {
+        it('lets running jobs finish but starts no new ones until resumed', async () => {
+            const queue = createQueue({ concurrency: 2 });
+            
+            await push(queue, 'a1');
+            queue.pause();
+            await push(queue, 'b1', 'a2');
+            await finish('a1');
+            
+            assert.deepEqual(started, ['a1']);
+            assert.equal(queue.getStats().paused, true);
+            assert.equal(queue.getStats().waiting, 2);
+            
+            queue.resume();
+            await tick();
+            
+            assert.deepEqual(started, ['a1', 'b1', 'a2']);
+            assert.equal(queue.getStats().paused, false);
+        });
+    });
+    
+    describe('drop() and clear()', () => {
+        it("removes a conversation's waiting jobs, not its running one", async () => {
+            const queue = createQueue({ concurrency: 2 });
+            
+            await push(queue, 'a1', 'a2', 'a3', 'b1', 'b2');
+            const dropped = queue.drop('a');
+            await finish('a1');
+            
+            assert.deepEqual(dropped, ['a2', 'a3']);
+            assert.deepEqual(started, ['a1', 'b1']);
+            assert.equal(queue.getStats().waiting, 1);
+        });
+        
+        it('removes every waiting job', async () => {
+            const queue = createQueue({ concurrency: 1 });
+            
+            await push(queue, 'a1', 'a2', 'b1');
+            const dropped = queue.clear();
+            await finish('a1');
+            
+            assert.deepEqual(dropped, ['a2', 'b1']);
+            assert.deepEqual(started, ['a1']);
+        });
+    });
+    
+    describe('getStats()', () => {
+        it('counts running and waiting jobs and the conversations they belong to', async () => {
+            const queue = createQueue({ concurrency: 1 });
+            
+            await push(queue, 'a1', 'a2', 'b1');
+            
+            assert.deepEqual(queue.getStats(), {
+                paused: false,
+                activeKeys: ['a'],
+                running: 1,
+                waiting: 2,
+                conversations: 2,
+                oldestWaitMs: 0,
+                averageWaitMs: 0
+            });
+        });
+        
+        it('reports the oldest wait so far and the average wait of started jobs', async () => {
+            const queue = createQueue({ concurrency: 1 });
+            
+            await push(queue, 'a1', 'b1');
+            now += 1000;
+            await push(queue, 'c1');
+            now += 500;
+            
+            assert.equal(queue.getStats().oldestWaitMs, 1500);
+            assert.equal(queue.getStats().averageWaitMs, 0);
+            
+            await finish('a1');
+            now += 2000;
+            await finish('b1');
+            
+            assert.equal(queue.getStats().averageWaitMs, Math.round((0 + 1500 + 2500) / 3));
+            assert.equal(queue.getStats().oldestWaitMs, 0);
+        });
+    });
+    
+    describe('onIdle()', () => {
+        it('resolves at once when nothing runs or waits', async () => {
+            await createQueue().onIdle();
+        });
+        
+        it('resolves once the last job is done', async () => {
+            const queue = createQueue({ concurrency: 2 });
+            let idle = false;
+            
+            await push(queue, 'a1', 'a2', 'b1');
+            queue.onIdle().then(() => {
+                idle = true;
+            });
+            await finish('a1');
+            await finish('b1');
+            assert.equal(idle, false);
+            
+            await finish('a2');
+            assert.equal(idle, true);
+        });
+    });
+});